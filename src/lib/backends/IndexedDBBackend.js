@@ -0,0 +1,685 @@
+/**
+ * IndexedDB 存储后端
+ * 浏览器中的默认后端
+ */
+
+import { applyQuery, getValueByPath } from '../queryBuilder.js'
+import { createError, getIndexKeyPath, normalizeStoreConfig, runMigrations } from './base.js'
+
+/**
+ * 事务作用域，由 IndexedDBHelper.transaction() 传给回调使用
+ * 所有操作都在同一个事务中执行，回调抛出错误时整个事务回滚
+ */
+class IndexedDBTransactionScope {
+    /**
+     * 构造函数
+     * @param {IDBTransaction} transaction - 原生事务对象
+     */
+    constructor(transaction) {
+        this.transaction = transaction
+        this.aborted = false
+        this.changes = [] // 事务内的数据变更，提交后统一通知
+    }
+
+    /**
+     * 将请求包装为 Promise
+     * 请求失败时阻止事务自动回滚，由调用方决定捕获后继续还是抛出后回滚
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = (event) => {
+                event.preventDefault()
+                event.stopPropagation()
+                reject(event.target.error)
+            }
+        })
+    }
+
+    /**
+     * 获取仓库对象（仅 IndexedDB 后端可用）
+     * @param {string} storeName - 仓库名称
+     * @returns {IDBObjectStore}
+     */
+    objectStore(storeName) {
+        return this.transaction.objectStore(storeName)
+    }
+
+    /**
+     * 添加数据
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要添加的数据
+     * @returns {Promise<*>} 新数据的主键
+     */
+    async add(storeName, item) {
+        const key = await this._request(this.objectStore(storeName).add(item))
+        this.changes.push({ type: 'add', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 更新数据（如果不存在则添加）
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要更新的数据
+     * @returns {Promise<*>} 数据的主键
+     */
+    async put(storeName, item) {
+        const key = await this._request(this.objectStore(storeName).put(item))
+        this.changes.push({ type: 'put', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 根据主键获取数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise<Object>}
+     */
+    get(storeName, key) {
+        return this._request(this.objectStore(storeName).get(key))
+    }
+
+    /**
+     * 获取所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<Array>}
+     */
+    getAll(storeName) {
+        return this._request(this.objectStore(storeName).getAll())
+    }
+
+    /**
+     * 根据索引查询数据
+     * @param {string} storeName - 仓库名称
+     * @param {string} indexName - 索引名称
+     * @param {*} value - 索引值
+     * @returns {Promise<Array>}
+     */
+    getByIndex(storeName, indexName, value) {
+        return this._request(this.objectStore(storeName).index(indexName).getAll(value))
+    }
+
+    /**
+     * 根据主键删除数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise}
+     */
+    async delete(storeName, key) {
+        await this._request(this.objectStore(storeName).delete(key))
+        this.changes.push({ type: 'delete', storeName, keys: [key] })
+    }
+
+    /**
+     * 清空仓库中的所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise}
+     */
+    async clear(storeName) {
+        await this._request(this.objectStore(storeName).clear())
+        this.changes.push({ type: 'clear', storeName, keys: [] })
+    }
+
+    /**
+     * 统计仓库中的数据数量
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<number>}
+     */
+    count(storeName) {
+        return this._request(this.objectStore(storeName).count())
+    }
+
+    /**
+     * 在事务中等待其他异步任务（例如 WebCrypto 加解密）
+     * 等待期间不断发出空读取请求，防止事务因没有待处理请求而自动提交，
+     * 任务完成后在请求回调中 resolve，保证后续操作仍处于事务的活动期
+     * @param {Promise} promise - 要等待的异步任务
+     * @returns {Promise<*>} 任务的结果
+     */
+    waitFor(promise) {
+        return new Promise((resolve, reject) => {
+            let outcome = null
+            promise.then(
+                value => { outcome = { value } },
+                error => { outcome = { error, failed: true } }
+            )
+
+            const objectStore = this.transaction.objectStore(this.transaction.objectStoreNames[0])
+            const poll = () => {
+                if (!outcome) {
+                    objectStore.get([]).onsuccess = poll
+                } else if (outcome.failed) {
+                    reject(outcome.error)
+                } else {
+                    resolve(outcome.value)
+                }
+            }
+            poll()
+        })
+    }
+
+    /**
+     * 主动回滚事务
+     */
+    abort() {
+        if (this.aborted) return
+        this.aborted = true
+        try {
+            this.transaction.abort()
+        } catch (error) {
+            // 事务已提交或已回滚
+        }
+    }
+}
+
+class IndexedDBBackend {
+    /**
+     * 构造函数
+     * @param {string} dbName - 数据库名称
+     * @param {number} version - 数据库版本号
+     */
+    constructor(dbName, version = 1) {
+        this.dbName = dbName
+        this.version = version
+        this.db = null
+    }
+
+    /**
+     * 创建对象仓库及其索引
+     * @private
+     */
+    _createObjectStore(db, storeName, config) {
+        const objectStore = db.createObjectStore(storeName, {
+            keyPath: config.keyPath,
+            autoIncrement: config.autoIncrement
+        })
+        config.indexes.forEach(index => this._createIndex(objectStore, index))
+        return objectStore
+    }
+
+    /**
+     * 创建索引
+     * @private
+     */
+    _createIndex(objectStore, index) {
+        return objectStore.createIndex(
+            index.name,
+            getIndexKeyPath(index),
+            { unique: index.unique || false, multiEntry: index.multiEntry || false }
+        )
+    }
+
+    /**
+     * 创建缺失的仓库，此时不创建索引，已有的仓库和数据保持不变
+     * @private
+     */
+    _createMissingStores(db, stores) {
+        stores.forEach((config, storeName) => {
+            if (!db.objectStoreNames.contains(storeName)) {
+                this._createObjectStore(db, storeName, { ...config, indexes: [] })
+            }
+        })
+    }
+
+    /**
+     * 创建配置中缺失的索引，在迁移完成后执行，迁移可以先补齐或修正索引字段的数据
+     * @private
+     */
+    _syncIndexes(db, transaction, stores) {
+        stores.forEach((config, storeName) => {
+            // 迁移中删除的仓库
+            if (!db.objectStoreNames.contains(storeName)) return
+
+            const objectStore = transaction.objectStore(storeName)
+            config.indexes.forEach(index => {
+                if (!objectStore.indexNames.contains(index.name)) {
+                    this._createIndex(objectStore, index)
+                }
+            })
+        })
+    }
+
+    /**
+     * 构建迁移上下文
+     * @private
+     */
+    _createMigrationContext(db, transaction, oldVersion, newVersion, stores) {
+        return {
+            db,
+            transaction,
+            oldVersion,
+            newVersion,
+            /**
+             * 创建对象仓库（已存在则直接返回）
+             */
+            createStore: (storeName, options = {}) => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    return transaction.objectStore(storeName)
+                }
+                return this._createObjectStore(db, storeName, normalizeStoreConfig(options))
+            },
+            /**
+             * 删除对象仓库（不存在则忽略）
+             */
+            deleteStore: (storeName) => {
+                if (db.objectStoreNames.contains(storeName)) {
+                    db.deleteObjectStore(storeName)
+                }
+            },
+            /**
+             * 按 addStore 中的当前配置重建仓库（例如主键不再自增），保留数据，
+             * 旧的索引随仓库删除，配置中的索引在迁移完成后重新创建
+             * @returns {Promise<number>} 保留的数据条数
+             */
+            recreateStore: (storeName) => {
+                const config = stores.get(storeName)
+                if (!config) {
+                    return Promise.reject(createError('NotFoundError', `仓库 ${storeName} 没有配置`))
+                }
+                return new Promise((resolve, reject) => {
+                    const request = transaction.objectStore(storeName).getAll()
+                    request.onsuccess = () => {
+                        db.deleteObjectStore(storeName)
+                        const objectStore = this._createObjectStore(db, storeName, { ...config, indexes: [] })
+                        request.result.forEach(item => objectStore.put(item))
+                        resolve(request.result.length)
+                    }
+                    request.onerror = (event) => reject(event.target.error)
+                })
+            },
+            /**
+             * 为仓库添加索引（已存在则忽略）
+             */
+            createIndex: (storeName, index) => {
+                const objectStore = transaction.objectStore(storeName)
+                if (!objectStore.indexNames.contains(index.name)) {
+                    this._createIndex(objectStore, index)
+                }
+            },
+            /**
+             * 删除仓库中的索引（不存在则忽略）
+             */
+            deleteIndex: (storeName, indexName) => {
+                const objectStore = transaction.objectStore(storeName)
+                if (objectStore.indexNames.contains(indexName)) {
+                    objectStore.deleteIndex(indexName)
+                }
+            },
+            /**
+             * 逐条转换仓库中的数据
+             * 回调返回对象则写回该对象，返回 null 则删除该条数据，返回 undefined 则保持不变；
+             * 返回对象的主键与原来不同时删除原数据，遍历结束后以新主键写入
+             * @returns {Promise<number>} 被修改或删除的数据条数
+             */
+            updateRecords: (storeName, callback) => {
+                const objectStore = transaction.objectStore(storeName)
+                const rekeyed = []
+                let changed = 0
+
+                return new Promise((resolve, reject) => {
+                    const request = objectStore.openCursor()
+
+                    request.onsuccess = (event) => {
+                        const cursor = event.target.result
+                        if (!cursor) {
+                            rekeyed.forEach(item => objectStore.put(item))
+                            resolve(changed)
+                            return
+                        }
+
+                        try {
+                            const result = callback(cursor.value)
+                            if (result === null) {
+                                cursor.delete()
+                                changed++
+                            } else if (result !== undefined) {
+                                const key = getValueByPath(result, objectStore.keyPath)
+                                if (key !== undefined && indexedDB.cmp(key, cursor.primaryKey) !== 0) {
+                                    cursor.delete()
+                                    rekeyed.push(result)
+                                } else {
+                                    cursor.update(result)
+                                }
+                                changed++
+                            }
+                            cursor.continue()
+                        } catch (error) {
+                            reject(error)
+                        }
+                    }
+
+                    request.onerror = (event) => {
+                        reject(event.target.error)
+                    }
+                })
+            },
+            /**
+             * 写入数据（主键已存在则覆盖）
+             * @returns {Promise<number>} 写入的数据条数
+             */
+            putRecords: (storeName, items) => {
+                const objectStore = transaction.objectStore(storeName)
+                return Promise.all(items.map(item => new Promise((resolve, reject) => {
+                    const request = objectStore.put(item)
+                    request.onsuccess = () => resolve()
+                    request.onerror = (event) => reject(event.target.error)
+                }))).then(() => items.length)
+            }
+        }
+    }
+
+    /**
+     * 打开数据库
+     * @param {Object} schema - {stores, migrations, onBlocked, onVersionChange}
+     * @param {Function} schema.onBlocked - 升级被其他标签页中的旧连接阻止时调用，旧连接关闭后升级会继续
+     * @param {Function} schema.onVersionChange - 其他标签页要升级数据库、本连接已关闭时调用
+     * @returns {Promise<IDBDatabase>}
+     */
+    open({ stores, migrations, onBlocked, onVersionChange }) {
+        return new Promise((resolve, reject) => {
+            if (this.db) {
+                resolve(this.db)
+                return
+            }
+
+            const request = indexedDB.open(this.dbName, this.version)
+            let migrationError = null
+
+            // 数据库升级时触发（首次创建或版本号变更）
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result
+                const transaction = event.target.transaction
+                const { oldVersion, newVersion } = event
+
+                // 先创建缺失的仓库，执行迁移后再创建索引，已有数据不会被删除
+                this._createMissingStores(db, stores)
+
+                // 首次创建时仓库配置即为最新结构，无需执行迁移
+                if (oldVersion === 0) {
+                    this._syncIndexes(db, transaction, stores)
+                    return
+                }
+
+                const context = this._createMigrationContext(db, transaction, oldVersion, newVersion, stores)
+                runMigrations(migrations, context, this.dbName).then(() => {
+                    this._syncIndexes(db, transaction, stores)
+                }).catch(error => {
+                    migrationError = error
+                    try {
+                        transaction.abort()
+                    } catch (e) {
+                        // 事务已结束（迁移中等待了非数据库操作），无法回滚
+                    }
+                })
+            }
+
+            // 其他标签页还打开着旧版本的数据库，等待它们关闭连接
+            request.onblocked = () => {
+                console.warn(`数据库 ${this.dbName} 升级被阻止，请关闭其他打开了该数据库的标签页`)
+                onBlocked?.()
+            }
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result
+                // 其他标签页要升级数据库时主动关闭连接，避免阻止升级
+                this.db.onversionchange = () => {
+                    this.close()
+                    onVersionChange?.()
+                }
+                resolve(this.db)
+            }
+
+            request.onerror = (event) => {
+                reject(migrationError || event.target.error)
+            }
+        })
+    }
+
+    /**
+     * 获取所有仓库名称
+     * @returns {Array<string>}
+     */
+    storeNames() {
+        return Array.from(this.db.objectStoreNames)
+    }
+
+    /**
+     * 在事务中执行回调
+     * 回调中只能等待事务作用域提供的操作，等待其他异步任务会导致事务提前提交
+     * @param {Array<string>} storeNames - 涉及的仓库名称
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     * @param {Function} callback - 回调函数，接收事务作用域
+     * @returns {Promise<Object>} {result, changes}
+     */
+    async transaction(storeNames, mode, callback) {
+        const transaction = this.db.transaction(storeNames, mode)
+        const scope = new IndexedDBTransactionScope(transaction)
+
+        const completion = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve()
+            transaction.onabort = () => reject(transaction.error || new Error('事务已回滚'))
+        })
+
+        let result
+        try {
+            result = await callback(scope)
+        } catch (error) {
+            scope.abort()
+            await completion.catch(() => { })
+            throw error
+        }
+
+        await completion
+        return { result, changes: scope.changes }
+    }
+
+    /**
+     * 使用游标遍历数据
+     * @param {string} storeName - 仓库名称
+     * @param {Function} callback - 回调函数，接收每条数据和游标
+     * @param {Object} options - {direction, range}
+     * @returns {Promise<Array>}
+     */
+    cursor(storeName, callback, options = {}) {
+        const transaction = this.db.transaction([storeName], 'readonly')
+        const objectStore = transaction.objectStore(storeName)
+        const results = []
+
+        return new Promise((resolve, reject) => {
+            const request = objectStore.openCursor(
+                options.range || null,
+                options.direction || 'next'
+            )
+
+            request.onsuccess = (event) => {
+                const cursor = event.target.result
+                if (cursor) {
+                    const result = callback(cursor.value, cursor)
+                    if (result !== false) {
+                        results.push(cursor.value)
+                    }
+                    cursor.continue()
+                } else {
+                    resolve(results)
+                }
+            }
+
+            request.onerror = (event) => {
+                reject(event.target.error)
+            }
+        })
+    }
+
+    /**
+     * 将查询范围转换为 IDBKeyRange
+     * @private
+     */
+    _toKeyRange(range) {
+        if (!range) return null
+
+        const hasLower = range.lower !== undefined
+        const hasUpper = range.upper !== undefined
+
+        if (hasLower && hasUpper) {
+            if (indexedDB.cmp(range.lower, range.upper) === 0 && !range.lowerOpen && !range.upperOpen) {
+                return IDBKeyRange.only(range.lower)
+            }
+            return IDBKeyRange.bound(range.lower, range.upper, range.lowerOpen, range.upperOpen)
+        }
+        if (hasLower) return IDBKeyRange.lowerBound(range.lower, range.lowerOpen)
+        if (hasUpper) return IDBKeyRange.upperBound(range.upper, range.upperOpen)
+        return null
+    }
+
+    /**
+     * 查找字段对应的数据源：主键对应仓库本身，索引名对应索引，否则返回 null
+     * @private
+     */
+    _resolveQuerySource(objectStore, field) {
+        if (!field || field === objectStore.keyPath) return objectStore
+        if (objectStore.indexNames.contains(field)) return objectStore.index(field)
+        return null
+    }
+
+    /**
+     * 执行查询描述
+     * 查询字段和排序字段一致时使用游标按方向遍历并分页，否则读取范围内的数据后在内存中排序
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<Array>}
+     */
+    async executeQuery(spec) {
+        const transaction = this.db.transaction([spec.storeName], 'readonly')
+        const objectStore = transaction.objectStore(spec.storeName)
+        const { where, orderBy, filters, offset, limit } = spec
+
+        const whereSource = where ? this._resolveQuerySource(objectStore, where.field) : objectStore
+        const range = where && whereSource ? this._toKeyRange(where.range) : null
+
+        // 判断能否直接用游标完成排序
+        let cursorSource = null
+        if (!orderBy) {
+            cursorSource = whereSource
+        } else if (!where) {
+            cursorSource = this._resolveQuerySource(objectStore, orderBy.field)
+        } else if (orderBy.field === where.field) {
+            cursorSource = whereSource
+        }
+
+        if (cursorSource) {
+            return new Promise((resolve, reject) => {
+                const results = []
+                const direction = orderBy?.direction === 'desc' ? 'prev' : 'next'
+                const request = cursorSource.openCursor(range, direction)
+                let skipped = filters.length > 0 ? 0 : null
+                let advanced = false
+
+                if (limit === 0) {
+                    resolve(results)
+                    return
+                }
+
+                request.onsuccess = (event) => {
+                    const cursor = event.target.result
+                    if (!cursor) {
+                        resolve(results)
+                        return
+                    }
+
+                    // 没有过滤条件时直接跳过 offset 条数据
+                    if (skipped === null && offset > 0 && !advanced) {
+                        advanced = true
+                        cursor.advance(offset)
+                        return
+                    }
+
+                    const value = cursor.value
+                    if (filters.every(fn => fn(value))) {
+                        if (skipped !== null && skipped < offset) {
+                            skipped++
+                        } else {
+                            results.push(value)
+                        }
+                    }
+
+                    if (limit !== null && results.length >= limit) {
+                        resolve(results)
+                        return
+                    }
+                    cursor.continue()
+                }
+
+                request.onerror = (event) => {
+                    reject(event.target.error)
+                }
+            })
+        }
+
+        // 查询字段未建立索引，或排序字段与查询字段不同，读取后在内存中处理
+        const source = whereSource || objectStore
+        const items = await new Promise((resolve, reject) => {
+            const request = source.getAll(range)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = (event) => reject(event.target.error)
+        })
+        const memorySpec = whereSource ? { ...spec, where: null } : spec
+        return applyQuery(items, memorySpec, objectStore.keyPath)
+    }
+
+    /**
+     * 统计查询描述匹配的数据数量
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<number>}
+     */
+    async countQuery(spec) {
+        const transaction = this.db.transaction([spec.storeName], 'readonly')
+        const objectStore = transaction.objectStore(spec.storeName)
+        const source = spec.where ? this._resolveQuerySource(objectStore, spec.where.field) : objectStore
+
+        if (!source || spec.filters.length > 0) {
+            const results = await this.executeQuery({ ...spec, orderBy: null, offset: 0, limit: null })
+            return results.length
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = source.count(spec.where ? this._toKeyRange(spec.where.range) : null)
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = (event) => reject(event.target.error)
+        })
+    }
+
+    /**
+     * 关闭数据库连接
+     */
+    close() {
+        if (this.db) {
+            this.db.close()
+            this.db = null
+        }
+    }
+
+    /**
+     * 删除数据库
+     * @returns {Promise}
+     */
+    destroy() {
+        return new Promise((resolve, reject) => {
+            this.close()
+            const request = indexedDB.deleteDatabase(this.dbName)
+
+            request.onsuccess = () => {
+                resolve()
+            }
+
+            request.onerror = (event) => {
+                reject(event.target.error)
+            }
+
+            request.onblocked = () => {
+                console.warn(`数据库 ${this.dbName} 删除被阻止，请关闭所有使用该数据库的连接`)
+            }
+        })
+    }
+}
+
+export default IndexedDBBackend
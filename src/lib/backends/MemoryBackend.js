@@ -0,0 +1,536 @@
+/**
+ * 内存存储后端
+ * 数据保存在当前页面（或 Node 进程）的内存中，刷新后丢失，适用于测试和演示
+ * 同名数据库在同一页面内共享数据，因此可以用不同版本重新打开以验证迁移
+ */
+
+import { applyQuery, compareValues, getValueByPath, inRange } from '../queryBuilder.js'
+import { createError, getIndexKeyPath, normalizeStoreConfig, runMigrations, SerialQueue } from './base.js'
+
+// 同一页面内的所有内存数据库 dbName -> {version, stores}
+const databases = new Map()
+
+/**
+ * 将主键转换为 Map 的键，数字和字符串直接使用，其他类型序列化后加前缀避免冲突
+ */
+function toMapKey(key) {
+    if (typeof key === 'number' || typeof key === 'string') return key
+    return '\u0000' + JSON.stringify(key)
+}
+
+/**
+ * 判断是否为合法的主键
+ */
+function isValidKey(key) {
+    if (typeof key === 'number') return !Number.isNaN(key)
+    if (typeof key === 'string') return true
+    if (key instanceof Date) return !Number.isNaN(key.getTime())
+    if (Array.isArray(key)) return key.every(isValidKey)
+    return false
+}
+
+/**
+ * 创建空仓库
+ */
+function createStore(config) {
+    return { config, records: new Map(), seq: 0 }
+}
+
+/**
+ * 复制数据库结构和数据，用于回滚
+ */
+function snapshotStores(stores, storeNames = Array.from(stores.keys())) {
+    const snapshot = new Map()
+    storeNames.forEach(storeName => {
+        const store = stores.get(storeName)
+        snapshot.set(storeName, {
+            config: structuredClone(store.config),
+            records: new Map(store.records),
+            seq: store.seq
+        })
+    })
+    return snapshot
+}
+
+/**
+ * 按主键顺序返回仓库中的数据
+ */
+function sortedValues(store) {
+    return Array.from(store.records.values())
+        .sort((a, b) => compareValues(a.key, b.key))
+        .map(entry => entry.value)
+}
+
+/**
+ * 内存事务作用域
+ */
+class MemoryTransactionScope {
+    /**
+     * 构造函数
+     * @param {MemoryBackend} backend - 所属后端
+     * @param {Array<string>} storeNames - 事务涉及的仓库
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     */
+    constructor(backend, storeNames, mode) {
+        this.backend = backend
+        this.storeNames = storeNames
+        this.mode = mode
+        this.aborted = false
+        this.changes = []
+    }
+
+    /**
+     * 获取事务内的仓库
+     * @private
+     */
+    _store(storeName, write = false) {
+        if (this.aborted) {
+            throw createError('TransactionInactiveError', '事务已回滚')
+        }
+        if (!this.storeNames.includes(storeName)) {
+            throw createError('NotFoundError', `仓库 ${storeName} 不在当前事务范围内`)
+        }
+        if (write && this.mode !== 'readwrite') {
+            throw createError('ReadOnlyError', '只读事务中不能修改数据')
+        }
+        return this.backend._getStore(storeName)
+    }
+
+    /**
+     * 写入数据
+     * @private
+     */
+    _write(storeName, item, overwrite) {
+        const store = this._store(storeName, true)
+        const { keyPath, autoIncrement, indexes } = store.config
+        const value = structuredClone(item)
+        let key = getValueByPath(value, keyPath)
+
+        if (key === undefined) {
+            if (!autoIncrement) {
+                throw createError('DataError', `数据缺少主键 ${keyPath}`)
+            }
+            key = ++store.seq
+            value[keyPath] = key
+        } else if (!isValidKey(key)) {
+            throw createError('DataError', `无效的主键: ${key}`)
+        } else if (autoIncrement && typeof key === 'number' && key > store.seq) {
+            store.seq = Math.floor(key)
+        }
+
+        const mapKey = toMapKey(key)
+        if (!overwrite && store.records.has(mapKey)) {
+            throw createError('ConstraintError', `主键 ${key} 已存在`)
+        }
+
+        // 检查唯一索引
+        indexes.filter(index => index.unique).forEach(index => {
+            const indexValue = getValueByPath(value, getIndexKeyPath(index))
+            if (indexValue === undefined) return
+            for (const [otherKey, entry] of store.records) {
+                if (otherKey === mapKey) continue
+                if (compareValues(getValueByPath(entry.value, getIndexKeyPath(index)), indexValue) === 0) {
+                    throw createError('ConstraintError', `索引 ${index.name} 的值 ${indexValue} 已存在`)
+                }
+            }
+        })
+
+        store.records.set(mapKey, { key, value })
+        return key
+    }
+
+    /**
+     * 添加数据
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要添加的数据
+     * @returns {Promise<*>} 新数据的主键
+     */
+    async add(storeName, item) {
+        const key = this._write(storeName, item, false)
+        this.changes.push({ type: 'add', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 更新数据（如果不存在则添加）
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要更新的数据
+     * @returns {Promise<*>} 数据的主键
+     */
+    async put(storeName, item) {
+        const key = this._write(storeName, item, true)
+        this.changes.push({ type: 'put', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 根据主键获取数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise<Object>}
+     */
+    async get(storeName, key) {
+        const entry = this._store(storeName).records.get(toMapKey(key))
+        return entry ? structuredClone(entry.value) : undefined
+    }
+
+    /**
+     * 获取所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        return structuredClone(sortedValues(this._store(storeName)))
+    }
+
+    /**
+     * 根据索引查询数据
+     * @param {string} storeName - 仓库名称
+     * @param {string} indexName - 索引名称
+     * @param {*} value - 索引值
+     * @returns {Promise<Array>}
+     */
+    async getByIndex(storeName, indexName, value) {
+        const store = this._store(storeName)
+        const index = store.config.indexes.find(item => item.name === indexName)
+        if (!index) {
+            throw createError('NotFoundError', `索引 ${indexName} 不存在`)
+        }
+
+        const keyPath = getIndexKeyPath(index)
+        const results = sortedValues(store).filter(item => {
+            const indexValue = getValueByPath(item, keyPath)
+            if (index.multiEntry && Array.isArray(indexValue)) {
+                return indexValue.some(entry => compareValues(entry, value) === 0)
+            }
+            return indexValue !== undefined && compareValues(indexValue, value) === 0
+        })
+        return structuredClone(results)
+    }
+
+    /**
+     * 根据主键删除数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise}
+     */
+    async delete(storeName, key) {
+        this._store(storeName, true).records.delete(toMapKey(key))
+        this.changes.push({ type: 'delete', storeName, keys: [key] })
+    }
+
+    /**
+     * 清空仓库中的所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise}
+     */
+    async clear(storeName) {
+        this._store(storeName, true).records.clear()
+        this.changes.push({ type: 'clear', storeName, keys: [] })
+    }
+
+    /**
+     * 统计仓库中的数据数量
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<number>}
+     */
+    async count(storeName) {
+        return this._store(storeName).records.size
+    }
+
+    /**
+     * 在事务中等待其他异步任务，事务串行执行，直接等待即可
+     * @param {Promise} promise - 要等待的异步任务
+     * @returns {Promise<*>}
+     */
+    waitFor(promise) {
+        return promise
+    }
+
+    /**
+     * 主动回滚事务
+     */
+    abort() {
+        this.aborted = true
+    }
+}
+
+class MemoryBackend {
+    /**
+     * 构造函数
+     * @param {string} dbName - 数据库名称
+     * @param {number} version - 数据库版本号
+     */
+    constructor(dbName, version = 1) {
+        this.dbName = dbName
+        this.version = version
+        this.db = null
+        this.queue = new SerialQueue()
+    }
+
+    /**
+     * 获取仓库
+     * @private
+     */
+    _getStore(storeName) {
+        const store = this.db.stores.get(storeName)
+        if (!store) {
+            throw createError('NotFoundError', `仓库 ${storeName} 不存在`)
+        }
+        return store
+    }
+
+    /**
+     * 构建迁移上下文
+     * @private
+     */
+    _createMigrationContext(oldVersion, newVersion, configs) {
+        const stores = this.db.stores
+        return {
+            db: this.db,
+            transaction: null,
+            oldVersion,
+            newVersion,
+            createStore: (storeName, options = {}) => {
+                if (!stores.has(storeName)) {
+                    stores.set(storeName, createStore(normalizeStoreConfig(options)))
+                }
+                return stores.get(storeName)
+            },
+            deleteStore: (storeName) => {
+                stores.delete(storeName)
+            },
+            recreateStore: async (storeName) => {
+                const store = this._getStore(storeName)
+                if (!configs.has(storeName)) {
+                    throw createError('NotFoundError', `仓库 ${storeName} 没有配置`)
+                }
+                store.config = { ...structuredClone(configs.get(storeName)), indexes: [] }
+                store.seq = 0
+                return store.records.size
+            },
+            createIndex: (storeName, index) => {
+                const store = this._getStore(storeName)
+                if (!store.config.indexes.some(item => item.name === index.name)) {
+                    store.config.indexes.push(index)
+                }
+            },
+            deleteIndex: (storeName, indexName) => {
+                const store = this._getStore(storeName)
+                store.config.indexes = store.config.indexes.filter(item => item.name !== indexName)
+            },
+            updateRecords: async (storeName, callback) => {
+                const store = this._getStore(storeName)
+                let changed = 0
+                for (const [mapKey, entry] of Array.from(store.records)) {
+                    const result = callback(structuredClone(entry.value))
+                    if (result === null) {
+                        store.records.delete(mapKey)
+                        changed++
+                    } else if (result !== undefined) {
+                        // 主键改变时以新主键保存
+                        const key = getValueByPath(result, store.config.keyPath) ?? entry.key
+                        store.records.delete(mapKey)
+                        store.records.set(toMapKey(key), { key, value: structuredClone(result) })
+                        changed++
+                    }
+                }
+                return changed
+            },
+            putRecords: async (storeName, items) => {
+                const store = this._getStore(storeName)
+                items.forEach(item => {
+                    const key = getValueByPath(item, store.config.keyPath)
+                    if (!isValidKey(key)) {
+                        throw createError('DataError', `仓库 ${storeName} 的数据缺少有效的主键 ${store.config.keyPath}`)
+                    }
+                    store.records.set(toMapKey(key), { key, value: structuredClone(item) })
+                })
+                return items.length
+            }
+        }
+    }
+
+    /**
+     * 打开数据库
+     * @param {Object} schema - {stores, migrations}
+     * @returns {Promise<Object>}
+     */
+    open({ stores, migrations }) {
+        return this.queue.run(async () => {
+            if (this.db) return this.db
+
+            if (!databases.has(this.dbName)) {
+                databases.set(this.dbName, { version: 0, stores: new Map() })
+            }
+            const db = databases.get(this.dbName)
+
+            if (db.version > this.version) {
+                throw createError('VersionError', `数据库 ${this.dbName} 的版本 ${db.version} 高于请求的版本 ${this.version}`)
+            }
+
+            if (db.version < this.version) {
+                const oldVersion = db.version
+                const snapshot = snapshotStores(db.stores)
+                this.db = db
+
+                try {
+                    // 先创建缺失的仓库，执行迁移后再创建索引，已有数据不会被删除
+                    stores.forEach((config, storeName) => {
+                        if (!db.stores.has(storeName)) {
+                            db.stores.set(storeName, createStore({ ...structuredClone(config), indexes: [] }))
+                        }
+                    })
+
+                    // 首次创建时仓库配置即为最新结构，无需执行迁移
+                    if (oldVersion !== 0) {
+                        await runMigrations(migrations, this._createMigrationContext(oldVersion, this.version, stores), this.dbName)
+                    }
+
+                    stores.forEach((config, storeName) => {
+                        // 迁移中删除的仓库
+                        if (!db.stores.has(storeName)) return
+                        const storeConfig = db.stores.get(storeName).config
+                        config.indexes.forEach(index => {
+                            if (!storeConfig.indexes.some(item => item.name === index.name)) {
+                                storeConfig.indexes.push(structuredClone(index))
+                            }
+                        })
+                    })
+                } catch (error) {
+                    db.stores = snapshot
+                    this.db = null
+                    throw error
+                }
+
+                db.version = this.version
+            }
+
+            this.db = db
+            return db
+        })
+    }
+
+    /**
+     * 获取所有仓库名称
+     * @returns {Array<string>}
+     */
+    storeNames() {
+        return Array.from(this.db.stores.keys())
+    }
+
+    /**
+     * 在事务中执行回调，回调抛出错误或主动回滚时恢复事务开始前的数据
+     * 事务串行执行，回调中请使用事务作用域的方法，不要再调用数据库工具类的方法
+     * @param {Array<string>} storeNames - 涉及的仓库名称
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     * @param {Function} callback - 回调函数，接收事务作用域
+     * @returns {Promise<Object>} {result, changes}
+     */
+    transaction(storeNames, mode, callback) {
+        return this.queue.run(async () => {
+            storeNames.forEach(storeName => this._getStore(storeName))
+            const snapshot = mode === 'readwrite' ? snapshotStores(this.db.stores, storeNames) : null
+            const scope = new MemoryTransactionScope(this, storeNames, mode)
+
+            const rollback = () => {
+                snapshot?.forEach((store, storeName) => this.db.stores.set(storeName, store))
+            }
+
+            let result
+            try {
+                result = await callback(scope)
+            } catch (error) {
+                rollback()
+                throw error
+            }
+
+            if (scope.aborted) {
+                rollback()
+                throw createError('AbortError', '事务已回滚')
+            }
+            return { result, changes: scope.changes }
+        })
+    }
+
+    /**
+     * 按主键顺序遍历数据
+     * @param {string} storeName - 仓库名称
+     * @param {Function} callback - 回调函数，接收每条数据
+     * @param {Object} options - {direction, range}，range 为 {lower, upper, lowerOpen, upperOpen}
+     * @returns {Promise<Array>}
+     */
+    async cursor(storeName, callback, options = {}) {
+        const store = this._getStore(storeName)
+        let entries = Array.from(store.records.values())
+            .filter(entry => inRange(entry.key, options.range))
+            .sort((a, b) => compareValues(a.key, b.key))
+        if (options.direction === 'prev' || options.direction === 'prevunique') {
+            entries = entries.reverse()
+        }
+
+        const results = []
+        entries.forEach(entry => {
+            const value = structuredClone(entry.value)
+            if (callback(value, null) !== false) {
+                results.push(value)
+            }
+        })
+        return results
+    }
+
+    /**
+     * 将查询描述中的索引名转换为字段路径
+     * @private
+     */
+    _resolveSpec(spec, config) {
+        const resolveField = (field) => {
+            const index = config.indexes.find(item => item.name === field)
+            return index ? getIndexKeyPath(index) : field
+        }
+        return {
+            ...spec,
+            where: spec.where ? { ...spec.where, field: resolveField(spec.where.field) } : null,
+            orderBy: spec.orderBy ? { ...spec.orderBy, field: resolveField(spec.orderBy.field) } : null
+        }
+    }
+
+    /**
+     * 执行查询描述
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<Array>}
+     */
+    async executeQuery(spec) {
+        const store = this._getStore(spec.storeName)
+        const results = applyQuery(sortedValues(store), this._resolveSpec(spec, store.config), store.config.keyPath)
+        return structuredClone(results)
+    }
+
+    /**
+     * 统计查询描述匹配的数据数量
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<number>}
+     */
+    async countQuery(spec) {
+        const results = await this.executeQuery({ ...spec, orderBy: null, offset: 0, limit: null })
+        return results.length
+    }
+
+    /**
+     * 关闭数据库连接（数据仍保留在内存中）
+     */
+    close() {
+        this.db = null
+    }
+
+    /**
+     * 删除数据库
+     * @returns {Promise}
+     */
+    async destroy() {
+        this.close()
+        databases.delete(this.dbName)
+    }
+}
+
+export default MemoryBackend
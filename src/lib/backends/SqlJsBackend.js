@@ -0,0 +1,821 @@
+/**
+ * SQLite 存储后端（基于 sql.js）
+ * 整个数据库是一个 SQLite 文件，每次写事务提交后整体保存到持久化存储中
+ * 多个标签页共用同一个文件，写事务持有 Web Locks 锁，先重新读取文件再修改和保存，避免互相覆盖
+ *
+ * 每个仓库对应一张表 (key, value)，value 为 JSON 字符串，索引通过 json_extract 表达式索引实现；
+ * 仓库配置保存在 __stores 表中，数据库版本保存在 __meta 表中
+ */
+
+import { loadSqlJs } from '../sqlite.js'
+import { getValueByPath, inRange } from '../queryBuilder.js'
+import { createError, getIndexKeyPath, normalizeStoreConfig, runMigrations, SerialQueue } from './base.js'
+
+const META_TABLE = '__meta'
+const STORES_TABLE = '__stores'
+
+/**
+ * 为表名、索引名加引号
+ */
+function quote(name) {
+    return `"${String(name).replace(/"/g, '""')}"`
+}
+
+/**
+ * 生成读取 JSON 字段的 SQL 表达式
+ */
+function fieldExpr(path) {
+    return `json_extract(value, '$.${path.replace(/'/g, "''")}')`
+}
+
+/**
+ * 主键编码：数字和字符串直接保存，其他类型序列化后加前缀
+ */
+function encodeKey(key) {
+    if (typeof key === 'number' || typeof key === 'string') return key
+    return '\u0000' + JSON.stringify(key)
+}
+
+/**
+ * 主键解码
+ */
+function decodeKey(key) {
+    if (typeof key === 'string' && key.startsWith('\u0000')) return JSON.parse(key.slice(1))
+    return key
+}
+
+/**
+ * 将 SQLite 约束错误转换为与 IndexedDB 一致的 ConstraintError
+ */
+function wrapSqlError(error) {
+    if (/UNIQUE constraint failed/.test(error.message)) {
+        return createError('ConstraintError', error.message)
+    }
+    return error
+}
+
+/**
+ * 基于浏览器 Origin Private File System 的持久化存储
+ * @param {string} fileName - 文件名
+ * @returns {Object} {load, save, remove}
+ */
+export function createOPFSStorage(fileName) {
+    const getRoot = () => navigator.storage.getDirectory()
+
+    return {
+        async load() {
+            try {
+                const handle = await (await getRoot()).getFileHandle(fileName)
+                const file = await handle.getFile()
+                return new Uint8Array(await file.arrayBuffer())
+            } catch (error) {
+                if (error.name === 'NotFoundError') return null
+                throw error
+            }
+        },
+        async save(data) {
+            const handle = await (await getRoot()).getFileHandle(fileName, { create: true })
+            const writable = await handle.createWritable()
+            await writable.write(data)
+            await writable.close()
+        },
+        async remove() {
+            try {
+                await (await getRoot()).removeEntry(fileName)
+            } catch (error) {
+                if (error.name !== 'NotFoundError') throw error
+            }
+        }
+    }
+}
+
+/**
+ * SQLite 事务作用域
+ */
+class SqlJsTransactionScope {
+    /**
+     * 构造函数
+     * @param {SqlJsBackend} backend - 所属后端
+     * @param {Array<string>} storeNames - 事务涉及的仓库
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     */
+    constructor(backend, storeNames, mode) {
+        this.backend = backend
+        this.storeNames = storeNames
+        this.mode = mode
+        this.aborted = false
+        this.changes = []
+    }
+
+    /**
+     * 获取事务内的仓库配置
+     * @private
+     */
+    _config(storeName, write = false) {
+        if (this.aborted) {
+            throw createError('TransactionInactiveError', '事务已回滚')
+        }
+        if (!this.storeNames.includes(storeName)) {
+            throw createError('NotFoundError', `仓库 ${storeName} 不在当前事务范围内`)
+        }
+        if (write && this.mode !== 'readwrite') {
+            throw createError('ReadOnlyError', '只读事务中不能修改数据')
+        }
+        return this.backend._getConfig(storeName)
+    }
+
+    /**
+     * 写入数据
+     * @private
+     */
+    _write(storeName, item, overwrite) {
+        const entry = this._config(storeName, true)
+        const { keyPath, autoIncrement } = entry.config
+        const value = JSON.parse(JSON.stringify(item))
+        let key = getValueByPath(value, keyPath)
+
+        if (key === undefined || key === null) {
+            if (!autoIncrement) {
+                throw createError('DataError', `数据缺少主键 ${keyPath}`)
+            }
+            key = entry.seq + 1
+            value[keyPath] = key
+        }
+        if (autoIncrement && typeof key === 'number' && key > entry.seq) {
+            this.backend._setSeq(storeName, Math.floor(key))
+        }
+
+        const sql = overwrite
+            ? `INSERT INTO ${quote(storeName)} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`
+            : `INSERT INTO ${quote(storeName)} (key, value) VALUES (?, ?)`
+        try {
+            this.backend.db.run(sql, [encodeKey(key), JSON.stringify(value)])
+        } catch (error) {
+            throw wrapSqlError(error)
+        }
+        return key
+    }
+
+    /**
+     * 添加数据
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要添加的数据
+     * @returns {Promise<*>} 新数据的主键
+     */
+    async add(storeName, item) {
+        const key = this._write(storeName, item, false)
+        this.changes.push({ type: 'add', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 更新数据（如果不存在则添加）
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 要更新的数据
+     * @returns {Promise<*>} 数据的主键
+     */
+    async put(storeName, item) {
+        const key = this._write(storeName, item, true)
+        this.changes.push({ type: 'put', storeName, keys: [key] })
+        return key
+    }
+
+    /**
+     * 根据主键获取数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise<Object>}
+     */
+    async get(storeName, key) {
+        this._config(storeName)
+        const rows = this.backend._all(`SELECT value FROM ${quote(storeName)} WHERE key = ?`, [encodeKey(key)])
+        return rows.length > 0 ? JSON.parse(rows[0][0]) : undefined
+    }
+
+    /**
+     * 获取所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<Array>}
+     */
+    async getAll(storeName) {
+        this._config(storeName)
+        return this.backend._all(`SELECT value FROM ${quote(storeName)} ORDER BY key`).map(row => JSON.parse(row[0]))
+    }
+
+    /**
+     * 根据索引查询数据
+     * @param {string} storeName - 仓库名称
+     * @param {string} indexName - 索引名称
+     * @param {*} value - 索引值
+     * @returns {Promise<Array>}
+     */
+    async getByIndex(storeName, indexName, value) {
+        const { config } = this._config(storeName)
+        const index = config.indexes.find(item => item.name === indexName)
+        if (!index) {
+            throw createError('NotFoundError', `索引 ${indexName} 不存在`)
+        }
+
+        const path = getIndexKeyPath(index).replace(/'/g, "''")
+        const condition = index.multiEntry
+            ? `EXISTS (SELECT 1 FROM json_each(value, '$.${path}') WHERE json_each.value = ?)`
+            : `${fieldExpr(getIndexKeyPath(index))} = ?`
+        return this.backend._all(`SELECT value FROM ${quote(storeName)} WHERE ${condition} ORDER BY key`, [value])
+            .map(row => JSON.parse(row[0]))
+    }
+
+    /**
+     * 根据主键删除数据
+     * @param {string} storeName - 仓库名称
+     * @param {*} key - 主键值
+     * @returns {Promise}
+     */
+    async delete(storeName, key) {
+        this._config(storeName, true)
+        this.backend.db.run(`DELETE FROM ${quote(storeName)} WHERE key = ?`, [encodeKey(key)])
+        this.changes.push({ type: 'delete', storeName, keys: [key] })
+    }
+
+    /**
+     * 清空仓库中的所有数据
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise}
+     */
+    async clear(storeName) {
+        this._config(storeName, true)
+        this.backend.db.run(`DELETE FROM ${quote(storeName)}`)
+        this.changes.push({ type: 'clear', storeName, keys: [] })
+    }
+
+    /**
+     * 统计仓库中的数据数量
+     * @param {string} storeName - 仓库名称
+     * @returns {Promise<number>}
+     */
+    async count(storeName) {
+        this._config(storeName)
+        return this.backend._all(`SELECT COUNT(*) FROM ${quote(storeName)}`)[0][0]
+    }
+
+    /**
+     * 在事务中等待其他异步任务，事务串行执行，直接等待即可
+     * @param {Promise} promise - 要等待的异步任务
+     * @returns {Promise<*>}
+     */
+    waitFor(promise) {
+        return promise
+    }
+
+    /**
+     * 主动回滚事务
+     */
+    abort() {
+        this.aborted = true
+    }
+}
+
+class SqlJsBackend {
+    /**
+     * 构造函数
+     * @param {string} dbName - 数据库名称
+     * @param {number} version - 数据库版本号
+     * @param {Object} options - 配置选项
+     * @param {Object|null} options.storage - 持久化存储 {load, save, remove}，默认使用 OPFS，传 null 则只保存在内存中
+     * @param {Object} options.sqlJs - 已初始化的 sql.js 模块（可选）
+     */
+    constructor(dbName, version = 1, options = {}) {
+        this.dbName = dbName
+        this.version = version
+        this.db = null
+        this.SQL = options.sqlJs || null
+        this.configs = new Map() // 仓库配置 storeName -> {config, seq}
+        this.queue = new SerialQueue()
+        this.batching = false // 批量写入期间持有写锁，事务提交后暂不保存
+        this.dirty = false // 内存中有尚未保存到文件的修改
+
+        if (options.storage !== undefined) {
+            this.storage = options.storage
+        } else if (typeof navigator !== 'undefined' && navigator.storage?.getDirectory) {
+            this.storage = createOPFSStorage(`${dbName}.sqlite`)
+        } else {
+            console.warn(`未找到可用的持久化存储，数据库 ${dbName} 只保存在内存中`)
+            this.storage = null
+        }
+    }
+
+    /**
+     * 执行查询并返回所有行
+     * @private
+     */
+    _all(sql, params = []) {
+        const statement = this.db.prepare(sql)
+        try {
+            statement.bind(params)
+            const rows = []
+            while (statement.step()) {
+                rows.push(statement.get())
+            }
+            return rows
+        } finally {
+            statement.free()
+        }
+    }
+
+    /**
+     * 从 __stores 表读取仓库配置
+     * @private
+     */
+    _loadConfigs() {
+        this.configs = new Map()
+        this._all(`SELECT name, config, seq FROM ${STORES_TABLE}`).forEach(([name, config, seq]) => {
+            this.configs.set(name, { config: JSON.parse(config), seq })
+        })
+    }
+
+    /**
+     * 获取仓库配置
+     * @private
+     */
+    _getConfig(storeName) {
+        const entry = this.configs.get(storeName)
+        if (!entry) {
+            throw createError('NotFoundError', `仓库 ${storeName} 不存在`)
+        }
+        return entry
+    }
+
+    /**
+     * 保存仓库配置
+     * @private
+     */
+    _saveConfig(storeName) {
+        const entry = this.configs.get(storeName)
+        this.db.run(
+            `INSERT INTO ${STORES_TABLE} (name, config, seq) VALUES (?, ?, ?) ON CONFLICT(name) DO UPDATE SET config = excluded.config, seq = excluded.seq`,
+            [storeName, JSON.stringify(entry.config), entry.seq]
+        )
+    }
+
+    /**
+     * 更新自增主键的当前值
+     * @private
+     */
+    _setSeq(storeName, seq) {
+        this._getConfig(storeName).seq = seq
+        this.db.run(`UPDATE ${STORES_TABLE} SET seq = ? WHERE name = ?`, [seq, storeName])
+    }
+
+    /**
+     * 创建仓库对应的表和索引
+     * @private
+     */
+    _createStore(storeName, config) {
+        this.db.run(`CREATE TABLE ${quote(storeName)} (key PRIMARY KEY, value TEXT NOT NULL)`)
+        this.configs.set(storeName, { config: { ...config, indexes: [] }, seq: 0 })
+        config.indexes.forEach(index => this._createIndex(storeName, index))
+        this._saveConfig(storeName)
+    }
+
+    /**
+     * 创建索引，多值索引只记录配置
+     * @private
+     */
+    _createIndex(storeName, index) {
+        const entry = this._getConfig(storeName)
+        if (entry.config.indexes.some(item => item.name === index.name)) return
+
+        entry.config.indexes.push(index)
+        if (!index.multiEntry) {
+            const unique = index.unique ? 'UNIQUE ' : ''
+            this.db.run(`CREATE ${unique}INDEX ${quote(`${storeName}__${index.name}`)} ON ${quote(storeName)} (${fieldExpr(getIndexKeyPath(index))})`)
+        }
+        this._saveConfig(storeName)
+    }
+
+    /**
+     * 构建迁移上下文
+     * @private
+     */
+    _createMigrationContext(oldVersion, newVersion, stores) {
+        return {
+            db: this.db,
+            transaction: null,
+            oldVersion,
+            newVersion,
+            createStore: (storeName, options = {}) => {
+                if (!this.configs.has(storeName)) {
+                    this._createStore(storeName, normalizeStoreConfig(options))
+                }
+            },
+            deleteStore: (storeName) => {
+                if (!this.configs.has(storeName)) return
+                this.db.run(`DROP TABLE ${quote(storeName)}`)
+                this.db.run(`DELETE FROM ${STORES_TABLE} WHERE name = ?`, [storeName])
+                this.configs.delete(storeName)
+            },
+            recreateStore: async (storeName) => {
+                const entry = this._getConfig(storeName)
+                if (!stores.has(storeName)) {
+                    throw createError('NotFoundError', `仓库 ${storeName} 没有配置`)
+                }
+                // 数据表不变，删除旧索引并替换配置，配置中的索引在迁移完成后重新创建
+                entry.config.indexes.forEach(index => {
+                    this.db.run(`DROP INDEX IF EXISTS ${quote(`${storeName}__${index.name}`)}`)
+                })
+                entry.config = { ...stores.get(storeName), indexes: [] }
+                entry.seq = 0
+                this._saveConfig(storeName)
+                return this._all(`SELECT COUNT(*) FROM ${quote(storeName)}`)[0][0]
+            },
+            createIndex: (storeName, index) => {
+                this._createIndex(storeName, index)
+            },
+            deleteIndex: (storeName, indexName) => {
+                const entry = this._getConfig(storeName)
+                this.db.run(`DROP INDEX IF EXISTS ${quote(`${storeName}__${indexName}`)}`)
+                entry.config.indexes = entry.config.indexes.filter(item => item.name !== indexName)
+                this._saveConfig(storeName)
+            },
+            updateRecords: async (storeName, callback) => {
+                const { keyPath } = this._getConfig(storeName).config
+                let changed = 0
+                this._all(`SELECT key, value FROM ${quote(storeName)} ORDER BY key`).forEach(([key, value]) => {
+                    const result = callback(JSON.parse(value))
+                    if (result === null) {
+                        this.db.run(`DELETE FROM ${quote(storeName)} WHERE key = ?`, [key])
+                        changed++
+                    } else if (result !== undefined) {
+                        // 主键改变时一并更新 key 列
+                        const newKey = getValueByPath(result, keyPath)
+                        this.db.run(`UPDATE ${quote(storeName)} SET key = ?, value = ? WHERE key = ?`, [newKey === undefined ? key : encodeKey(newKey), JSON.stringify(result), key])
+                        changed++
+                    }
+                })
+                return changed
+            },
+            putRecords: async (storeName, items) => {
+                const { keyPath } = this._getConfig(storeName).config
+                items.forEach(item => {
+                    const key = getValueByPath(item, keyPath)
+                    if (key === undefined) {
+                        throw createError('DataError', `仓库 ${storeName} 的数据缺少主键 ${keyPath}`)
+                    }
+                    this.db.run(
+                        `INSERT INTO ${quote(storeName)} (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+                        [encodeKey(key), JSON.stringify(item)]
+                    )
+                })
+                return items.length
+            }
+        }
+    }
+
+    /**
+     * 保存数据库文件到持久化存储
+     * @private
+     */
+    async _persist() {
+        if (this.storage) {
+            await this.storage.save(this.db.export())
+        }
+    }
+
+    /**
+     * 保存已提交的修改，保存失败时从文件恢复内存中的数据库，使两者保持一致
+     * @private
+     */
+    async _save() {
+        try {
+            await this._persist()
+        } catch (error) {
+            try {
+                await this._load()
+            } catch (loadError) {
+                console.error(`恢复数据库 ${this.dbName} 失败:`, loadError)
+            }
+            throw error
+        } finally {
+            this.dirty = false
+        }
+    }
+
+    /**
+     * 从持久化存储重新读取数据库文件，文件不存在时保留内存中的数据库
+     * @private
+     */
+    async _load() {
+        const data = await this.storage.load()
+        if (!data) return
+        this.db.close()
+        this.db = new this.SQL.Database(data)
+        this._loadConfigs()
+    }
+
+    /**
+     * 持有跨标签页的写锁执行任务，读取文件到保存文件之间其他标签页不能写入
+     * 没有持久化存储或环境不支持 Web Locks 时直接执行
+     * @private
+     */
+    _withWriteLock(task) {
+        if (!this.storage || typeof navigator === 'undefined' || !navigator.locks) {
+            return task()
+        }
+        return navigator.locks.request(`${this.dbName}.sqlite`, task)
+    }
+
+    /**
+     * 打开数据库
+     * @param {Object} schema - {stores, migrations}
+     * @returns {Promise<Object>} sql.js Database 对象
+     */
+    open({ stores, migrations }) {
+        // 持有写锁，避免多个标签页同时升级
+        return this.queue.run(() => this._withWriteLock(async () => {
+            if (this.db) return this.db
+
+            if (!this.SQL) {
+                this.SQL = await loadSqlJs()
+            }
+            const data = this.storage ? await this.storage.load() : null
+            this.db = new this.SQL.Database(data || undefined)
+
+            this.db.run(`CREATE TABLE IF NOT EXISTS ${META_TABLE} (key TEXT PRIMARY KEY, value TEXT)`)
+            this.db.run(`CREATE TABLE IF NOT EXISTS ${STORES_TABLE} (name TEXT PRIMARY KEY, config TEXT NOT NULL, seq INTEGER NOT NULL DEFAULT 0)`)
+            this._loadConfigs()
+
+            const versionRows = this._all(`SELECT value FROM ${META_TABLE} WHERE key = 'version'`)
+            const oldVersion = versionRows.length > 0 ? Number(versionRows[0][0]) : 0
+
+            if (oldVersion > this.version) {
+                this.close()
+                throw createError('VersionError', `数据库 ${this.dbName} 的版本 ${oldVersion} 高于请求的版本 ${this.version}`)
+            }
+
+            if (oldVersion < this.version) {
+                this.db.run('BEGIN')
+                try {
+                    // 先创建缺失的仓库，执行迁移后再创建索引，已有数据不会被删除
+                    stores.forEach((config, storeName) => {
+                        if (!this.configs.has(storeName)) {
+                            this._createStore(storeName, { ...config, indexes: [] })
+                        }
+                    })
+
+                    // 首次创建时仓库配置即为最新结构，无需执行迁移
+                    if (oldVersion !== 0) {
+                        await runMigrations(migrations, this._createMigrationContext(oldVersion, this.version, stores), this.dbName)
+                    }
+
+                    stores.forEach((config, storeName) => {
+                        // 迁移中删除的仓库
+                        if (!this.configs.has(storeName)) return
+                        config.indexes.forEach(index => this._createIndex(storeName, index))
+                    })
+
+                    this.db.run(
+                        `INSERT INTO ${META_TABLE} (key, value) VALUES ('version', ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value`,
+                        [String(this.version)]
+                    )
+                    this.db.run('COMMIT')
+                } catch (error) {
+                    this.db.run('ROLLBACK')
+                    this.close()
+                    throw error
+                }
+                try {
+                    await this._persist()
+                } catch (error) {
+                    // 文件仍是旧版本，下次打开时重新升级
+                    this.close()
+                    throw error
+                }
+            }
+
+            return this.db
+        }))
+    }
+
+    /**
+     * 获取所有仓库名称
+     * @returns {Array<string>}
+     */
+    storeNames() {
+        return Array.from(this.configs.keys())
+    }
+
+    /**
+     * 在事务中执行回调，回调抛出错误或主动回滚时撤销全部修改
+     * 事务串行执行，回调中请使用事务作用域的方法，不要再调用数据库工具类的方法
+     * @param {Array<string>} storeNames - 涉及的仓库名称
+     * @param {string} mode - 'readonly' 或 'readwrite'
+     * @param {Function} callback - 回调函数，接收事务作用域
+     * @returns {Promise<Object>} {result, changes}
+     */
+    transaction(storeNames, mode, callback) {
+        if (mode === 'readwrite') {
+            return this.queue.run(() => {
+                // 批量写入已经持有写锁，提交后在批量结束时统一保存
+                if (this.batching) return this._runWrite(storeNames, callback)
+                return this._withWriteLock(() => this._runWrite(storeNames, callback))
+            })
+        }
+        return this.queue.run(() => this._runTransaction(storeNames, mode, callback))
+    }
+
+    /**
+     * 批量执行多个写事务，期间持有写锁，所有事务结束后只保存一次文件
+     * 任务出错时已提交的事务仍会保存；保存失败时已提交的修改全部撤销
+     * @param {Function} task - 在其中调用 transaction 的异步函数
+     * @returns {Promise<*>} task 的返回值
+     */
+    batch(task) {
+        if (this.batching) return task()
+        return this._withWriteLock(async () => {
+            this.batching = true
+            try {
+                return await task()
+            } finally {
+                this.batching = false
+                if (this.dirty) {
+                    await this.queue.run(() => this._save())
+                }
+            }
+        })
+    }
+
+    /**
+     * 持有写锁后执行写事务并保存
+     * @private
+     */
+    async _runWrite(storeNames, callback) {
+        // 其他标签页可能已经保存了新的文件，内存中没有未保存的修改时先重新读取
+        if (this.storage && !this.dirty) await this._load()
+        const outcome = await this._runTransaction(storeNames, 'readwrite', callback)
+        if (outcome.changes.length > 0) {
+            this.dirty = true
+            if (!this.batching) await this._save()
+        }
+        return outcome
+    }
+
+    /**
+     * 执行事务，由 transaction 排队后调用
+     * @private
+     */
+    async _runTransaction(storeNames, mode, callback) {
+        storeNames.forEach(storeName => this._getConfig(storeName))
+        const scope = new SqlJsTransactionScope(this, storeNames, mode)
+
+        const rollback = () => {
+            this.db.run('ROLLBACK')
+            this._loadConfigs()
+        }
+
+        this.db.run('BEGIN')
+        let result
+        try {
+            result = await callback(scope)
+        } catch (error) {
+            rollback()
+            throw error
+        }
+
+        if (scope.aborted) {
+            rollback()
+            throw createError('AbortError', '事务已回滚')
+        }
+
+        this.db.run('COMMIT')
+        return { result, changes: scope.changes }
+    }
+
+    /**
+     * 按主键顺序遍历数据
+     * @param {string} storeName - 仓库名称
+     * @param {Function} callback - 回调函数，接收每条数据
+     * @param {Object} options - {direction, range}，range 为 {lower, upper, lowerOpen, upperOpen}
+     * @returns {Promise<Array>}
+     */
+    async cursor(storeName, callback, options = {}) {
+        this._getConfig(storeName)
+        const desc = options.direction === 'prev' || options.direction === 'prevunique'
+        const results = []
+
+        this._all(`SELECT key, value FROM ${quote(storeName)} ORDER BY key ${desc ? 'DESC' : 'ASC'}`).forEach(([key, value]) => {
+            if (!inRange(decodeKey(key), options.range)) return
+            const item = JSON.parse(value)
+            if (callback(item, null) !== false) {
+                results.push(item)
+            }
+        })
+        return results
+    }
+
+    /**
+     * 将查询字段转换为 SQL 表达式：主键对应 key 列，索引名对应索引字段，其他按字段路径读取
+     * @private
+     */
+    _queryExpr(config, field) {
+        if (field === config.keyPath) return 'key'
+        const index = config.indexes.find(item => item.name === field)
+        return fieldExpr(index ? getIndexKeyPath(index) : field)
+    }
+
+    /**
+     * 执行查询描述，范围、排序和分页都由 SQLite 完成，自定义过滤函数在读取后执行
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<Array>}
+     */
+    async executeQuery(spec) {
+        const { config } = this._getConfig(spec.storeName)
+        const { where, orderBy, filters, offset, limit } = spec
+        const conditions = []
+        const params = []
+
+        if (where) {
+            const expr = this._queryExpr(config, where.field)
+            const { lower, upper, lowerOpen, upperOpen } = where.range
+            if (lower !== undefined) {
+                conditions.push(`${expr} ${lowerOpen ? '>' : '>='} ?`)
+                params.push(expr === 'key' ? encodeKey(lower) : lower)
+            }
+            if (upper !== undefined) {
+                conditions.push(`${expr} ${upperOpen ? '<' : '<='} ?`)
+                params.push(expr === 'key' ? encodeKey(upper) : upper)
+            }
+        }
+
+        const orderField = orderBy?.field || where?.field || config.keyPath
+        const direction = orderBy?.direction === 'desc' ? 'DESC' : 'ASC'
+        let sql = `SELECT value FROM ${quote(spec.storeName)}`
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`
+        }
+        sql += ` ORDER BY ${this._queryExpr(config, orderField)} ${direction}, key ${direction}`
+
+        if (filters.length === 0) {
+            sql += ' LIMIT ? OFFSET ?'
+            params.push(limit === null ? -1 : limit, offset)
+        }
+
+        let results = this._all(sql, params).map(row => JSON.parse(row[0]))
+        if (filters.length > 0) {
+            results = results.filter(item => filters.every(fn => fn(item)))
+            results = results.slice(offset, limit === null ? undefined : offset + limit)
+        }
+        return results
+    }
+
+    /**
+     * 统计查询描述匹配的数据数量
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<number>}
+     */
+    async countQuery(spec) {
+        const results = await this.executeQuery({ ...spec, orderBy: null, offset: 0, limit: null })
+        return results.length
+    }
+
+    /**
+     * 其他标签页修改数据后，从持久化存储重新加载数据库文件
+     * @returns {Promise}
+     */
+    reload() {
+        return this.queue.run(async () => {
+            // 批量写入中尚未保存的修改不能被文件覆盖
+            if (!this.db || !this.storage || this.dirty) return
+            await this._load()
+        })
+    }
+
+    /**
+     * 导出整个 SQLite 数据库文件
+     * @returns {Uint8Array}
+     */
+    export() {
+        return this.db.export()
+    }
+
+    /**
+     * 关闭数据库连接
+     */
+    close() {
+        if (this.db) {
+            this.db.close()
+            this.db = null
+        }
+        this.dirty = false
+    }
+
+    /**
+     * 删除数据库
+     * @returns {Promise}
+     */
+    async destroy() {
+        this.close()
+        this.configs = new Map()
+        await this.storage?.remove?.()
+    }
+}
+
+export default SqlJsBackend
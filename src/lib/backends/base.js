@@ -0,0 +1,88 @@
+/**
+ * 存储后端公共方法
+ *
+ * 每个存储后端需实现以下接口，由 IndexedDBHelper 统一调用：
+ * - open({ stores, migrations, onBlocked, onVersionChange }): 打开数据库，创建缺失的仓库并执行版本迁移，返回底层数据库对象，
+ *   onBlocked、onVersionChange 为可选的回调，只有多个连接会互相阻止升级的后端才会调用
+ * - storeNames(): 返回所有仓库名称
+ * - transaction(storeNames, mode, callback): 在事务中执行回调，返回 { result, changes }
+ * - executeQuery(spec) / countQuery(spec): 执行 QueryBuilder 生成的查询描述
+ * - cursor(storeName, callback, options): 按主键顺序遍历数据
+ * - close() / destroy(): 关闭连接 / 删除数据库
+ * - reload(): 可选，其他标签页修改数据后重新加载
+ */
+
+/**
+ * 规范化仓库配置
+ * @param {Object} options - addStore 传入的配置
+ * @returns {Object} {keyPath, autoIncrement, indexes, encrypt}
+ */
+export function normalizeStoreConfig(options = {}) {
+    return {
+        keyPath: options.keyPath || 'id',
+        autoIncrement: options.autoIncrement || false,
+        indexes: options.indexes || [],
+        encrypt: options.encrypt || []
+    }
+}
+
+/**
+ * 获取索引对应的字段路径
+ * @param {Object} index - 索引配置 {name, keyPath}
+ * @returns {string}
+ */
+export function getIndexKeyPath(index) {
+    return index.keyPath || index.name
+}
+
+/**
+ * 创建带名称的错误，名称与 IndexedDB 的 DOMException 保持一致，例如 ConstraintError、DataError
+ * @param {string} name - 错误名称
+ * @param {string} message - 错误信息
+ * @returns {Error}
+ */
+export function createError(name, message) {
+    const error = new Error(message)
+    error.name = name
+    return error
+}
+
+/**
+ * 依次执行 (oldVersion, newVersion] 区间内的迁移
+ * @param {Map} migrations - 版本迁移函数 version -> [fn]
+ * @param {Object} context - 迁移上下文
+ * @param {string} dbName - 数据库名称，用于日志
+ */
+export async function runMigrations(migrations, context, dbName) {
+    const versions = Array.from(migrations.keys())
+        .filter(version => version > context.oldVersion && version <= context.newVersion)
+        .sort((a, b) => a - b)
+
+    for (const version of versions) {
+        for (const fn of migrations.get(version)) {
+            await fn(context)
+        }
+        console.log(`数据库 ${dbName} 已迁移到版本 ${version}`)
+    }
+}
+
+/**
+ * 串行执行队列
+ * 用于没有原生事务隔离的后端，保证同一时间只有一个事务在运行
+ */
+export class SerialQueue {
+    constructor() {
+        this.tail = Promise.resolve()
+    }
+
+    /**
+     * 排队执行任务
+     * @param {Function} task - 返回 Promise 的任务
+     * @returns {Promise<*>}
+     */
+    run(task) {
+        const result = this.tail.then(() => task())
+        this.tail = result.catch(() => { })
+        return result
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * 存储后端入口
+ */
+
+import IndexedDBBackend from './IndexedDBBackend.js'
+import MemoryBackend from './MemoryBackend.js'
+import SqlJsBackend, { createOPFSStorage } from './SqlJsBackend.js'
+
+const backends = {
+    indexeddb: IndexedDBBackend,
+    memory: MemoryBackend,
+    sqljs: SqlJsBackend
+}
+
+/**
+ * 创建存储后端
+ * @param {string} dbName - 数据库名称
+ * @param {number} version - 数据库版本号
+ * @param {Object} options - 配置选项
+ * @param {string|Object} options.backend - 'indexeddb'(默认) | 'memory' | 'sqljs'，或实现了后端接口的对象
+ * @returns {Object} 存储后端实例
+ */
+export function createBackend(dbName, version, options = {}) {
+    const backend = options.backend || 'indexeddb'
+    if (typeof backend === 'object') {
+        return backend
+    }
+
+    const Backend = backends[backend]
+    if (!Backend) {
+        throw new Error(`不支持的存储后端: ${backend}`)
+    }
+    return new Backend(dbName, version, options)
+}
+
+export { IndexedDBBackend, MemoryBackend, SqlJsBackend, createOPFSStorage }
@@ -0,0 +1,115 @@
+/**
+ * 加密备份文件（.mimi）
+ * 文件结构：4 字节标识 MIMI + 4 字节头部长度（大端）+ 头部 JSON + 密文
+ * 头部记录 KDF 参数（PBKDF2-SHA256 的盐和迭代次数）和 AES-GCM 的 IV，明文可读，但作为附加数据参与认证，不能被篡改；
+ * 密文为 gzip 压缩后的 exportData JSON
+ */
+
+import { gzipSync, gunzipSync, strToU8, strFromU8 } from 'fflate'
+import { createError } from './backends/base.js'
+import { toBase64, fromBase64, derivePassphraseKey, PBKDF2_ITERATIONS } from './encryption.js'
+
+export const BACKUP_EXTENSION = 'mimi'
+const MAGIC = strToU8('MIMI')
+const FORMAT = 'mimiDate-backup'
+const VERSION = 1
+
+/**
+ * 判断文件内容是否为加密备份
+ * @param {Uint8Array} bytes - 文件内容（至少前 4 个字节）
+ * @returns {boolean}
+ */
+export function isBackupFile(bytes) {
+    return bytes.length >= MAGIC.length && MAGIC.every((byte, index) => bytes[index] === byte)
+}
+
+/**
+ * 加密导出数据
+ * @param {Object} data - exportData 格式的数据对象
+ * @param {string} password - 密码
+ * @returns {Promise<Uint8Array>} 备份文件内容
+ */
+export async function encryptBackup(data, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const iv = crypto.getRandomValues(new Uint8Array(12))
+    const header = strToU8(JSON.stringify({
+        format: FORMAT,
+        version: VERSION,
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+        compression: 'gzip',
+        dbName: data.dbName,
+        exportDate: data.exportDate
+    }))
+
+    const prefix = new Uint8Array(8 + header.length)
+    prefix.set(MAGIC, 0)
+    new DataView(prefix.buffer).setUint32(4, header.length)
+    prefix.set(header, 8)
+
+    const key = await derivePassphraseKey(password, salt, PBKDF2_ITERATIONS, ['encrypt'])
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: prefix },
+        key,
+        gzipSync(strToU8(JSON.stringify(data)))
+    ))
+
+    const bytes = new Uint8Array(prefix.length + ciphertext.length)
+    bytes.set(prefix, 0)
+    bytes.set(ciphertext, prefix.length)
+    return bytes
+}
+
+/**
+ * 读取备份文件头部
+ * @param {Uint8Array} bytes - 备份文件内容
+ * @returns {Object} {header, prefix, ciphertext}
+ * @throws {Error} 不是加密备份或头部损坏时抛出
+ */
+export function readBackupHeader(bytes) {
+    if (!isBackupFile(bytes) || bytes.length < 8) {
+        throw new Error('不是加密备份文件')
+    }
+    const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(4)
+    if (8 + length > bytes.length) {
+        throw new Error('加密备份文件已损坏')
+    }
+
+    let header
+    try {
+        header = JSON.parse(strFromU8(bytes.subarray(8, 8 + length)))
+    } catch (e) {
+        throw new Error('加密备份文件已损坏')
+    }
+    if (header.format !== FORMAT) {
+        throw new Error('不是加密备份文件')
+    }
+    if (header.version > VERSION) {
+        throw new Error(`加密备份文件版本为 ${header.version}，请先更新应用`)
+    }
+    return { header, prefix: bytes.subarray(0, 8 + length), ciphertext: bytes.subarray(8 + length) }
+}
+
+/**
+ * 解密备份文件
+ * @param {Uint8Array} bytes - 备份文件内容
+ * @param {string} password - 密码
+ * @returns {Promise<Object>} exportData 格式的数据对象
+ * @throws {Error} 密码错误（或文件被篡改）时抛出 name 为 InvalidPassphraseError 的错误
+ */
+export async function decryptBackup(bytes, password) {
+    const { header, prefix, ciphertext } = readBackupHeader(bytes)
+    const key = await derivePassphraseKey(password, fromBase64(header.kdf.salt), header.kdf.iterations, ['decrypt'])
+
+    let compressed
+    try {
+        compressed = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(header.cipher.iv), additionalData: prefix },
+            key,
+            ciphertext
+        ))
+    } catch (error) {
+        throw createError('InvalidPassphraseError', '密码错误或文件已损坏')
+    }
+    return JSON.parse(strFromU8(gunzipSync(compressed)))
+}
@@ -0,0 +1,173 @@
+/**
+ * CSV 导入导出
+ * 按 RFC 4180 解析：引号中的单元格可以包含分隔符、换行，"" 表示一个引号；
+ * 导入时由用户指定日期、标题、内容分别在哪一列，日期支持 2025-03-04、2025/3/4、20250304 等写法
+ */
+
+import { assignIndexes } from './recordSchema.js'
+import { normalizeDate } from './markdown.js'
+
+// 导出的列，导入本应用导出的 CSV 时可以直接识别
+const EXPORT_COLUMNS = ['date', 'index', 'title', 'record']
+
+// 自动匹配列名时使用的别名
+const COLUMN_ALIASES = {
+    date: ['date', 'day', '日期', '时间', '日子'],
+    title: ['title', 'subject', 'summary', '标题', '主题', '名称'],
+    record: ['record', 'content', 'body', 'text', 'note', 'notes', 'description', '内容', '正文', '记录', '备注', '日志'],
+    index: ['index', '序号']
+}
+
+/**
+ * 根据第一行猜测分隔符：逗号、分号或制表符
+ * @param {string} text - CSV 文本
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0]
+    const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length])
+    return counts.sort((a, b) => b[1] - a[1])[0][0]
+}
+
+/**
+ * 解析 CSV 文本
+ * @param {string} text - CSV 文本
+ * @param {Object} options - 选项
+ * @param {string} options.delimiter - 分隔符（默认自动识别）
+ * @returns {Array<Array<string>>} 行数组，空行被忽略
+ */
+export function parseCSV(text, options = {}) {
+    const source = text.replace(/^﻿/, '')
+    const delimiter = options.delimiter || detectDelimiter(source)
+    const rows = []
+    let row = []
+    let cell = ''
+    let quoted = false
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i]
+        if (quoted) {
+            if (char === '"') {
+                if (source[i + 1] === '"') {
+                    cell += '"'
+                    i++
+                } else {
+                    quoted = false
+                }
+            } else {
+                cell += char
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true
+        } else if (char === delimiter) {
+            row.push(cell)
+            cell = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++
+            row.push(cell)
+            rows.push(row)
+            row = []
+            cell = ''
+        } else {
+            cell += char
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell)
+        rows.push(row)
+    }
+
+    // 引号内的换行统一为 \n
+    return rows
+        .filter(cells => cells.some(value => value.trim() !== ''))
+        .map(cells => cells.map(value => value.replace(/\r\n?/g, '\n')))
+}
+
+/**
+ * 转义单元格，包含分隔符、引号或换行时使用引号包裹
+ * @private
+ */
+function escapeCell(value) {
+    const text = String(value ?? '')
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * 生成 CSV 文本
+ * @param {Array<Array>} rows - 行数组
+ * @returns {string}
+ */
+export function stringifyCSV(rows) {
+    return rows.map(row => row.map(escapeCell).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * 将记录转换为 CSV 文本，开头带 BOM，Excel 打开时中文不会乱码
+ * @param {Array} records - 记录数组
+ * @returns {string}
+ */
+export function recordsToCSV(records) {
+    const rows = records.map(record => EXPORT_COLUMNS.map(column => record[column]))
+    return '﻿' + stringifyCSV([EXPORT_COLUMNS, ...rows])
+}
+
+/**
+ * 根据表头猜测 date、title、record、index 对应的列
+ * @param {Array<string>} header - 表头
+ * @returns {Object} {date, title, record, index}，值为列序号，找不到时为 null
+ */
+export function guessColumnMapping(header) {
+    const names = header.map(name => name.trim().toLowerCase())
+    const mapping = {}
+    for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+        const index = names.findIndex(name => aliases.includes(name))
+        mapping[field] = index === -1 ? null : index
+    }
+    return mapping
+}
+
+/**
+ * 按列映射把 CSV 行转换为 importData 可以导入的数据
+ * @param {Array<Array<string>>} rows - 数据行（不含表头）
+ * @param {Object} mapping - {date, title, record, index}，值为列序号，date 必填，其余为 null 时使用默认值
+ * @param {Object} options - 选项
+ * @param {number} options.startRow - 第一条数据在文件中的行号，用于错误提示（默认 1，有表头时为 2）
+ * @returns {Object} {stores: {records}, errors}
+ */
+export function csvToImportData(rows, mapping, options = {}) {
+    const { startRow = 1 } = options
+    const records = []
+    const errors = []
+    const cellAt = (row, index) => (index === null || index === undefined ? undefined : row[index])
+
+    rows.forEach((row, i) => {
+        const rawDate = cellAt(row, mapping.date)
+        const date = normalizeDate(rawDate)
+        if (!date) {
+            errors.push(`第 ${startRow + i} 行日期 ${JSON.stringify(rawDate ?? '')} 无法识别，已跳过`)
+            return
+        }
+        const title = cellAt(row, mapping.title)?.trim()
+        const index = Number(cellAt(row, mapping.index))
+        records.push({
+            date,
+            title: title || undefined,
+            index: Number.isInteger(index) && index > 0 ? index : undefined,
+            record: cellAt(row, mapping.record) ?? ''
+        })
+    })
+
+    return { stores: { records: assignIndexes(records) }, errors }
+}
+
+/**
+ * 导出记录为 CSV 文件
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} options - 导出选项，filter 见 exportData（可选，默认导出所有记录）
+ * @returns {Promise<Blob>}
+ */
+export async function exportCSV(db, options = {}) {
+    const { stores } = await db.exportData({ ...options, storeNames: ['records'] })
+    const records = (stores.records || []).sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index)
+    return new Blob([recordsToCSV(records)], { type: 'text/csv' })
+}
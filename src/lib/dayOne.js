@@ -0,0 +1,184 @@
+/**
+ * Day One 导入
+ * Day One 导出的 ZIP 中有一个或多个日记本的 JSON 文件（entries 数组）和 photos 文件夹，
+ * 每篇日记转换为一条记录：日期按日记所在时区的当地日期，保留标签，照片以 data URL 内嵌到 Markdown 中
+ */
+
+import { unzipSync, strFromU8 } from 'fflate'
+import { assignIndexes } from './recordSchema.js'
+import { toBase64 } from './encryption.js'
+
+// 正文中的照片引用形如 ![](dayone-moment://0A1B2C...)
+const MOMENT_PATTERN = /dayone-moment:\/\/([0-9A-Fa-f]+)/g
+const IMAGE_TYPES = {
+    jpeg: 'image/jpeg',
+    jpg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    heic: 'image/heic',
+    webp: 'image/webp'
+}
+
+/**
+ * 判断 JSON 是否为 Day One 导出的日记
+ * @param {*} json - 解析后的 JSON
+ * @returns {boolean}
+ */
+export function isDayOneExport(json) {
+    return !!json && Array.isArray(json.entries) && !json.stores
+        && json.entries.every(entry => entry && typeof entry === 'object' && 'creationDate' in entry)
+}
+
+/**
+ * 计算日记在所在时区的当地日期，时区无效时使用本机时区
+ * @param {string} creationDate - ISO 8601 时间，例如 2025-03-14T01:30:00Z
+ * @param {string} timeZone - IANA 时区，例如 Asia/Shanghai
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function localDate(creationDate, timeZone) {
+    const time = new Date(creationDate)
+    if (Number.isNaN(time.getTime())) return null
+
+    const format = (zone) => new Intl.DateTimeFormat('en-CA', { timeZone: zone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(time)
+    try {
+        return format(timeZone || undefined)
+    } catch (e) {
+        return format(undefined)
+    }
+}
+
+/**
+ * 正文开头的一级标题作为记录标题
+ * @private
+ */
+function splitTitle(text) {
+    const match = text.match(/^#\s+(.+?)\s*#*\s*(?:\n|$)/)
+    if (!match) return { title: undefined, body: text }
+    return { title: match[1], body: text.slice(match[0].length).replace(/^\n+/, '') }
+}
+
+/**
+ * 将照片引用替换为 data URL，正文中没有引用的照片附加在末尾
+ * @private
+ */
+function embedPhotos(text, entryPhotos, photos, errors, name) {
+    const byIdentifier = new Map(entryPhotos.map(photo => [photo.identifier, photo]))
+    const used = new Set()
+    const toDataURL = (photo) => {
+        const data = photos[photo.md5]
+        if (!data) {
+            errors.push(`${name} 的照片 ${photo.md5}.${photo.type} 不在导出文件中`)
+            return null
+        }
+        return `data:${IMAGE_TYPES[photo.type] || 'image/jpeg'};base64,${toBase64(data)}`
+    }
+
+    let body = text.replace(MOMENT_PATTERN, (match, identifier) => {
+        const photo = byIdentifier.get(identifier)
+        if (!photo) return match
+        used.add(identifier)
+        return toDataURL(photo) ?? match
+    })
+
+    const rest = entryPhotos
+        .filter(photo => !used.has(photo.identifier))
+        .sort((a, b) => (a.orderInEntry ?? 0) - (b.orderInEntry ?? 0))
+        .map(toDataURL)
+        .filter(Boolean)
+        .map(url => `![](${url})`)
+    if (rest.length > 0) {
+        body = [body, ...rest].filter(Boolean).join('\n\n')
+    }
+    return body
+}
+
+/**
+ * 将 Day One 日记转换为 importData 可以导入的数据
+ * @param {Object|Array<Object>} journals - Day One 导出的 JSON，多个日记本时为数组
+ * @param {Object|null} photos - 照片文件 md5 -> 文件内容，为 null 时照片引用保持不变
+ * @returns {Object} {stores: {records}, errors}
+ */
+export function parseDayOne(journals, photos = null) {
+    const entries = [journals].flat().flatMap(journal => journal.entries)
+        .sort((a, b) => String(a.creationDate).localeCompare(String(b.creationDate)))
+    const records = []
+    const errors = []
+
+    entries.forEach((entry, i) => {
+        const name = `第 ${i + 1} 篇日记（${entry.creationDate}）`
+        const date = localDate(entry.creationDate, entry.timeZone)
+        if (!date) {
+            errors.push(`${name} 的创建时间无法识别，已跳过`)
+            return
+        }
+
+        const { title, body } = splitTitle(String(entry.text ?? '').replace(/\r\n?/g, '\n').trimEnd())
+        const record = {
+            date,
+            title,
+            index: undefined,
+            record: photos ? embedPhotos(body, entry.photos || [], photos, errors, name) : body
+        }
+        const tags = (entry.tags || []).filter(tag => typeof tag === 'string' && tag !== '')
+        if (tags.length > 0) record.tags = tags
+        records.push(record)
+    })
+
+    return { stores: { records: assignIndexes(records) }, errors }
+}
+
+/**
+ * 解析 Day One 导出的 ZIP
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP 文件内容
+ * @returns {Object|null} {stores: {records}, errors}，不是 Day One 导出时返回 null
+ */
+export function parseDayOneZip(buffer) {
+    const files = unzipSync(new Uint8Array(buffer), {
+        filter: file => !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+            && (/\.json$/i.test(file.name) || /^(.*\/)?photos\/[^/]+$/i.test(file.name))
+    })
+
+    const journals = []
+    const photos = {}
+    for (const [path, data] of Object.entries(files)) {
+        if (/\.json$/i.test(path)) {
+            try {
+                const json = JSON.parse(strFromU8(data))
+                if (isDayOneExport(json)) journals.push(json)
+            } catch (e) {
+                // 不是日记本的 JSON 文件
+            }
+        } else {
+            photos[path.split('/').pop().replace(/\.[^.]+$/, '')] = data
+        }
+    }
+    return journals.length > 0 ? parseDayOne(journals, photos) : null
+}
+
+/**
+ * 读取 Day One 导出的 JSON 或 ZIP，供 IndexedDBHelper.addFileParser 使用
+ * 只有 JSON 时照片无法导入，照片引用保持不变
+ * @param {File} file - 导入的文件
+ * @returns {Promise<Object|null>} {stores: {records}, errors}，不是 Day One 导出时返回 null
+ */
+export async function parseDayOneFile(file) {
+    const fileName = file.name.toLowerCase()
+    if (fileName.endsWith('.zip')) {
+        return parseDayOneZip(await file.arrayBuffer())
+    }
+    if (!fileName.endsWith('.json')) return null
+
+    let json
+    try {
+        json = JSON.parse(await file.text())
+    } catch (e) {
+        return null
+    }
+    if (!isDayOneExport(json)) return null
+
+    const result = parseDayOne(json)
+    if (json.entries.some(entry => entry.photos?.length > 0)) {
+        result.errors.push('只导入了 JSON 文件，照片没有导入，请选择 Day One 导出的 ZIP 文件')
+    }
+    return result
+}
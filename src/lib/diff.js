@@ -0,0 +1,118 @@
+/**
+ * 文本差异比较
+ * 基于最长公共子序列按行比较两段文本
+ */
+
+// 最长公共子序列表的最大单元格数（约 16 MB），超过时不再逐行比较
+const MAX_TABLE_SIZE = 4 * 1024 * 1024
+
+/**
+ * 按行比较两段文本
+ * 去掉相同的开头和结尾后，中间不同的部分过长时整段作为删除和新增，避免占用过多内存
+ * @param {string} oldText - 旧文本
+ * @param {string} newText - 新文本
+ * @returns {Array} 差异数组 [{type: 'equal' | 'add' | 'remove', value, oldLine, newLine}]，行号从 1 开始
+ */
+export function diffLines(oldText, newText) {
+    const oldLines = (oldText || '').split('\n')
+    const newLines = (newText || '').split('\n')
+
+    // 去掉相同的开头和结尾，减少需要计算的行数
+    let start = 0
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++
+    }
+    let oldEnd = oldLines.length
+    let newEnd = newLines.length
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--
+        newEnd--
+    }
+
+    const a = oldLines.slice(start, oldEnd)
+    const b = newLines.slice(start, newEnd)
+    const n = a.length
+    const m = b.length
+
+    // lengths[i][j] 为 a[i..] 与 b[j..] 的最长公共子序列长度，超过大小上限时为 null
+    const lengths = (n + 1) * (m + 1) <= MAX_TABLE_SIZE ? new Uint32Array((n + 1) * (m + 1)) : null
+    for (let i = n - 1; lengths && i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lengths[i * (m + 1) + j] = a[i] === b[j]
+                ? lengths[(i + 1) * (m + 1) + j + 1] + 1
+                : Math.max(lengths[(i + 1) * (m + 1) + j], lengths[i * (m + 1) + j + 1])
+        }
+    }
+
+    const result = []
+    let oldLine = 1
+    let newLine = 1
+    const push = (type, value) => {
+        result.push({
+            type,
+            value,
+            oldLine: type === 'add' ? null : oldLine,
+            newLine: type === 'remove' ? null : newLine
+        })
+        if (type !== 'add') oldLine++
+        if (type !== 'remove') newLine++
+    }
+
+    oldLines.slice(0, start).forEach(line => push('equal', line))
+
+    let i = 0
+    let j = 0
+    while (lengths && i < n && j < m) {
+        if (a[i] === b[j]) {
+            push('equal', a[i])
+            i++
+            j++
+        } else if (lengths[(i + 1) * (m + 1) + j] >= lengths[i * (m + 1) + j + 1]) {
+            push('remove', a[i])
+            i++
+        } else {
+            push('add', b[j])
+            j++
+        }
+    }
+    while (i < n) push('remove', a[i++])
+    while (j < m) push('add', b[j++])
+
+    oldLines.slice(oldEnd).forEach(line => push('equal', line))
+    return result
+}
+
+/**
+ * 将按行比较的结果转换为左右对照的行，连续的删除行和新增行两两对齐
+ * @param {Array} diff - diffLines 的结果
+ * @returns {Array} [{left, right}]，left、right 为 {type, value, line} 或 null
+ */
+export function toSideBySide(diff) {
+    const rows = []
+    let removed = []
+    let added = []
+
+    const flush = () => {
+        for (let i = 0; i < Math.max(removed.length, added.length); i++) {
+            rows.push({ left: removed[i] || null, right: added[i] || null })
+        }
+        removed = []
+        added = []
+    }
+
+    for (const line of diff) {
+        if (line.type === 'remove') {
+            removed.push({ type: 'remove', value: line.value, line: line.oldLine })
+        } else if (line.type === 'add') {
+            added.push({ type: 'add', value: line.value, line: line.newLine })
+        } else {
+            flush()
+            rows.push({
+                left: { type: 'equal', value: line.value, line: line.oldLine },
+                right: { type: 'equal', value: line.value, line: line.newLine }
+            })
+        }
+    }
+    flush()
+    return rows
+}
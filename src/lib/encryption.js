@@ -0,0 +1,310 @@
+/**
+ * 静态数据加密
+ * 使用口令通过 PBKDF2 派生密钥加密密钥（KEK），再用它包装随机生成的数据密钥（DEK），
+ * 记录字段使用 DEK 以 AES-GCM 加密。修改口令时只需重新包装 DEK，不必重新加密所有数据
+ */
+
+import { createError } from './backends/base.js'
+
+const PREFIX = 'enc:v1:' // 加密字段的前缀，用于区分明文和密文
+export const PBKDF2_ITERATIONS = 600000
+const IV_LENGTH = 12
+
+const encoder = new TextEncoder()
+const decoder = new TextDecoder()
+
+/**
+ * 字节数组转 base64
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string}
+ */
+export function toBase64(bytes) {
+    let binary = ''
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+    }
+    return btoa(binary)
+}
+
+/**
+ * base64 转字节数组
+ * @param {string} text - base64 字符串
+ * @returns {Uint8Array}
+ */
+export function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0))
+}
+
+/**
+ * 使用口令通过 PBKDF2-SHA256 派生 AES-GCM 密钥
+ * @param {string} passphrase - 口令
+ * @param {Uint8Array} salt - 盐
+ * @param {number} iterations - 迭代次数
+ * @param {Array<string>} usages - 密钥用途，例如 ['encrypt', 'decrypt']
+ * @returns {Promise<CryptoKey>}
+ */
+export async function derivePassphraseKey(passphrase, salt, iterations, usages) {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey'])
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        usages
+    )
+}
+
+/**
+ * 使用口令派生密钥加密密钥
+ * @private
+ */
+function deriveKEK(passphrase, salt, iterations) {
+    return derivePassphraseKey(passphrase, salt, iterations, ['wrapKey', 'unwrapKey'])
+}
+
+/**
+ * 用口令包装数据密钥
+ * @private
+ */
+async function wrapDataKey(dataKey, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+    const kek = await deriveKEK(passphrase, salt, PBKDF2_ITERATIONS)
+    const wrapped = await crypto.subtle.wrapKey('raw', dataKey, kek, { name: 'AES-GCM', iv })
+    return {
+        kdf: 'PBKDF2-SHA256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: toBase64(salt),
+        iv: toBase64(iv),
+        wrappedKey: toBase64(new Uint8Array(wrapped))
+    }
+}
+
+/**
+ * 生成新的数据密钥，并用口令包装
+ * @param {string} passphrase - 口令
+ * @returns {Promise<Object>} {key, info}，info 为可保存的密钥信息（不含明文密钥）
+ */
+export async function createKeyInfo(passphrase) {
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt'])
+    const info = await wrapDataKey(key, passphrase)
+    return { key, info }
+}
+
+/**
+ * 使用口令解开数据密钥
+ * @param {string} passphrase - 口令
+ * @param {Object} info - createKeyInfo 生成的密钥信息
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} 口令错误时抛出 name 为 InvalidPassphraseError 的错误
+ */
+export async function unwrapKeyInfo(passphrase, info) {
+    const kek = await deriveKEK(passphrase, fromBase64(info.salt), info.iterations)
+    try {
+        return await crypto.subtle.unwrapKey(
+            'raw',
+            fromBase64(info.wrappedKey),
+            kek,
+            { name: 'AES-GCM', iv: fromBase64(info.iv) },
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        )
+    } catch (error) {
+        throw createError('InvalidPassphraseError', '口令错误')
+    }
+}
+
+/**
+ * 用新口令重新包装数据密钥
+ * @param {CryptoKey} key - 数据密钥
+ * @param {string} passphrase - 新口令
+ * @returns {Promise<Object>} 新的密钥信息
+ */
+export function rewrapKeyInfo(key, passphrase) {
+    return wrapDataKey(key, passphrase)
+}
+
+/**
+ * 判断字段值是否为密文
+ * @param {*} value - 字段值
+ * @returns {boolean}
+ */
+export function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX)
+}
+
+/**
+ * 加密字符串
+ * @param {CryptoKey} key - 数据密钥
+ * @param {string} text - 明文
+ * @returns {Promise<string>} 形如 enc:v1:<iv>:<密文> 的字符串
+ */
+export async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH))
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text))
+    return `${PREFIX}${toBase64(iv)}:${toBase64(new Uint8Array(data))}`
+}
+
+/**
+ * 解密字符串
+ * @param {CryptoKey} key - 数据密钥
+ * @param {string} value - encryptText 生成的密文
+ * @returns {Promise<string>}
+ */
+export async function decryptText(key, value) {
+    const [iv, data] = value.slice(PREFIX.length).split(':')
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data))
+    return decoder.decode(plain)
+}
+
+/**
+ * 字段加解密器
+ * 只处理仓库配置中 encrypt 列出的字段，非字符串的字段值保持不变
+ */
+export class FieldCipher {
+    /**
+     * 构造函数
+     * @param {CryptoKey} key - 数据密钥
+     * @param {Map} stores - 仓库配置 storeName -> {encrypt: [...fields]}
+     */
+    constructor(key, stores) {
+        this.key = key
+        this.stores = stores
+    }
+
+    /**
+     * 获取仓库需要加密的字段
+     * @param {string} storeName - 仓库名称
+     * @returns {Array<string>}
+     */
+    fields(storeName) {
+        return this.stores.get(storeName)?.encrypt || []
+    }
+
+    /**
+     * 加密一条数据，返回新对象
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 明文数据
+     * @returns {Promise<Object>}
+     */
+    async encode(storeName, item) {
+        const fields = this.fields(storeName)
+        if (fields.length === 0 || !item) return item
+
+        const encoded = { ...item }
+        for (const field of fields) {
+            if (typeof encoded[field] === 'string' && !isEncryptedValue(encoded[field])) {
+                encoded[field] = await encryptText(this.key, encoded[field])
+            }
+        }
+        return encoded
+    }
+
+    /**
+     * 解密一条数据，明文字段原样返回
+     * @param {string} storeName - 仓库名称
+     * @param {Object} item - 存储中的数据
+     * @returns {Promise<Object>}
+     */
+    async decode(storeName, item) {
+        const fields = this.fields(storeName)
+        if (fields.length === 0 || !item) return item
+
+        const decoded = { ...item }
+        for (const field of fields) {
+            if (isEncryptedValue(decoded[field])) {
+                decoded[field] = await decryptText(this.key, decoded[field])
+            }
+        }
+        return decoded
+    }
+
+    /**
+     * 解密多条数据
+     * @param {string} storeName - 仓库名称
+     * @param {Array} items - 存储中的数据
+     * @returns {Promise<Array>}
+     */
+    decodeAll(storeName, items) {
+        return Promise.all(items.map(item => this.decode(storeName, item)))
+    }
+}
+
+/**
+ * 加密事务作用域
+ * 包装后端的事务作用域，写入前加密、读取后解密，接口与后端事务作用域一致
+ */
+export class EncryptedTransactionScope {
+    /**
+     * 构造函数
+     * @param {Object} scope - 后端事务作用域
+     * @param {FieldCipher} cipher - 字段加解密器
+     */
+    constructor(scope, cipher) {
+        this.scope = scope
+        this.cipher = cipher
+    }
+
+    /**
+     * 获取原生仓库对象（仅 IndexedDB 后端可用），直接读写时不会加解密
+     */
+    objectStore(storeName) {
+        return this.scope.objectStore(storeName)
+    }
+
+    /**
+     * 加密后添加数据
+     */
+    async add(storeName, item) {
+        return this.scope.add(storeName, await this.scope.waitFor(this.cipher.encode(storeName, item)))
+    }
+
+    /**
+     * 加密后更新数据
+     */
+    async put(storeName, item) {
+        return this.scope.put(storeName, await this.scope.waitFor(this.cipher.encode(storeName, item)))
+    }
+
+    /**
+     * 读取并解密数据，getAll、getByIndex 同理
+     */
+    async get(storeName, key) {
+        const item = await this.scope.get(storeName, key)
+        return this.scope.waitFor(this.cipher.decode(storeName, item))
+    }
+
+    async getAll(storeName) {
+        const items = await this.scope.getAll(storeName)
+        return this.scope.waitFor(this.cipher.decodeAll(storeName, items))
+    }
+
+    async getByIndex(storeName, indexName, value) {
+        const items = await this.scope.getByIndex(storeName, indexName, value)
+        return this.scope.waitFor(this.cipher.decodeAll(storeName, items))
+    }
+
+    /**
+     * 不涉及字段内容的操作直接交给后端事务作用域
+     */
+    delete(storeName, key) {
+        return this.scope.delete(storeName, key)
+    }
+
+    clear(storeName) {
+        return this.scope.clear(storeName)
+    }
+
+    count(storeName) {
+        return this.scope.count(storeName)
+    }
+
+    waitFor(promise) {
+        return this.scope.waitFor(promise)
+    }
+
+    abort() {
+        this.scope.abort()
+    }
+}
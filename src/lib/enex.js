@@ -0,0 +1,267 @@
+/**
+ * Evernote (.enex) 导入
+ * 每个 <note> 转换为一条记录：created 时间的本地日期为记录日期，title 为标题，
+ * ENML 正文使用与编辑器相同的 Lute 转换为 Markdown，图片等附件解码后以 data URL 内嵌到正文中
+ */
+
+import { assignIndexes } from './recordSchema.js'
+import { toBase64, fromBase64 } from './encryption.js'
+
+// 与编辑器一样使用随应用部署的 Vditor 资源
+const CDN = '.'
+// 转换前附件先替换为占位链接，转换后再换成 data URL，避免 Lute 处理很长的 data URL
+const PLACEHOLDER = 'mimiresource'
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' }
+
+/**
+ * 还原 XML 实体
+ * @private
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1))
+            return String.fromCodePoint(code)
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match
+    })
+}
+
+/**
+ * 读取元素的文本，CDATA 原样返回，其余还原实体
+ * @private
+ */
+function elementText(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`))
+    if (!match) return null
+    const cdata = match[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/)
+    return cdata ? cdata[1] : decodeEntities(match[1])
+}
+
+/**
+ * 读取所有同名元素的内容
+ * @private
+ */
+function elements(xml, tag) {
+    return Array.from(xml.matchAll(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g')), match => match[1])
+}
+
+/**
+ * 解析 Evernote 时间，例如 20250314T083000Z
+ * @private
+ * @returns {Date|null}
+ */
+function parseTime(value) {
+    const match = value?.trim().match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/)
+    if (!match) return null
+    const [, year, month, day, hour, minute, second] = match.map(Number)
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+}
+
+/**
+ * 格式化为本地日期 YYYY-MM-DD
+ * @private
+ */
+function formatLocalDate(time) {
+    const pad = value => String(value).padStart(2, '0')
+    return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`
+}
+
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21]
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) | 0)
+
+/**
+ * 计算 MD5，ENML 中的 <en-media> 以附件内容的 MD5 引用附件
+ * @private
+ * @returns {string} 小写十六进制
+ */
+function md5(bytes) {
+    const length = bytes.length
+    const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64)
+    padded.set(bytes)
+    padded[length] = 0x80
+    const view = new DataView(padded.buffer)
+    view.setUint32(padded.length - 8, (length * 8) >>> 0, true)
+    view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true)
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476]
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        let [a, b, c, d] = state
+        for (let i = 0; i < 64; i++) {
+            const round = i >> 4
+            let f
+            let g
+            if (round === 0) {
+                f = (b & c) | (~b & d)
+                g = i
+            } else if (round === 1) {
+                f = (d & b) | (~d & c)
+                g = (5 * i + 1) % 16
+            } else if (round === 2) {
+                f = b ^ c ^ d
+                g = (3 * i + 5) % 16
+            } else {
+                f = c ^ (b | ~d)
+                g = (7 * i) % 16
+            }
+            const shift = MD5_SHIFTS[round * 4 + (i % 4)]
+            const sum = (a + f + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) | 0
+            a = d
+            d = c
+            c = b
+            b = (b + ((sum << shift) | (sum >>> (32 - shift)))) | 0
+        }
+        state[0] = (state[0] + a) | 0
+        state[1] = (state[1] + b) | 0
+        state[2] = (state[2] + c) | 0
+        state[3] = (state[3] + d) | 0
+    }
+
+    return state.map(word => Array.from({ length: 4 }, (_, i) => ((word >>> (i * 8)) & 0xff).toString(16).padStart(2, '0')).join('')).join('')
+}
+
+/**
+ * 解析 .enex 文件中的笔记
+ * @param {string} text - .enex 文件内容
+ * @returns {Array} [{title, content, created, tags, resources: [{data, mime, fileName, hash}]}]，content 为 ENML
+ */
+export function parseENEXNotes(text) {
+    return elements(text, 'note').map(note => {
+        // 附件中可能有同名的元素，读取笔记字段前先去掉附件
+        const fields = note.replace(/<resource(?:\s[^>]*)?>[\s\S]*?<\/resource>/g, '')
+        const resources = elements(note, 'resource').map(resource => {
+            const data = fromBase64((elementText(resource, 'data') || '').replace(/\s+/g, ''))
+            return {
+                data,
+                mime: elementText(resource, 'mime')?.trim() || 'application/octet-stream',
+                fileName: elementText(resource, 'file-name')?.trim() || null,
+                hash: md5(data)
+            }
+        })
+        return {
+            title: elementText(fields, 'title')?.trim() || null,
+            content: elementText(fields, 'content') || '',
+            created: parseTime(elementText(fields, 'created')),
+            tags: elements(fields, 'tag').map(tag => decodeEntities(tag).trim()).filter(Boolean),
+            resources
+        }
+    })
+}
+
+/**
+ * 将 ENML 转换为普通 HTML，附件替换为占位链接
+ * @private
+ * @returns {Object} {html, used}，used 为正文中引用过的附件序号
+ */
+function enmlToHTML(enml, resources) {
+    const used = new Set()
+    const attribute = (attributes, name) => attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`))?.[1]
+    const mediaHTML = (index) => {
+        const resource = resources[index]
+        used.add(index)
+        return resource.mime.startsWith('image/')
+            ? `<img src="${PLACEHOLDER}${index}" alt="">`
+            : `<a href="${PLACEHOLDER}${index}">${resource.fileName || resource.mime}</a>`
+    }
+
+    const html = enml
+        .replace(/<\?xml[\s\S]*?\?>/g, '')
+        .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+        .replace(/<en-note(\s[^>]*)?>/g, '<div>')
+        .replace(/<\/en-note>/g, '</div>')
+        .replace(/<en-media\b([^>]*?)\/?>(?:\s*<\/en-media>)?/g, (match, attributes) => {
+            const hash = attribute(attributes, 'hash')?.toLowerCase()
+            const index = resources.findIndex(resource => resource.hash === hash)
+            return index === -1 ? '' : mediaHTML(index)
+        })
+        .replace(/<en-todo\b([^>]*?)\/?>(?:\s*<\/en-todo>)?/g, (match, attributes) => {
+            return attribute(attributes, 'checked') === 'true' ? '<input type="checkbox" checked>' : '<input type="checkbox">'
+        })
+        .replace(/<en-crypt\b[\s\S]*?<\/en-crypt>/g, '<p>（加密内容，未导入）</p>')
+
+    return { html, used }
+}
+
+/**
+ * 将占位链接替换为附件的 data URL
+ * @private
+ */
+function embedResources(markdown, resources) {
+    return markdown.replace(new RegExp(`${PLACEHOLDER}(\\d+)`, 'g'), (match, index) => {
+        const resource = resources[Number(index)]
+        if (!resource) return match
+        return `data:${resource.mime};base64,${toBase64(resource.data)}`
+    })
+}
+
+let lutePromise = null
+
+/**
+ * 加载 Lute，与 Vditor 使用同一个脚本
+ * @private
+ */
+function loadLute() {
+    if (window.Lute) return Promise.resolve(window.Lute)
+    lutePromise ??= new Promise((resolve, reject) => {
+        const script = document.createElement('script')
+        script.id = 'vditorLuteScript'
+        script.src = `${CDN}/dist/js/lute/lute.min.js`
+        script.onload = () => resolve(window.Lute)
+        script.onerror = () => {
+            lutePromise = null
+            script.remove()
+            reject(new Error('加载 Markdown 转换器失败'))
+        }
+        document.head.appendChild(script)
+    })
+    return lutePromise
+}
+
+/**
+ * 解析 .enex 文件，转换为 importData 可以导入的数据
+ * @param {string} text - .enex 文件内容
+ * @param {Object} options - 选项
+ * @param {Function} options.htmlToMarkdown - HTML 转 Markdown 函数（默认使用 Lute）
+ * @returns {Promise<Object>} {stores: {records}, errors}
+ */
+export async function parseENEX(text, options = {}) {
+    let { htmlToMarkdown } = options
+    if (!htmlToMarkdown) {
+        const lute = (await loadLute()).New()
+        htmlToMarkdown = html => lute.HTML2Md(html)
+    }
+
+    const notes = parseENEXNotes(text).sort((a, b) => (a.created?.getTime() ?? 0) - (b.created?.getTime() ?? 0))
+    const records = []
+    const errors = []
+
+    notes.forEach((note, i) => {
+        const name = `笔记 ${note.title ?? i + 1}`
+        if (!note.created) {
+            errors.push(`${name} 没有有效的创建时间 created，已跳过`)
+            return
+        }
+
+        const { html, used } = enmlToHTML(note.content, note.resources)
+        const parts = [htmlToMarkdown(html).trim()]
+        // 正文中没有引用的附件放在末尾
+        note.resources.forEach((resource, index) => {
+            if (used.has(index)) return
+            parts.push(resource.mime.startsWith('image/')
+                ? `![](${PLACEHOLDER}${index})`
+                : `[${resource.fileName || resource.mime}](${PLACEHOLDER}${index})`)
+        })
+
+        const record = {
+            date: formatLocalDate(note.created),
+            title: note.title ?? undefined,
+            index: undefined,
+            record: embedResources(parts.filter(Boolean).join('\n\n'), note.resources)
+        }
+        if (note.tags.length > 0) record.tags = note.tags
+        records.push(record)
+    })
+
+    return { stores: { records: assignIndexes(records) }, errors }
+}
@@ -0,0 +1,61 @@
+/**
+ * 导出范围
+ * 选择性导出时根据范围生成记录过滤函数，交给 exportData 的 filter 选项
+ */
+
+export const EXPORT_SCOPE = {
+    ALL: 'all', // 全部数据，包括回收站和历史版本
+    RANGE: 'range', // 日期范围内的记录
+    SELECTION: 'selection', // 手动勾选的记录
+    FILTER: 'filter' // 按关键词和标签筛选的记录
+}
+
+/**
+ * 生成记录过滤函数
+ * @param {Object} scope - 导出范围
+ * @param {string} scope.type - EXPORT_SCOPE 中的值
+ * @param {Array<string>} scope.dateRange - [开始日期, 结束日期]，YYYY-MM-DD，包含两端
+ * @param {Array} scope.uids - 勾选的记录 uid
+ * @param {string} scope.keyword - 标题或内容包含的关键词，不区分大小写
+ * @param {Array<string>} scope.tags - 记录需包含其中任一标签
+ * @returns {Function|null} (record) => boolean，导出全部数据时返回 null
+ */
+export function createRecordFilter(scope) {
+    switch (scope.type) {
+        case EXPORT_SCOPE.RANGE: {
+            const [start, end] = scope.dateRange || []
+            return record => (!start || record.date >= start) && (!end || record.date <= end)
+        }
+        case EXPORT_SCOPE.SELECTION: {
+            const uids = new Set(scope.uids || [])
+            return record => uids.has(record.uid)
+        }
+        case EXPORT_SCOPE.FILTER: {
+            const keyword = (scope.keyword || '').trim().toLowerCase()
+            const tags = scope.tags || []
+            return record => {
+                if (keyword && !`${record.title || ''}\n${record.record || ''}`.toLowerCase().includes(keyword)) {
+                    return false
+                }
+                return tags.length === 0 || (Array.isArray(record.tags) && record.tags.some(tag => tags.includes(tag)))
+            }
+        }
+        default:
+            return null
+    }
+}
+
+/**
+ * 收集记录中出现过的所有标签
+ * @param {Array} records - 记录数组
+ * @returns {Array<string>} 按名称排序
+ */
+export function collectTags(records) {
+    const tags = new Set()
+    records.forEach(record => {
+        if (Array.isArray(record.tags)) {
+            record.tags.forEach(tag => tags.add(tag))
+        }
+    })
+    return Array.from(tags).sort((a, b) => a.localeCompare(b))
+}
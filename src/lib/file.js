@@ -0,0 +1,31 @@
+/**
+ * 文件工具
+ * 浏览器中下载和选择文件
+ */
+
+/**
+ * 下载 Blob 为文件
+ * @param {Blob} blob - 文件内容
+ * @param {string} filename - 文件名
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob)
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    URL.revokeObjectURL(url)
+}
+
+/**
+ * 生成带时间戳的文件名，例如 mimiDate_2025-03-14T08-00-00.zip
+ * @param {string} name - 文件名前缀
+ * @param {string} extension - 扩展名（不含点）
+ * @returns {string}
+ */
+export function timestampFileName(name, extension) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
+    return `${name}_${timestamp}.${extension}`
+}
@@ -0,0 +1,121 @@
+/**
+ * YAML front matter 读写
+ * 只支持常用的 YAML 子集：字符串、数字、布尔值、null，以及 [a, b] 和 "- a" 两种写法的列表，足够表达记录的元数据
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+/**
+ * 序列化单个值
+ * @private
+ */
+function stringifyValue(value) {
+    if (value === null || value === undefined) return 'null'
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value)
+    if (Array.isArray(value)) return `[${value.map(stringifyValue).join(', ')}]`
+    // 日期保持不加引号，方便其他编辑器识别；其余字符串使用双引号，转义规则与 JSON 相同
+    if (DATE_PATTERN.test(value)) return value
+    return JSON.stringify(String(value))
+}
+
+/**
+ * 解析单个值
+ * @private
+ */
+function parseValue(text) {
+    text = text.trim()
+    if (text === '' || text === '~' || text === 'null') return null
+    if (text === 'true') return true
+    if (text === 'false') return false
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text)
+    if (text.startsWith('"') && text.endsWith('"') && text.length >= 2) {
+        try {
+            return JSON.parse(text)
+        } catch (e) {
+            return text.slice(1, -1)
+        }
+    }
+    if (text.startsWith("'") && text.endsWith("'") && text.length >= 2) {
+        return text.slice(1, -1).replace(/''/g, "'")
+    }
+    if (text.startsWith('[') && text.endsWith(']')) {
+        const inner = text.slice(1, -1).trim()
+        return inner === '' ? [] : splitFlowList(inner).map(parseValue)
+    }
+    return text
+}
+
+/**
+ * 按逗号拆分行内列表，忽略引号中的逗号
+ * @private
+ */
+function splitFlowList(text) {
+    const items = []
+    let current = ''
+    let quote = null
+    for (const char of text) {
+        if (quote) {
+            if (char === quote) quote = null
+        } else if (char === '"' || char === "'") {
+            quote = char
+        } else if (char === ',') {
+            items.push(current)
+            current = ''
+            continue
+        }
+        current += char
+    }
+    items.push(current)
+    return items
+}
+
+/**
+ * 生成 front matter 文本
+ * @param {Object} data - 元数据，值为 undefined 的字段会被忽略
+ * @returns {string} 以 --- 开头和结尾的文本（末尾带换行）
+ */
+export function stringifyFrontMatter(data) {
+    const lines = Object.entries(data)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${stringifyValue(value)}`)
+    return `---\n${lines.join('\n')}\n---\n`
+}
+
+/**
+ * 解析 Markdown 文本开头的 front matter
+ * @param {string} text - Markdown 文本
+ * @returns {Object} {data, body}，没有 front matter 时 data 为空对象，body 为原文
+ */
+export function parseFrontMatter(text) {
+    const source = text.replace(/^﻿/, '').replace(/\r\n/g, '\n')
+    const match = source.match(/^---\n([\s\S]*?)\n---(?:\n|$)/)
+    if (!match) {
+        return { data: {}, body: source }
+    }
+
+    const data = {}
+    let listKey = null
+    for (const line of match[1].split('\n')) {
+        if (line.trim() === '' || line.trim().startsWith('#')) continue
+
+        const listItem = line.match(/^\s*-\s+(.*)$/)
+        if (listItem && listKey) {
+            data[listKey] = [...(data[listKey] || []), parseValue(listItem[1])]
+            continue
+        }
+
+        const pair = line.match(/^([^:\s][^:]*):(?:\s+(.*))?$/)
+        if (!pair) continue
+        const key = pair[1].trim()
+        if (pair[2] === undefined || pair[2].trim() === '') {
+            // 值为空时可能是下面几行的 "- item" 列表
+            data[key] = null
+            listKey = key
+        } else {
+            data[key] = parseValue(pair[2])
+            listKey = null
+        }
+    }
+
+    return { data, body: source.slice(match[0].length) }
+}
@@ -0,0 +1,197 @@
+/**
+ * 导出静态 HTML 日记
+ * 使用与编辑器相同的 Vditor 渲染（Lute 解析 Markdown，KaTeX 渲染公式，mermaid 渲染图表），
+ * 渲染完成后保存结果，导出的页面不需要脚本和网络即可阅读，也可以排版为书打印或另存为 PDF
+ */
+
+import Vditor from 'vditor'
+import { zipSync, strToU8 } from 'fflate'
+import { toBase64 } from './encryption.js'
+import { buildJournalHTML, buildJournalSite, buildJournalBook } from './htmlJournal.js'
+
+// 与编辑器一样使用随应用部署的 Vditor 资源
+const CDN = '.'
+// 公式和图表是异步渲染的，最多等待的时间
+const RENDER_TIMEOUT = 15000
+
+/**
+ * 等待公式和 mermaid 图表渲染完成
+ * @private
+ */
+async function waitForRender(element) {
+    const pending = () => element.querySelector('.language-math:not([data-math]):not(.vditor-reset--error)')
+        || element.querySelector('.language-mermaid:not([data-processed="true"])')
+    const deadline = Date.now() + RENDER_TIMEOUT
+    while (pending() && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+    }
+}
+
+/**
+ * 渲染一条记录的 Markdown
+ * mermaid 需要计算文字尺寸，渲染时元素必须在页面中
+ * @private
+ */
+async function renderMarkdown(markdown, container) {
+    const element = document.createElement('div')
+    container.appendChild(element)
+    try {
+        await Vditor.preview(element, markdown || '', {
+            cdn: CDN,
+            mode: 'light',
+            anchor: 0,
+            render: {
+                media: {
+                    enable: false
+                }
+            }
+        })
+        await waitForRender(element)
+        return element.innerHTML
+    } finally {
+        element.remove()
+    }
+}
+
+/**
+ * 读取随应用部署的样式文件
+ * @private
+ */
+async function fetchAsset(path, type = 'text') {
+    const response = await fetch(`${CDN}/${path}`)
+    if (!response.ok) {
+        throw new Error(`读取 ${path} 失败：${response.status}`)
+    }
+    return type === 'text' ? response.text() : new Uint8Array(await response.arrayBuffer())
+}
+
+/**
+ * 读取 Markdown 渲染需要的样式
+ * KaTeX 字体只保留 woff2 格式，读取失败（例如离线且未缓存）时使用系统字体
+ * @private
+ * @returns {Promise<Object>} {css, fonts}，fonts 为 字体路径 -> 文件内容
+ */
+async function loadStyles(hasMath) {
+    const paths = [
+        'dist/index.css',
+        'dist/css/content-theme/light.css',
+        'dist/js/highlight.js/styles/github.min.css'
+    ]
+    const styles = await Promise.all(paths.map(path => fetchAsset(path).catch(() => '')))
+    const fonts = {}
+
+    if (hasMath) {
+        let katexCSS = await fetchAsset('dist/js/katex/katex.min.css').catch(() => '')
+        const names = new Set(Array.from(katexCSS.matchAll(/url\(fonts\/([\w-]+)\.woff2\)/g), match => match[1]))
+        for (const name of names) {
+            try {
+                fonts[`fonts/${name}.woff2`] = await fetchAsset(`dist/js/katex/fonts/${name}.woff2`, 'binary')
+            } catch (e) {
+                // 没有字体时使用系统字体显示
+            }
+        }
+        katexCSS = katexCSS.replace(/src:url\(fonts\/([\w-]+)\.woff2\)[^;}]*/g, (match, name) => {
+            return fonts[`fonts/${name}.woff2`] ? `src:url(fonts/${name}.woff2) format("woff2")` : 'src:local("Times New Roman")'
+        })
+        styles.push(katexCSS)
+    }
+
+    return { css: styles.join('\n'), fonts }
+}
+
+/**
+ * 读取并渲染要导出的记录
+ * @private
+ * @returns {Promise<Object>} {entries, css, fonts}
+ */
+async function renderJournal(db, options, onProgress) {
+    const { stores } = await db.exportData({ ...options, storeNames: ['records'] })
+    const records = (stores.records || []).sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index)
+
+    // 渲染用的容器放在可视区域之外
+    const container = document.createElement('div')
+    container.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 800px;'
+    document.body.appendChild(container)
+    const entries = []
+    try {
+        for (const record of records) {
+            entries.push({
+                date: record.date,
+                index: record.index,
+                title: record.title,
+                html: await renderMarkdown(record.record, container)
+            })
+            onProgress?.(entries.length, records.length)
+        }
+    } finally {
+        container.remove()
+    }
+
+    const { css, fonts } = await loadStyles(entries.some(entry => entry.html.includes('class="katex')))
+    return { entries, css, fonts }
+}
+
+/**
+ * 字体以 data URL 内嵌到样式中，用于单个文件
+ * @private
+ */
+function inlineFonts(css, fonts) {
+    return css.replace(/url\((fonts\/[\w-]+\.woff2)\)/g, (match, path) => {
+        return fonts[path] ? `url(data:font/woff2;base64,${toBase64(fonts[path])})` : match
+    })
+}
+
+/**
+ * 导出记录为静态 HTML
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} options - 导出选项，filter 见 exportData（可选，默认导出所有记录）
+ * @param {Object} config - 配置
+ * @param {boolean} config.site - 是否导出为静态网站 ZIP（默认 false，导出单个 HTML 文件）
+ * @param {string} config.title - 页面标题
+ * @param {Function} config.onProgress - 渲染进度回调 (done, total)
+ * @returns {Promise<Blob>}
+ */
+export async function exportJournalHTML(db, options = {}, config = {}) {
+    const { site = false, title = '米米记录', onProgress } = config
+    const { entries, css, fonts } = await renderJournal(db, options, onProgress)
+
+    if (site) {
+        const files = buildJournalSite(entries, { title, css })
+        const zipFiles = { ...fonts }
+        for (const [path, content] of Object.entries(files)) {
+            zipFiles[path] = strToU8(content)
+        }
+        return new Blob([zipSync(zipFiles)], { type: 'application/zip' })
+    }
+
+    return new Blob([buildJournalHTML(entries, { title, css: inlineFonts(css, fonts) })], { type: 'text/html' })
+}
+
+/**
+ * 打印记录，排版为带封面和目录的书，在浏览器的打印对话框中可另存为 PDF
+ * 在隐藏的 iframe 中打印，不会打开新窗口
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} options - 导出选项，filter 见 exportData（可选，默认打印所有记录）
+ * @param {Object} config - 配置，见 exportJournalHTML（不支持 site）
+ * @returns {Promise<void>}
+ */
+export async function printJournalBook(db, options = {}, config = {}) {
+    const { title = '米米记录', onProgress } = config
+    const { entries, css, fonts } = await renderJournal(db, options, onProgress)
+    const html = buildJournalBook(entries, { title, css: inlineFonts(css, fonts) })
+
+    const iframe = document.createElement('iframe')
+    iframe.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;'
+    document.body.appendChild(iframe)
+    await new Promise(resolve => {
+        iframe.onload = resolve
+        iframe.srcdoc = html
+    })
+
+    const printWindow = iframe.contentWindow
+    // 等待字体加载完成，否则公式可能以系统字体打印
+    await printWindow.document.fonts?.ready
+    printWindow.addEventListener('afterprint', () => iframe.remove(), { once: true })
+    printWindow.focus()
+    printWindow.print()
+}
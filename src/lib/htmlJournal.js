@@ -0,0 +1,341 @@
+/**
+ * 静态 HTML 日记
+ * 把已渲染为 HTML 的记录排版为离线可读的页面：日历和目录用于导航，不依赖脚本
+ * 单文件版所有记录在一个页面中；静态网站版首页为日历和目录，每月一个页面；
+ * 打印版为带封面和目录的书，每天从新的一页开始
+ */
+
+const WEEKDAYS = ['一', '二', '三', '四', '五', '六', '日']
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {*} text - 文本
+ * @returns {string}
+ */
+export function escapeHTML(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char])
+}
+
+/**
+ * 按月、日分组，记录需已按日期和序号排序
+ * @param {Array} entries - [{uid, date, index, title, html}]
+ * @returns {Array} [{month: 'YYYY-MM', days: [{date, entries}]}]
+ */
+export function groupByMonth(entries) {
+    const months = []
+    for (const entry of entries) {
+        const month = entry.date.slice(0, 7)
+        if (months.at(-1)?.month !== month) {
+            months.push({ month, days: [] })
+        }
+        const days = months.at(-1).days
+        if (days.at(-1)?.date !== entry.date) {
+            days.push({ date: entry.date, entries: [] })
+        }
+        days.at(-1).entries.push(entry)
+    }
+    return months
+}
+
+/**
+ * 页面内的锚点 id
+ * @private
+ */
+function dayId(date) {
+    return `d-${date}`
+}
+function entryId(entry) {
+    return `r-${entry.date}-${entry.index}`
+}
+
+/**
+ * 月份标题，例如 2025 年 3 月
+ * @private
+ */
+function monthTitle(month) {
+    const [year, value] = month.split('-')
+    return `${year} 年 ${Number(value)} 月`
+}
+
+/**
+ * 生成一个月的日历表格，有记录的日期为链接
+ * @param {string} month - YYYY-MM
+ * @param {Set<string>} dates - 有记录的日期
+ * @param {Function} href - (date) => 链接地址
+ * @returns {string}
+ */
+export function renderCalendar(month, dates, href) {
+    const [year, value] = month.split('-').map(Number)
+    const daysInMonth = new Date(year, value, 0).getDate()
+    // 周一为一周的第一天
+    const offset = (new Date(year, value - 1, 1).getDay() + 6) % 7
+    const cells = Array(offset).fill('<td></td>')
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = `${month}-${String(day).padStart(2, '0')}`
+        cells.push(dates.has(date) ? `<td class="has-entry"><a href="${href(date)}">${day}</a></td>` : `<td>${day}</td>`)
+    }
+    while (cells.length % 7 !== 0) {
+        cells.push('<td></td>')
+    }
+
+    const rows = []
+    for (let i = 0; i < cells.length; i += 7) {
+        rows.push(`<tr>${cells.slice(i, i + 7).join('')}</tr>`)
+    }
+    return `<table class="calendar">
+<caption>${monthTitle(month)}</caption>
+<thead><tr>${WEEKDAYS.map(day => `<th>${day}</th>`).join('')}</tr></thead>
+<tbody>${rows.join('\n')}</tbody>
+</table>`
+}
+
+/**
+ * 生成目录：月份 → 日期 → 记录标题
+ * @private
+ */
+function renderIndex(months, href) {
+    return months.map(({ month, days }) => `<details open>
+<summary>${monthTitle(month)}（${days.reduce((count, day) => count + day.entries.length, 0)} 条）</summary>
+<ul>${days.map(day => `<li><a href="${href(day.date)}">${day.date}</a><ul>${day.entries.map(entry => `<li><a href="${href(day.date, entry)}">${escapeHTML(entry.title)}</a></li>`).join('')}</ul></li>`).join('\n')}</ul>
+</details>`).join('\n')
+}
+
+/**
+ * 生成记录正文
+ * @private
+ */
+function renderDays(days) {
+    return days.map(day => `<section class="day" id="${dayId(day.date)}">
+<h2 class="day-title">${day.date}</h2>
+${day.entries.map(entry => `<article class="entry" id="${entryId(entry)}">
+<h3 class="entry-title">${escapeHTML(entry.title)}</h3>
+<div class="vditor-reset">${entry.html}</div>
+</article>`).join('\n')}
+</section>`).join('\n')
+}
+
+/**
+ * 页面布局样式
+ */
+export const LAYOUT_CSS = `
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; color: #24292e; background: #f6f8fa; }
+a { color: #409eff; text-decoration: none; }
+a:hover { text-decoration: underline; }
+.layout { display: flex; align-items: flex-start; max-width: 1200px; margin: 0 auto; }
+.sidebar { position: sticky; top: 0; width: 280px; flex-shrink: 0; max-height: 100vh; overflow-y: auto; padding: 16px; box-sizing: border-box; }
+.main { flex: 1; min-width: 0; padding: 16px; }
+.header h1 { margin: 0 0 4px; font-size: 24px; }
+.header p { margin: 0 0 16px; color: #909399; font-size: 13px; }
+.calendar { width: 100%; border-collapse: collapse; margin-bottom: 12px; font-size: 12px; background: #fff; }
+.calendar caption { text-align: left; font-weight: bold; padding: 4px 0; }
+.calendar th, .calendar td { text-align: center; padding: 4px 0; color: #c0c4cc; }
+.calendar th { color: #909399; }
+.calendar .has-entry a { display: inline-block; width: 22px; line-height: 22px; border-radius: 50%; background: #409eff; color: #fff; }
+.index { font-size: 13px; }
+.index ul { padding-left: 16px; margin: 4px 0; }
+.index summary { cursor: pointer; font-weight: bold; }
+.day-title { font-size: 18px; margin: 24px 0 8px; color: #606266; }
+.entry { background: #fff; border: 1px solid #ebeef5; border-radius: 4px; padding: 16px 24px; margin-bottom: 12px; }
+.entry-title { margin: 0 0 12px; font-size: 16px; }
+.pager { display: flex; justify-content: space-between; margin: 16px 0; }
+@media (max-width: 768px) {
+    .layout { display: block; }
+    .sidebar { position: static; width: auto; max-height: none; }
+}
+@media print {
+    .sidebar, .pager { display: none; }
+    body { background: #fff; }
+    .entry { border: none; padding: 0; }
+}
+`
+
+/**
+ * 生成完整 HTML 页面
+ * @private
+ */
+function renderPage({ title, subtitle, styles, sidebar, main }) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHTML(title)}</title>
+${styles}
+</head>
+<body>
+<div class="layout">
+<nav class="sidebar">
+<div class="header"><h1>${escapeHTML(title)}</h1><p>${escapeHTML(subtitle)}</p></div>
+${sidebar}
+</nav>
+<main class="main">
+${main}
+</main>
+</div>
+</body>
+</html>
+`
+}
+
+/**
+ * 日期范围说明，例如 2025-03-01 至 2025-03-31，共 12 条记录
+ * @private
+ */
+function describeRange(entries) {
+    if (entries.length === 0) return '没有记录'
+    return `${entries[0].date} 至 ${entries.at(-1).date}，共 ${entries.length} 条记录`
+}
+
+/**
+ * 生成单个 HTML 文件，所有记录在同一页面中
+ * @param {Array} entries - [{date, index, title, html}]，已按日期和序号排序
+ * @param {Object} options - 选项
+ * @param {string} options.title - 页面标题
+ * @param {string} options.css - 内嵌的 Markdown 渲染样式
+ * @returns {string}
+ */
+export function buildJournalHTML(entries, options = {}) {
+    const { title = '日记', css = '' } = options
+    const months = groupByMonth(entries)
+    const dates = new Set(entries.map(entry => entry.date))
+    const href = (date, entry) => `#${entry ? entryId(entry) : dayId(date)}`
+
+    return renderPage({
+        title,
+        subtitle: describeRange(entries),
+        styles: `<style>${css}\n${LAYOUT_CSS}</style>`,
+        sidebar: `${months.map(({ month }) => renderCalendar(month, dates, href)).join('\n')}
+<div class="index">${renderIndex(months, href)}</div>`,
+        main: renderDays(months.flatMap(month => month.days))
+    })
+}
+
+/**
+ * 生成静态网站：首页为日历和目录，每月一个页面，样式单独保存为 style.css
+ * @param {Array} entries - [{date, index, title, html}]，已按日期和序号排序
+ * @param {Object} options - 选项，见 buildJournalHTML
+ * @returns {Object} 文件路径 -> 文件内容
+ */
+export function buildJournalSite(entries, options = {}) {
+    const { title = '日记', css = '' } = options
+    const months = groupByMonth(entries)
+    const dates = new Set(entries.map(entry => entry.date))
+    const styles = '<link rel="stylesheet" href="style.css">'
+    const href = (date, entry) => `${date.slice(0, 7)}.html#${entry ? entryId(entry) : dayId(date)}`
+
+    const files = {
+        'style.css': `${css}\n${LAYOUT_CSS}`,
+        'index.html': renderPage({
+            title,
+            subtitle: describeRange(entries),
+            styles,
+            sidebar: `<div class="index">${renderIndex(months, href)}</div>`,
+            main: months.map(({ month }) => renderCalendar(month, dates, href)).join('\n')
+        })
+    }
+
+    months.forEach(({ month, days }, i) => {
+        const prev = months[i - 1]
+        const next = months[i + 1]
+        const pager = `<div class="pager">
+<span>${prev ? `<a href="${prev.month}.html">← ${monthTitle(prev.month)}</a>` : ''}</span>
+<a href="index.html">目录</a>
+<span>${next ? `<a href="${next.month}.html">${monthTitle(next.month)} →</a>` : ''}</span>
+</div>`
+        files[`${month}.html`] = renderPage({
+            title: `${title} - ${monthTitle(month)}`,
+            subtitle: describeRange(days.flatMap(day => day.entries)),
+            styles,
+            sidebar: `<p><a href="index.html">← 返回目录</a></p>
+${renderCalendar(month, dates, href)}
+<div class="index">${renderIndex([{ month, days }], href)}</div>`,
+            main: `${pager}\n${renderDays(days)}\n${pager}`
+        })
+    })
+
+    return files
+}
+
+/**
+ * 打印版样式，每天从新的一页开始，避免在标题、表格、图片中间分页
+ */
+export const BOOK_CSS = `
+@page { size: A4; margin: 20mm 18mm; }
+body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", serif; color: #000; background: #fff; }
+a { color: inherit; text-decoration: none; }
+.cover { height: 240mm; display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center; }
+.cover h1 { font-size: 36px; margin: 0 0 24px; }
+.cover p { margin: 4px 0; color: #606266; }
+.toc { break-before: page; }
+.toc h2 { font-size: 24px; }
+.toc h3 { font-size: 16px; margin: 16px 0 4px; }
+.toc ol { margin: 0; padding-left: 20px; font-size: 13px; }
+.toc li { margin: 2px 0; }
+.book-day { break-before: page; }
+.book-day-title { font-size: 22px; border-bottom: 1px solid #dcdfe6; padding-bottom: 8px; margin: 0 0 16px; }
+.book-entry-title { font-size: 16px; margin: 16px 0 8px; break-after: avoid; }
+.vditor-reset { font-size: 14px; }
+.vditor-reset h1, .vditor-reset h2, .vditor-reset h3, .vditor-reset h4 { break-after: avoid; }
+.vditor-reset table, .vditor-reset pre, .vditor-reset img, .vditor-reset svg, .vditor-reset blockquote, .language-math { break-inside: avoid; }
+.vditor-reset img, .vditor-reset svg { max-width: 100%; }
+.vditor-reset pre { white-space: pre-wrap; }
+@media screen {
+    body { background: #f6f8fa; }
+    .book { max-width: 210mm; margin: 0 auto; }
+    .cover, .toc, .book-day { background: #fff; padding: 20mm 18mm; margin: 16px 0; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+}
+`
+
+/**
+ * 生成打印版 HTML：封面、按月份的目录、每天一页的正文
+ * @param {Array} entries - [{date, index, title, html}]，已按日期和序号排序
+ * @param {Object} options - 选项，见 buildJournalHTML
+ * @returns {string}
+ */
+export function buildJournalBook(entries, options = {}) {
+    const { title = '日记', css = '' } = options
+    const months = groupByMonth(entries)
+    const today = new Date()
+    const printDate = `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`
+
+    const toc = months.map(({ month, days }) => `<h3>${monthTitle(month)}</h3>
+<ol>${days.map(day => `<li><a href="#${dayId(day.date)}">${day.date}</a>　${day.entries.map(entry => escapeHTML(entry.title)).join('、')}</li>`).join('')}</ol>`).join('\n')
+
+    const body = months.flatMap(month => month.days).map(day => `<section class="book-day" id="${dayId(day.date)}">
+<h2 class="book-day-title">${day.date}</h2>
+${day.entries.map(entry => `<article id="${entryId(entry)}">
+<h3 class="book-entry-title">${escapeHTML(entry.title)}</h3>
+<div class="vditor-reset">${entry.html}</div>
+</article>`).join('\n')}
+</section>`).join('\n')
+
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(title)}</title>
+<style>${css}\n${BOOK_CSS}</style>
+</head>
+<body>
+<div class="book">
+<section class="cover">
+<h1>${escapeHTML(title)}</h1>
+<p>${escapeHTML(describeRange(entries))}</p>
+<p>${printDate} 打印</p>
+</section>
+<nav class="toc">
+<h2>目录</h2>
+${toc}
+</nav>
+${body}
+</div>
+</body>
+</html>
+`
+}
@@ -0,0 +1,244 @@
+/**
+ * iCalendar (.ics) 导入导出
+ * 导出时每条记录为一个 VJOURNAL：DTSTART 为记录日期，SUMMARY 为标题，DESCRIPTION 为 Markdown 内容；
+ * 导入时读取 VJOURNAL 和 VEVENT，按开始日期放入对应的日期，重复事件只导入第一次
+ */
+
+import { assignIndexes, isRecordId } from './recordSchema.js'
+import { normalizeDate } from './markdown.js'
+
+const PRODID = '-//mimiDate//mimiDate//CN'
+// 本应用导出的记录 UID 形如 record-<ULID>@mimiDate，导入时据此还原 uid，避免重复导入
+const UID_SUFFIX = '@mimiDate'
+
+/**
+ * 转义文本属性值
+ * @private
+ */
+function escapeText(text) {
+    return String(text ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n')
+}
+
+/**
+ * 还原转义的文本属性值
+ * @private
+ */
+function unescapeText(text) {
+    return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N') ? '\n' : char)
+}
+
+/**
+ * 按 RFC 5545 折行，每行不超过 75 字节，不拆开多字节字符
+ * @private
+ */
+function foldLine(line) {
+    const encoder = new TextEncoder()
+    const lines = []
+    let current = ''
+    let bytes = 0
+    for (const char of line) {
+        const size = encoder.encode(char).length
+        // 续行开头的空格占 1 字节
+        if (bytes + size > (lines.length === 0 ? 75 : 74)) {
+            lines.push(current)
+            current = ''
+            bytes = 0
+        }
+        current += char
+        bytes += size
+    }
+    lines.push(current)
+    return lines.join('\r\n ')
+}
+
+/**
+ * 格式化 UTC 时间，例如 20250314T080000Z
+ * @private
+ */
+function formatUTC(time) {
+    return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+/**
+ * 将记录转换为 iCalendar 文本
+ * @param {Array} records - 记录数组
+ * @returns {string}
+ */
+export function recordsToICS(records) {
+    const now = formatUTC(Date.now())
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN'
+    ]
+    for (const record of records) {
+        lines.push(
+            'BEGIN:VJOURNAL',
+            `UID:record-${record.uid ?? `${record.date}-${record.index}`}${UID_SUFFIX}`,
+            `DTSTAMP:${now}`,
+            `DTSTART;VALUE=DATE:${record.date.replace(/-/g, '')}`,
+            `SUMMARY:${escapeText(record.title)}`,
+            `DESCRIPTION:${escapeText(record.record)}`,
+            `X-MIMIDATE-INDEX:${record.index}`
+        )
+        if (record.updatedAt) {
+            lines.push(`LAST-MODIFIED:${formatUTC(record.updatedAt)}`)
+        }
+        lines.push('END:VJOURNAL')
+    }
+    lines.push('END:VCALENDAR')
+    return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+/**
+ * 解析一行内容，例如 DTSTART;TZID=Asia/Shanghai:20250314T090000
+ * @private
+ * @returns {Object|null} {name, params, value}
+ */
+function parseLine(line) {
+    // 参数值可以用双引号包裹，其中可以有冒号
+    const match = line.match(/^([\w-]+)((?:;[\w-]+=(?:"[^"]*"|[^;:]*))*):(.*)$/)
+    if (!match) return null
+
+    const params = {}
+    for (const param of match[2].matchAll(/;([\w-]+)=("[^"]*"|[^;:]*)/g)) {
+        params[param[1].toUpperCase()] = param[2].replace(/^"|"$/g, '')
+    }
+    return { name: match[1].toUpperCase(), params, value: match[3] }
+}
+
+/**
+ * 解析 iCalendar 文本中的组件
+ * @param {string} text - .ics 文件内容
+ * @returns {Array} [{type, properties: {NAME: [{params, value}]}}]，只包含 VJOURNAL 和 VEVENT
+ */
+export function parseICSComponents(text) {
+    // 折行以换行加空格或制表符续行
+    const lines = text.replace(/^﻿/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+    const components = []
+    const stack = []
+
+    for (const line of lines) {
+        if (line.trim() === '') continue
+        const property = parseLine(line)
+        if (!property) continue
+
+        if (property.name === 'BEGIN') {
+            stack.push({ type: property.value.toUpperCase(), properties: {} })
+        } else if (property.name === 'END') {
+            const component = stack.pop()
+            if (component && ['VJOURNAL', 'VEVENT'].includes(component.type)) {
+                components.push(component)
+            }
+        } else if (stack.length > 0) {
+            const properties = stack.at(-1).properties
+            properties[property.name] = [...(properties[property.name] || []), { params: property.params, value: property.value }]
+        }
+    }
+    return components
+}
+
+/**
+ * 解析日期时间属性，UTC 时间换算为本地日期
+ * @private
+ * @returns {Object|null} {date: YYYY-MM-DD, time: HH:mm|null}
+ */
+function parseDateTime(property) {
+    if (!property) return null
+    const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/)
+    if (!match) return null
+
+    const [, year, month, day, hour, minute, second, utc] = match
+    if (hour === undefined) {
+        return { date: normalizeDate(`${year}-${month}-${day}`), time: null }
+    }
+    if (utc) {
+        const local = new Date(Date.UTC(year, month - 1, day, hour, minute, second))
+        const pad = value => String(value).padStart(2, '0')
+        return {
+            date: `${local.getFullYear()}-${pad(local.getMonth() + 1)}-${pad(local.getDate())}`,
+            time: `${pad(local.getHours())}:${pad(local.getMinutes())}`
+        }
+    }
+    // 带 TZID 或浮动时间，按写入的当地时间处理
+    return { date: normalizeDate(`${year}-${month}-${day}`), time: `${hour}:${minute}` }
+}
+
+/**
+ * 读取组件的文本属性
+ * @private
+ */
+function textProperty(component, name) {
+    const property = component.properties[name]?.[0]
+    return property ? unescapeText(property.value) : null
+}
+
+/**
+ * 将 VEVENT 的时间和地点写在内容开头
+ * @private
+ */
+function describeEvent(component, start) {
+    const lines = []
+    const end = parseDateTime(component.properties.DTEND?.[0])
+    if (start.time) {
+        lines.push(`- 时间：${start.time}${end?.time && end.date === start.date ? ` - ${end.time}` : ''}`)
+    }
+    const location = textProperty(component, 'LOCATION')
+    if (location) {
+        lines.push(`- 地点：${location}`)
+    }
+    return lines.join('\n')
+}
+
+/**
+ * 解析 .ics 文件，转换为 importData 可以导入的数据
+ * @param {string} text - .ics 文件内容
+ * @returns {Object} {stores: {records}, errors}
+ */
+export function parseICS(text) {
+    const records = []
+    const errors = []
+
+    parseICSComponents(text).forEach((component, i) => {
+        const summary = textProperty(component, 'SUMMARY')
+        const name = `${component.type} ${summary ?? i + 1}`
+        const start = parseDateTime(component.properties.DTSTART?.[0])
+        if (!start?.date) {
+            errors.push(`${name} 没有有效的开始日期 DTSTART，已跳过`)
+            return
+        }
+
+        const description = textProperty(component, 'DESCRIPTION') ?? ''
+        const record = { date: start.date, title: summary ?? undefined, index: undefined, record: description }
+        if (component.type === 'VEVENT') {
+            record.record = [describeEvent(component, start), description].filter(Boolean).join('\n\n')
+        }
+
+        // 本应用导出的记录还原 uid 和序号，重复导入时可以识别为同一条记录
+        const uid = textProperty(component, 'UID')?.match(new RegExp(`^record-(.+)${UID_SUFFIX}$`))?.[1]
+        const index = Number(textProperty(component, 'X-MIMIDATE-INDEX'))
+        if (isRecordId(uid)) record.uid = uid
+        if (Number.isInteger(index) && index > 0) record.index = index
+
+        records.push(record)
+    })
+
+    return { stores: { records: assignIndexes(records) }, errors }
+}
+
+/**
+ * 导出记录为 .ics 文件
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} options - 导出选项，filter 见 exportData（可选，默认导出所有记录）
+ * @returns {Promise<Blob>}
+ */
+export async function exportICS(db, options = {}) {
+    const { stores } = await db.exportData({ ...options, storeNames: ['records'] })
+    const records = (stores.records || []).sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index)
+    return new Blob([recordsToICS(records)], { type: 'text/calendar' })
+}
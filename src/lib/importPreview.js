@@ -0,0 +1,173 @@
+/**
+ * 导入预览
+ * 导入前把每条导入的记录与已有记录比较，按主键 uid 或 日期+序号 匹配，分为新增、相同、冲突三类，
+ * 冲突的记录由用户选择保留本地、使用导入或两者都保留，确认后才写入数据库
+ */
+
+import { createRevision } from './revisions.js'
+import { createRecordId, assignIndexes } from './recordSchema.js'
+
+/**
+ * 导入记录的状态
+ */
+export const STATUS = {
+    NEW: 'new',
+    IDENTICAL: 'identical',
+    CONFLICT: 'conflict'
+}
+
+/**
+ * 冲突的处理方式
+ */
+export const RESOLUTION = {
+    MINE: 'mine', // 保留本地
+    THEIRS: 'theirs', // 使用导入
+    BOTH: 'both' // 两者都保留，导入的记录排到当天最后
+}
+
+const COMPARE_FIELDS = ['date', 'index', 'title', 'record']
+
+/**
+ * 判断两条记录的内容是否相同
+ * @private
+ */
+function isSameRecord(a, b) {
+    return COMPARE_FIELDS.every(field => (a[field] ?? '') === (b[field] ?? ''))
+}
+
+/**
+ * 生成导入预览
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} importData - 与 exportData 格式相同的数据对象
+ * @returns {Promise<Object>} {items: [{id, incoming, existing, status, matchBy}], counts}
+ */
+export async function previewImport(db, importData) {
+    if (!importData || !importData.stores) {
+        throw new Error('无效的导入数据格式')
+    }
+
+    const existingRecords = await db.getAll('records')
+    const byUid = new Map(existingRecords.map(record => [record.uid, record]))
+    const byDateIndex = new Map(existingRecords.map(record => [`${record.date}#${record.index}`, record]))
+
+    const items = (importData.stores.records || []).map((incoming, id) => {
+        let existing = null
+        let matchBy = null
+        if (incoming.uid !== undefined && incoming.uid !== null && byUid.has(incoming.uid)) {
+            existing = byUid.get(incoming.uid)
+            matchBy = 'uid'
+        } else if (byDateIndex.has(`${incoming.date}#${incoming.index}`)) {
+            existing = byDateIndex.get(`${incoming.date}#${incoming.index}`)
+            matchBy = 'dateIndex'
+        }
+
+        let status = STATUS.NEW
+        if (existing) {
+            status = isSameRecord(existing, incoming) ? STATUS.IDENTICAL : STATUS.CONFLICT
+        }
+        return { id, incoming, existing, status, matchBy }
+    })
+
+    const counts = { [STATUS.NEW]: 0, [STATUS.IDENTICAL]: 0, [STATUS.CONFLICT]: 0 }
+    items.forEach(item => counts[item.status]++)
+    return { items, counts }
+}
+
+/**
+ * 按用户的选择写入数据，写入方式见 importData
+ * 使用导入的记录覆盖本地记录时，本地内容会保存为历史版本
+ * 没有 uid 的新记录与本地或其他导入记录的日期+序号相同时，重新编号排到当天最后
+ * 导入的历史版本按记录的处理方式改写 recordUid，所属记录没有导入的跳过，与本地相同的去重
+ * 其他仓库（回收站等）的数据按原样合并导入
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} importData - 与 exportData 格式相同的数据对象
+ * @param {Object} preview - previewImport 的结果
+ * @param {Object} resolutions - 冲突的处理方式 {[item.id]: RESOLUTION}，未指定时保留本地
+ * @param {Object} options - 导入选项，onProgress、signal 等见 importData
+ * @returns {Promise<Object>} 导入结果统计，与 importData 相同
+ */
+export async function applyImport(db, importData, preview, resolutions = {}, options = {}) {
+    const records = []
+    const revisions = []
+    // 导入文件中的记录 uid -> 写入后的记录 uid，用于改写历史版本的 recordUid
+    const uidMap = new Map()
+    const maxIndex = new Map()
+    const existingRecords = await db.getAll('records')
+    existingRecords.forEach(record => {
+        maxIndex.set(record.date, Math.max(maxIndex.get(record.date) || 0, record.index))
+    })
+
+    const appendToDay = (record) => {
+        const index = Math.max(maxIndex.get(record.date) || 0, record.index) + 1
+        maxIndex.set(record.date, index)
+        const isDefaultTitle = record.title === `记录${record.index}`
+        return { ...record, uid: createRecordId(), index, title: isDefaultTitle ? `记录${index}` : record.title }
+    }
+    const mapUid = (incoming, uid) => {
+        if (incoming.uid !== undefined && incoming.uid !== null) uidMap.set(incoming.uid, uid)
+    }
+    // 已占用的 日期#序号
+    const taken = new Set(existingRecords.map(record => `${record.date}#${record.index}`))
+    const renumbered = []
+
+    for (const item of preview.items) {
+        const { incoming, existing } = item
+        if (item.status === STATUS.NEW) {
+            const record = { ...incoming }
+            if (record.uid === undefined || record.uid === null) {
+                delete record.uid
+                // 没有 uid 时无法与其他记录区分，序号重复的留到最后重新编号
+                if (taken.has(`${record.date}#${record.index}`)) {
+                    if (record.title === `记录${record.index}`) delete record.title
+                    delete record.index
+                    renumbered.push(record)
+                    records.push(record)
+                    continue
+                }
+            }
+            mapUid(incoming, incoming.uid)
+            records.push(record)
+            taken.add(`${record.date}#${record.index}`)
+            maxIndex.set(record.date, Math.max(maxIndex.get(record.date) || 0, record.index))
+        } else if (item.status === STATUS.IDENTICAL) {
+            // 内容相同的记录不再写入，它的历史版本归到本地记录下
+            mapUid(incoming, existing.uid)
+        } else if (item.status === STATUS.CONFLICT) {
+            const resolution = resolutions[item.id] || RESOLUTION.MINE
+            if (resolution === RESOLUTION.THEIRS) {
+                revisions.push(createRevision(existing))
+                records.push({ ...incoming, uid: existing.uid, updatedAt: Date.now() })
+                taken.add(`${incoming.date}#${incoming.index}`)
+                mapUid(incoming, existing.uid)
+            } else if (resolution === RESOLUTION.BOTH) {
+                const record = appendToDay(incoming)
+                records.push(record)
+                taken.add(`${record.date}#${record.index}`)
+                mapUid(incoming, record.uid)
+            }
+        }
+    }
+    assignIndexes(renumbered, existingRecords.concat(records.filter(record => !renumbered.includes(record))))
+    // 回收站中的记录按原样导入，历史版本保持原来的 recordUid
+    for (const item of importData.stores.trash || []) {
+        if (item.uid !== undefined && item.uid !== null && !uidMap.has(item.uid)) uidMap.set(item.uid, item.uid)
+    }
+
+    const stores = { ...importData.stores, records }
+    if (stores.revisions || revisions.length > 0) {
+        const revisionKey = revision => JSON.stringify([revision.recordUid, revision.savedAt, revision.record])
+        const seen = new Set((await db.getAll('revisions')).map(revisionKey))
+        const imported = []
+        for (const { id, ...revision } of stores.revisions || []) {
+            if (!uidMap.has(revision.recordUid)) continue
+            // 去掉自增主键重新编号，避免覆盖本地的历史版本
+            const remapped = { ...revision, recordUid: uidMap.get(revision.recordUid) }
+            const key = revisionKey(remapped)
+            if (seen.has(key)) continue
+            seen.add(key)
+            imported.push(remapped)
+        }
+        stores.revisions = [...imported, ...revisions]
+    }
+    return db.importData({ ...importData, stores }, { ...options, clearBeforeImport: false })
+}
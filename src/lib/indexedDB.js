@@ -1,21 +1,149 @@
 /**
  * IndexedDB 工具类
  * 提供对 IndexedDB 的封装，简化数据库操作
+ * 底层存储可以替换为其他后端（内存、sql.js），上层接口保持不变
  */
 
-import initSqlJs from 'sql.js'
+import QueryBuilder, { applyQuery } from './queryBuilder.js'
+import { createBackend } from './backends/index.js'
+import { normalizeStoreConfig, createError } from './backends/base.js'
+import { createKeyInfo, unwrapKeyInfo, rewrapKeyInfo, FieldCipher, EncryptedTransactionScope } from './encryption.js'
+import { createSQLiteFile, readSQLiteFile } from './sqliteFile.js'
+import { BACKUP_EXTENSION, isBackupFile, encryptBackup, decryptBackup } from './backupFile.js'
+import { downloadBlob, timestampFileName } from './file.js'
 
 class IndexedDBHelper {
     /**
      * 构造函数
      * @param {string} dbName - 数据库名称
      * @param {number} version - 数据库版本号
+     * @param {Object} options - 配置选项，见 createBackend
+     * @param {string} options.metaStore - 保存加密信息等元数据的仓库名称（默认 'meta'），不参与导入导出
+     * @param {Object|boolean} options.channel - 跨标签页同步使用的通道，可传入 BroadcastChannel 等实现了 postMessage 和 onmessage 的对象，
+     *   传入的通道由调用方关闭；为 false 时不同步；默认按数据库名称创建 BroadcastChannel，环境不支持时不同步
      */
-    constructor(dbName, version = 1) {
+    constructor(dbName, version = 1, options = {}) {
         this.dbName = dbName
         this.version = version
         this.db = null
+        this.backend = createBackend(dbName, version, options)
+        this.opening = null // 正在进行的初始化
         this.stores = new Map() // 存储对象仓库配置
+        this.validators = new Map() // 导入时的数据校验函数 storeName -> fn
+        this.keyGenerators = new Map() // 主键生成函数 storeName -> fn
+        this.migrations = new Map() // 版本迁移函数 version -> [fn]
+        this.formatUpgrades = new Map() // 导出格式升级函数 version -> [fn]
+        this.fileParsers = [] // 其他应用导出文件的解析函数
+        this.listeners = new Map() // 事件监听函数 event -> Set<handler>
+        this.channel = null // 跨标签页同步使用的 BroadcastChannel
+        this.channelOption = options.channel ?? true // 传入的通道或是否创建通道
+        this.metaStore = options.metaStore || 'meta'
+        this.encryption = null // 密钥信息，未开启加密时为 null
+        this.cipher = null // 解锁后的字段加解密器
+    }
+
+    /**
+     * 监听事件
+     * 'change' 事件：数据变更，回调参数为 {type, storeName, keys, remote}，
+     * type 为 'add' | 'put' | 'delete' | 'clear'，remote 表示变更是否来自其他标签页或窗口
+     * 'blocked' 事件：数据库升级被其他标签页阻止，那些标签页关闭后 init 才会完成
+     * 'versionchange' 事件：其他标签页升级了数据库，本页的连接已关闭，需要刷新页面
+     * @param {string} event - 事件名称
+     * @param {Function} handler - 回调函数
+     * @returns {IndexedDBHelper}
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set())
+        }
+        this.listeners.get(event).add(handler)
+        return this
+    }
+
+    /**
+     * 取消监听事件
+     * @param {string} event - 事件名称
+     * @param {Function} handler - 回调函数
+     * @returns {IndexedDBHelper}
+     */
+    off(event, handler) {
+        this.listeners.get(event)?.delete(handler)
+        return this
+    }
+
+    /**
+     * 触发事件
+     * @private
+     */
+    _emit(event, payload) {
+        this.listeners.get(event)?.forEach(handler => {
+            try {
+                handler(payload)
+            } catch (error) {
+                console.error(`事件 ${event} 的回调执行失败:`, error)
+            }
+        })
+    }
+
+    /**
+     * 通知数据变更：先在本页触发 change 事件，再广播给其他标签页
+     * @private
+     * @param {Array} changes - 变更数组 [{type, storeName, keys}]
+     */
+    _notifyChanges(changes) {
+        if (changes.length === 0) return
+
+        // 合并连续的同类变更，避免批量写入时触发大量事件
+        changes = changes.reduce((merged, change) => {
+            const last = merged.at(-1)
+            if (last && last.type === change.type && last.storeName === change.storeName) {
+                last.keys.push(...change.keys)
+            } else {
+                merged.push({ ...change, keys: [...change.keys] })
+            }
+            return merged
+        }, [])
+
+        changes.forEach(change => this._emit('change', { ...change, remote: false }))
+
+        if (this.channel) {
+            try {
+                this.channel.postMessage({ changes })
+            } catch (error) {
+                console.warn('广播数据变更失败:', error)
+            }
+        }
+    }
+
+    /**
+     * 打开跨标签页同步通道
+     * @private
+     */
+    _openChannel() {
+        if (this.channel || this.channelOption === false) return
+        if (this.channelOption === true) {
+            if (typeof BroadcastChannel === 'undefined') return
+            this.channel = new BroadcastChannel(`${this.dbName}-changes`)
+        } else {
+            this.channel = this.channelOption
+        }
+
+        this.channel.onmessage = async (event) => {
+            const changes = event.data?.changes || []
+            // 数据不直接共享的后端需要先重新加载
+            if (this.backend.reload) {
+                try {
+                    await this.backend.reload()
+                } catch (error) {
+                    console.error('重新加载数据失败:', error)
+                }
+            }
+            // 其他标签页开启、关闭加密或修改了口令
+            if (changes.some(change => change.storeName === this.metaStore)) {
+                await this._loadEncryption()
+            }
+            changes.forEach(change => this._emit('change', { ...change, remote: true }))
+        }
     }
 
     /**
@@ -24,69 +152,128 @@ class IndexedDBHelper {
      * @param {Object} options - 配置选项
      * @param {string} options.keyPath - 主键路径
      * @param {boolean} options.autoIncrement - 是否自动递增
-     * @param {Array} options.indexes - 索引配置数组 [{name, keyPath, unique}]
+     * @param {Array} options.indexes - 索引配置数组 [{name, keyPath, unique, multiEntry}]
+     * @param {Array<string>} options.encrypt - 开启加密后需要加密的字段（只加密字符串值，加密字段不能用于查询条件和排序）
+     * @param {Function} options.validate - 导入时校验每条数据，返回错误信息数组，为空表示通过
+     * @param {Function} options.generateKey - 写入的数据没有主键时调用生成主键（例如 ulid），
+     *   生成的主键在各设备间唯一，合并其他设备的数据时不会覆盖无关的数据
      */
     addStore(storeName, options = {}) {
-        this.stores.set(storeName, {
-            keyPath: options.keyPath || 'id',
-            autoIncrement: options.autoIncrement || false,
-            indexes: options.indexes || []
-        })
+        this.stores.set(storeName, normalizeStoreConfig(options))
+        if (options.validate) {
+            this.validators.set(storeName, options.validate)
+        }
+        if (options.generateKey) {
+            this.keyGenerators.set(storeName, options.generateKey)
+        }
         return this
     }
 
     /**
-     * 初始化数据库
-     * @returns {Promise<IDBDatabase>}
+     * 添加版本迁移
+     * 数据库从旧版本升级时，按版本号从小到大依次执行 (oldVersion, version] 区间内的迁移，
+     * 所有迁移都在同一个升级事务中运行，任一迁移失败则整个升级回滚
+     * 新增的仓库在迁移前创建，addStore 中新增的索引在所有迁移完成后才创建，
+     * 迁移可以先补齐或去重索引字段的数据（例如新增唯一索引前）
+     *
+     * 迁移上下文提供 createStore、deleteStore、recreateStore、createIndex、deleteIndex、updateRecords、putRecords 方法，
+     * 在所有存储后端中行为一致
+     * @param {number} version - 迁移对应的目标版本号
+     * @param {Function} fn - 迁移函数，接收迁移上下文，可返回 Promise
+     * @returns {IndexedDBHelper}
      */
-    init() {
-        return new Promise((resolve, reject) => {
-            if (this.db) {
-                resolve(this.db)
-                return
-            }
+    addMigration(version, fn) {
+        if (!Number.isInteger(version) || version < 1) {
+            throw new Error(`无效的迁移版本号: ${version}`)
+        }
+        if (!this.migrations.has(version)) {
+            this.migrations.set(version, [])
+        }
+        this.migrations.get(version).push(fn)
+        return this
+    }
 
-            const request = indexedDB.open(this.dbName, this.version)
+    /**
+     * 添加导出格式升级
+     * 导出的数据带有 formatVersion（没有时视为 1），导入时按版本号从小到大依次执行 (formatVersion, 当前版本] 区间内的升级，
+     * 当前导出格式版本为已添加升级的最大版本号
+     * @param {number} version - 升级后的格式版本号
+     * @param {Function} fn - 升级函数 (data, db)，接收导出数据对象和当前数据库实例，返回（或 Promise 返回）升级后的数据对象
+     * @returns {IndexedDBHelper}
+     */
+    addFormatUpgrade(version, fn) {
+        if (!Number.isInteger(version) || version < 2) {
+            throw new Error(`无效的导出格式版本号: ${version}`)
+        }
+        if (!this.formatUpgrades.has(version)) {
+            this.formatUpgrades.set(version, [])
+        }
+        this.formatUpgrades.get(version).push(fn)
+        return this
+    }
 
-            // 数据库升级时触发（首次创建或版本号变更）
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result
+    /**
+     * 添加导入文件解析函数，用于导入其他应用导出的文件
+     * parseFile 按添加顺序依次尝试，都返回 null 时按本应用的备份格式解析
+     * @param {Function} parser - 解析函数 (file) => Promise<Object|null>，返回与 exportData 格式相同的数据对象，
+     *   可以带 errors 数组说明跳过的内容；不是该格式时返回 null
+     * @returns {IndexedDBHelper}
+     */
+    addFileParser(parser) {
+        this.fileParsers.push(parser)
+        return this
+    }
 
-                // 创建对象仓库
-                this.stores.forEach((config, storeName) => {
-                    // 如果仓库已存在，先删除
-                    if (db.objectStoreNames.contains(storeName)) {
-                        db.deleteObjectStore(storeName)
-                    }
+    /**
+     * 当前导出格式版本
+     * @returns {number}
+     */
+    get formatVersion() {
+        return Math.max(1, ...this.formatUpgrades.keys())
+    }
 
-                    // 创建新的对象仓库
-                    const objectStore = db.createObjectStore(storeName, {
-                        keyPath: config.keyPath,
-                        autoIncrement: config.autoIncrement
-                    })
+    /**
+     * 初始化数据库
+     * @returns {Promise<*>} 底层数据库对象（IndexedDB 后端为 IDBDatabase）
+     */
+    init() {
+        if (this.db) {
+            return Promise.resolve(this.db)
+        }
 
-                    // 创建索引
-                    config.indexes.forEach(index => {
-                        objectStore.createIndex(
-                            index.name,
-                            index.keyPath || index.name,
-                            { unique: index.unique || false }
-                        )
-                    })
+        if (!this.opening) {
+            this.opening = this.backend.open({
+                stores: this.stores,
+                migrations: this.migrations,
+                onBlocked: () => this._emit('blocked', { dbName: this.dbName }),
+                onVersionChange: () => {
+                    this.close()
+                    this._emit('versionchange', { dbName: this.dbName })
+                }
+            })
+                .then(async db => {
+                    this.db = db
+                    await this._loadEncryption()
+                    this._openChannel()
+                    console.log(`数据库 ${this.dbName} 初始化成功`)
+                    return db
                 })
-            }
-
-            request.onsuccess = (event) => {
-                this.db = event.target.result
-                console.log(`数据库 ${this.dbName} 初始化成功`)
-                resolve(this.db)
-            }
+                .catch(error => {
+                    this.opening = null
+                    console.error('数据库初始化失败:', error)
+                    throw error
+                })
+        }
+        return this.opening
+    }
 
-            request.onerror = (event) => {
-                console.error('数据库初始化失败:', event.target.error)
-                reject(event.target.error)
-            }
-        })
+    /**
+     * 获取所有仓库名称
+     * @returns {Promise<Array<string>>}
+     */
+    async storeNames() {
+        await this.init()
+        return this.backend.storeNames()
     }
 
     /**
@@ -96,27 +283,15 @@ class IndexedDBHelper {
      * @returns {Promise}
      */
     async add(storeName, data) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readwrite')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const dataArray = Array.isArray(data) ? data : [data]
-            const results = []
-
-            dataArray.forEach(item => {
-                const request = objectStore.add(item)
-                request.onsuccess = () => results.push(request.result)
-            })
-
-            transaction.oncomplete = () => {
-                resolve(Array.isArray(data) ? results : results[0])
-            }
-
-            transaction.onerror = (event) => {
-                reject(event.target.error)
+        const dataArray = Array.isArray(data) ? data : [data]
+        const results = await this.transaction([storeName], 'readwrite', async (tx) => {
+            const keys = []
+            for (const item of dataArray) {
+                keys.push(await tx.add(storeName, item))
             }
+            return keys
         })
+        return Array.isArray(data) ? results : results[0]
     }
 
     /**
@@ -126,27 +301,15 @@ class IndexedDBHelper {
      * @returns {Promise}
      */
     async put(storeName, data) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readwrite')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const dataArray = Array.isArray(data) ? data : [data]
-            const results = []
-
-            dataArray.forEach(item => {
-                const request = objectStore.put(item)
-                request.onsuccess = () => results.push(request.result)
-            })
-
-            transaction.oncomplete = () => {
-                resolve(Array.isArray(data) ? results : results[0])
-            }
-
-            transaction.onerror = (event) => {
-                reject(event.target.error)
+        const dataArray = Array.isArray(data) ? data : [data]
+        const results = await this.transaction([storeName], 'readwrite', async (tx) => {
+            const keys = []
+            for (const item of dataArray) {
+                keys.push(await tx.put(storeName, item))
             }
+            return keys
         })
+        return Array.isArray(data) ? results : results[0]
     }
 
     /**
@@ -155,22 +318,8 @@ class IndexedDBHelper {
      * @param {*} key - 主键值
      * @returns {Promise<Object>}
      */
-    async get(storeName, key) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readonly')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const request = objectStore.get(key)
-
-            request.onsuccess = () => {
-                resolve(request.result)
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    get(storeName, key) {
+        return this.transaction([storeName], 'readonly', tx => tx.get(storeName, key))
     }
 
     /**
@@ -178,22 +327,8 @@ class IndexedDBHelper {
      * @param {string} storeName - 仓库名称
      * @returns {Promise<Array>}
      */
-    async getAll(storeName) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readonly')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const request = objectStore.getAll()
-
-            request.onsuccess = () => {
-                resolve(request.result)
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    getAll(storeName) {
+        return this.transaction([storeName], 'readonly', tx => tx.getAll(storeName))
     }
 
     /**
@@ -203,23 +338,8 @@ class IndexedDBHelper {
      * @param {*} value - 索引值
      * @returns {Promise<Array>}
      */
-    async getByIndex(storeName, indexName, value) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readonly')
-        const objectStore = transaction.objectStore(storeName)
-        const index = objectStore.index(indexName)
-
-        return new Promise((resolve, reject) => {
-            const request = index.getAll(value)
-
-            request.onsuccess = () => {
-                resolve(request.result)
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    getByIndex(storeName, indexName, value) {
+        return this.transaction([storeName], 'readonly', tx => tx.getByIndex(storeName, indexName, value))
     }
 
     /**
@@ -228,22 +348,8 @@ class IndexedDBHelper {
      * @param {*} key - 主键值
      * @returns {Promise}
      */
-    async delete(storeName, key) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readwrite')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const request = objectStore.delete(key)
-
-            request.onsuccess = () => {
-                resolve()
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    delete(storeName, key) {
+        return this.transaction([storeName], 'readwrite', tx => tx.delete(storeName, key))
     }
 
     /**
@@ -251,22 +357,8 @@ class IndexedDBHelper {
      * @param {string} storeName - 仓库名称
      * @returns {Promise}
      */
-    async clear(storeName) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readwrite')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const request = objectStore.clear()
-
-            request.onsuccess = () => {
-                resolve()
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    clear(storeName) {
+        return this.transaction([storeName], 'readwrite', tx => tx.clear(storeName))
     }
 
     /**
@@ -274,22 +366,8 @@ class IndexedDBHelper {
      * @param {string} storeName - 仓库名称
      * @returns {Promise<number>}
      */
-    async count(storeName) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readonly')
-        const objectStore = transaction.objectStore(storeName)
-
-        return new Promise((resolve, reject) => {
-            const request = objectStore.count()
-
-            request.onsuccess = () => {
-                resolve(request.result)
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-        })
+    count(storeName) {
+        return this.transaction([storeName], 'readonly', tx => tx.count(storeName))
     }
 
     /**
@@ -298,73 +376,359 @@ class IndexedDBHelper {
      * @param {Function} callback - 回调函数，接收每条数据
      * @param {Object} options - 选项
      * @param {string} options.direction - 遍历方向：'next'(默认), 'prev', 'nextunique', 'prevunique'
-     * @param {IDBKeyRange} options.range - 键范围
+     * @param {IDBKeyRange} options.range - 键范围（非 IndexedDB 后端可传入 {lower, upper, lowerOpen, upperOpen}）
      * @returns {Promise<Array>}
      */
     async cursor(storeName, callback, options = {}) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readonly')
-        const objectStore = transaction.objectStore(storeName)
-        const results = []
+        await this.init()
+        if (!this._needsCipher([storeName])) {
+            return this.backend.cursor(storeName, callback, options)
+        }
 
-        return new Promise((resolve, reject) => {
-            const request = objectStore.openCursor(
-                options.range || null,
-                options.direction || 'next'
-            )
-
-            request.onsuccess = (event) => {
-                const cursor = event.target.result
-                if (cursor) {
-                    const result = callback(cursor.value, cursor)
-                    if (result !== false) {
-                        results.push(cursor.value)
-                    }
-                    cursor.continue()
-                } else {
-                    resolve(results)
-                }
-            }
+        // 加密仓库先取出数据解密后再逐条回调，回调收不到游标对象
+        const items = await this._decodeAll(storeName, await this.backend.cursor(storeName, () => true, options))
+        return items.filter(item => callback(item, null) !== false)
+    }
 
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
+    /**
+     * 创建查询构造器
+     * @param {string} storeName - 仓库名称
+     * @returns {QueryBuilder}
+     * @example
+     * await db.query('records').where('date').between('2025-01-01', '2025-01-31').orderBy('date', 'desc').limit(20).toArray()
+     */
+    query(storeName) {
+        return new QueryBuilder(this, storeName)
+    }
+
+    /**
+     * 加密字段在数据库中保存的是密文，用于查询条件或排序时比较的是密文，直接报错
+     * @private
+     * @param {string} storeName - 仓库名称
+     * @param {string} field - 查询或排序的字段
+     */
+    _checkQueryField(storeName, field) {
+        if (this.stores.get(storeName)?.encrypt.includes(field)) {
+            throw new Error(`仓库 ${storeName} 的字段 ${field} 会被加密，不能用于查询条件和排序`)
+        }
+    }
+
+    /**
+     * 执行查询描述
+     * @private
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<Array>}
+     */
+    async _executeQuery(spec) {
+        await this.init()
+        if (!this._needsCipher([spec.storeName])) {
+            return this.backend.executeQuery(spec)
+        }
+        if (spec.filters.length === 0) {
+            return this._decodeAll(spec.storeName, await this.backend.executeQuery(spec))
+        }
+
+        // 过滤函数需要看到明文，先取出所有匹配条件的数据解密，再过滤和分页
+        const items = await this.backend.executeQuery({ ...spec, filters: [], offset: 0, limit: null })
+        return applyQuery(await this._decodeAll(spec.storeName, items), {
+            filters: spec.filters,
+            offset: spec.offset,
+            limit: spec.limit
         })
     }
 
+    /**
+     * 统计查询描述匹配的数据数量
+     * @private
+     * @param {Object} spec - 由 QueryBuilder 生成的查询描述
+     * @returns {Promise<number>}
+     */
+    async _countQuery(spec) {
+        await this.init()
+        if (this._needsCipher([spec.storeName]) && spec.filters.length > 0) {
+            const items = await this._executeQuery({ ...spec, offset: 0, limit: null })
+            return items.length
+        }
+        return this.backend.countQuery(spec)
+    }
+
     /**
      * 批量删除数据
      * @param {string} storeName - 仓库名称
      * @param {Array} keys - 主键数组
      * @returns {Promise}
      */
-    async batchDelete(storeName, keys) {
-        const db = await this.init()
-        const transaction = db.transaction([storeName], 'readwrite')
-        const objectStore = transaction.objectStore(storeName)
+    batchDelete(storeName, keys) {
+        return this.transaction([storeName], 'readwrite', async (tx) => {
+            for (const key of keys) {
+                await tx.delete(storeName, key)
+            }
+        })
+    }
 
-        return new Promise((resolve, reject) => {
-            keys.forEach(key => {
-                objectStore.delete(key)
-            })
+    /**
+     * 在一个事务中执行多个操作，全部成功才提交，任一操作抛出错误则全部回滚
+     * 注意：回调中只能等待事务作用域提供的操作，等待其他异步任务（如网络请求、定时器）会导致 IndexedDB 事务提前提交，
+     * 确实需要时用 tx.waitFor(promise) 包装；
+     * 也不要在回调中调用数据库工具类自身的方法，其他后端的事务是串行执行的
+     * @param {string|Array<string>} storeNames - 涉及的仓库名称
+     * @param {string} mode - 'readonly'(默认) 或 'readwrite'
+     * @param {Function} callback - 回调函数，接收事务作用域，可返回 Promise
+     * @returns {Promise<*>} 回调的返回值，在事务提交后 resolve
+     * @example
+     * await db.transaction(['records', 'trash'], 'readwrite', async tx => {
+     *     const record = await tx.get('records', uid)
+     *     await tx.put('trash', record)
+     *     await tx.delete('records', uid)
+     * })
+     */
+    async transaction(storeNames, mode, callback) {
+        if (typeof mode === 'function') {
+            callback = mode
+            mode = 'readonly'
+        }
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames]
+        await this.init()
+
+        if (this._needsCipher(names)) {
+            const cipher = this.cipher
+            return this._rawTransaction(names, mode, scope => callback(this._withKeyGenerator(new EncryptedTransactionScope(scope, cipher), names)))
+        }
+        return this._rawTransaction(names, mode, scope => callback(this._withKeyGenerator(scope, names)))
+    }
 
-            transaction.oncomplete = () => {
-                resolve()
+    /**
+     * 事务中写入没有主键的数据时，为配置了 generateKey 的仓库生成主键
+     * @private
+     */
+    _withKeyGenerator(scope, names) {
+        if (!names.some(name => this.keyGenerators.has(name))) {
+            return scope
+        }
+        const fillKey = (storeName, item) => {
+            const generateKey = this.keyGenerators.get(storeName)
+            const { keyPath } = this.stores.get(storeName)
+            if (!generateKey || (item[keyPath] !== undefined && item[keyPath] !== null)) return item
+            return { ...item, [keyPath]: generateKey() }
+        }
+        return new Proxy(scope, {
+            get: (target, property) => {
+                if (property === 'add' || property === 'put') {
+                    return (storeName, item) => target[property](storeName, fillKey(storeName, item))
+                }
+                const value = target[property]
+                return typeof value === 'function' ? value.bind(target) : value
             }
+        })
+    }
 
-            transaction.onerror = (event) => {
-                reject(event.target.error)
+    /**
+     * 直接在后端执行事务，不做加解密
+     * @private
+     */
+    async _rawTransaction(names, mode, callback) {
+        const { result, changes } = await this.backend.transaction(names, mode, callback)
+        this._notifyChanges(changes)
+        return result
+    }
+
+    /**
+     * 判断操作涉及的仓库是否需要加解密，已加密但未解锁时抛出 LockedError
+     * @private
+     */
+    _needsCipher(storeNames) {
+        if (!this.encryption) return false
+        if (!storeNames.some(name => this.stores.get(name)?.encrypt.length > 0)) return false
+        if (!this.cipher) {
+            throw createError('LockedError', '数据已加密，请先输入口令解锁')
+        }
+        return true
+    }
+
+    /**
+     * 解密多条数据
+     * @private
+     */
+    _decodeAll(storeName, items) {
+        return this.cipher.decodeAll(storeName, items)
+    }
+
+    /**
+     * 获取需要加密的仓库名称
+     * @private
+     */
+    _encryptedStoreNames() {
+        return Array.from(this.stores.entries())
+            .filter(([, config]) => config.encrypt.length > 0)
+            .map(([storeName]) => storeName)
+    }
+
+    /**
+     * 读取密钥信息，密钥信息变化后已解锁的密钥不再可用时重新上锁
+     * @private
+     */
+    async _loadEncryption() {
+        if (!this.stores.has(this.metaStore)) return
+
+        const entry = await this._rawTransaction([this.metaStore], 'readonly', tx => tx.get(this.metaStore, 'encryption'))
+        const info = entry?.value || null
+        if (!info) {
+            this.cipher = null
+        } else if (this.cipher && this.encryption?.keyId !== info.keyId) {
+            this.cipher = null
+        }
+        this.encryption = info
+    }
+
+    /**
+     * 检查是否可以使用加密功能
+     * @private
+     */
+    _assertMetaStore() {
+        if (!this.stores.has(this.metaStore)) {
+            throw new Error(`使用加密功能需要先添加 ${this.metaStore} 仓库`)
+        }
+    }
+
+    /**
+     * 重新加密或解密所有加密仓库中的数据，并在同一个事务中保存密钥信息
+     * @private
+     * @param {FieldCipher|null} from - 当前数据使用的加解密器，明文时为 null
+     * @param {FieldCipher|null} to - 目标加解密器，解密为明文时为 null
+     * @param {Object|null} info - 要保存的密钥信息，为 null 时删除
+     */
+    _rewriteAll(from, to, info) {
+        const storeNames = this._encryptedStoreNames()
+        return this._rawTransaction([...storeNames, this.metaStore], 'readwrite', async (tx) => {
+            for (const storeName of storeNames) {
+                const items = await tx.getAll(storeName)
+                for (let item of items) {
+                    if (from) item = await tx.waitFor(from.decode(storeName, item))
+                    if (to) item = await tx.waitFor(to.encode(storeName, item))
+                    await tx.put(storeName, item)
+                }
+            }
+            if (info) {
+                await tx.put(this.metaStore, { key: 'encryption', value: info })
+            } else {
+                await tx.delete(this.metaStore, 'encryption')
             }
         })
     }
 
+    /**
+     * 是否已开启加密
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return this.encryption !== null
+    }
+
+    /**
+     * 是否已解锁（未开启加密时始终为 true）
+     * @returns {boolean}
+     */
+    isUnlocked() {
+        return !this.encryption || this.cipher !== null
+    }
+
+    /**
+     * 开启加密，已有数据在一个事务中就地加密
+     * @param {string} passphrase - 口令
+     * @returns {Promise}
+     */
+    async enableEncryption(passphrase) {
+        await this.init()
+        this._assertMetaStore()
+        if (this.encryption) {
+            throw new Error('已经开启了加密')
+        }
+
+        const { key, info } = await createKeyInfo(passphrase)
+        info.keyId = crypto.randomUUID()
+        const cipher = new FieldCipher(key, this.stores)
+        await this._rewriteAll(null, cipher, info)
+        this.encryption = info
+        this.cipher = cipher
+    }
+
+    /**
+     * 使用口令解锁
+     * @param {string} passphrase - 口令
+     * @returns {Promise}
+     * @throws {Error} 口令错误时抛出 InvalidPassphraseError
+     */
+    async unlock(passphrase) {
+        await this.init()
+        if (!this.encryption) return
+
+        const key = await unwrapKeyInfo(passphrase, this.encryption)
+        this.cipher = new FieldCipher(key, this.stores)
+    }
+
+    /**
+     * 上锁，丢弃内存中的密钥
+     */
+    lock() {
+        if (this.encryption) {
+            this.cipher = null
+        }
+    }
+
+    /**
+     * 修改口令，只重新包装数据密钥，不需要重新加密数据
+     * @param {string} oldPassphrase - 原口令
+     * @param {string} newPassphrase - 新口令
+     * @returns {Promise}
+     */
+    async changePassphrase(oldPassphrase, newPassphrase) {
+        await this.init()
+        this._assertMetaStore()
+        if (!this.encryption) {
+            throw new Error('尚未开启加密')
+        }
+
+        const key = await unwrapKeyInfo(oldPassphrase, this.encryption)
+        const info = await rewrapKeyInfo(key, newPassphrase)
+        info.keyId = this.encryption.keyId
+        await this._rawTransaction([this.metaStore], 'readwrite', tx => tx.put(this.metaStore, { key: 'encryption', value: info }))
+        this.encryption = info
+        this.cipher = new FieldCipher(key, this.stores)
+    }
+
+    /**
+     * 关闭加密，所有数据在一个事务中就地解密
+     * @param {string} passphrase - 口令
+     * @returns {Promise}
+     */
+    async disableEncryption(passphrase) {
+        await this.init()
+        this._assertMetaStore()
+        if (!this.encryption) return
+
+        const key = await unwrapKeyInfo(passphrase, this.encryption)
+        await this._rewriteAll(new FieldCipher(key, this.stores), null, null)
+        this.encryption = null
+        this.cipher = null
+    }
+
     /**
      * 关闭数据库连接
      */
     close() {
+        if (this.channel) {
+            // 传入的通道只解除监听，由调用方关闭
+            if (this.channel === this.channelOption) {
+                this.channel.onmessage = null
+            } else {
+                this.channel.close()
+            }
+            this.channel = null
+        }
         if (this.db) {
-            this.db.close()
+            this.backend.close()
             this.db = null
+            this.opening = null
             console.log(`数据库 ${this.dbName} 已关闭`)
         }
     }
@@ -373,149 +737,88 @@ class IndexedDBHelper {
      * 删除数据库
      * @returns {Promise}
      */
-    deleteDatabase() {
-        return new Promise((resolve, reject) => {
-            this.close()
-            const request = indexedDB.deleteDatabase(this.dbName)
-
-            request.onsuccess = () => {
-                console.log(`数据库 ${this.dbName} 已删除`)
-                resolve()
-            }
-
-            request.onerror = (event) => {
-                reject(event.target.error)
-            }
-
-            request.onblocked = () => {
-                console.warn(`数据库 ${this.dbName} 删除被阻止，请关闭所有使用该数据库的连接`)
-            }
-        })
+    async deleteDatabase() {
+        this.close()
+        await this.backend.destroy()
+        console.log(`数据库 ${this.dbName} 已删除`)
     }
 
     /**
-     * 导出数据库所有数据为 JSON
-     * @returns {Promise<Object>} 包含所有仓库数据的对象
+     * 导出数据库数据为 JSON
+     * @param {Object} options - 导出选项（可选，默认导出所有数据）
+     * @param {Array<string>} options.storeNames - 只导出这些仓库
+     * @param {Function} options.filter - 过滤函数 (item, storeName) => boolean，只导出返回 true 的数据
+     * @returns {Promise<Object>} 包含仓库数据的对象
      */
-    async exportData() {
-        const db = await this.init()
+    async exportData(options = {}) {
+        const { storeNames: only, filter } = options
         const exportData = {
             dbName: this.dbName,
             version: this.version,
+            formatVersion: this.formatVersion,
             exportDate: new Date().toISOString(),
             stores: {}
         }
 
-        // 获取所有对象仓库的名称
-        const storeNames = Array.from(db.objectStoreNames)
+        // 获取所有对象仓库的名称，元数据仓库不导出
+        const storeNames = (await this.storeNames())
+            .filter(storeName => storeName !== this.metaStore && (!only || only.includes(storeName)))
 
         // 遍历每个仓库并导出数据
         for (const storeName of storeNames) {
             const data = await this.getAll(storeName)
-            exportData.stores[storeName] = data
+            exportData.stores[storeName] = filter ? data.filter(item => filter(item, storeName)) : data
         }
 
         return exportData
     }
 
     /**
-     * 导出数据库数据并下载为 SQLite 文件
-     * @param {string} filename - 文件名（可选，默认为 dbName_timestamp.db）
-     * @returns {Promise<void>}
+     * 将导出数据转换为 SQLite 文件
+     * 表结构按仓库配置生成，包含所有字段、主键和索引，并写入 _meta 表，导入时据此还原
+     * @param {Object} data - exportData 格式的数据对象（可选，默认导出所有数据）
+     * @returns {Promise<Blob>}
      */
-    async exportToFile(filename) {
-        try {
-            // 初始化 sql.js
-            const SQL = await initSqlJs({
-                locateFile: file => `https://sql.js.org/dist/${file}`
-            })
+    async exportSQLite(data) {
+        const binaryArray = await createSQLiteFile(data || await this.exportData(), this.stores)
+        return new Blob([binaryArray], { type: 'application/x-sqlite3' })
+    }
 
-            // 创建新的 SQLite 数据库
-            const sqlDb = new SQL.Database()
-
-            // 获取所有数据
-            const data = await this.exportData()
-            const db = await this.init()
-
-            // 为每个仓库创建表并插入数据
-            for (const [storeName, records] of Object.entries(data.stores)) {
-                if (records.length === 0) continue
-
-                // 获取仓库配置
-                const storeConfig = this.stores.get(storeName)
-                
-                // 分析数据结构，创建表
-                const sampleRecord = records[0]
-                const columns = Object.keys(sampleRecord)
-                
-                // 构建 CREATE TABLE 语句
-                const columnDefs = columns.map(col => {
-                    const value = sampleRecord[col]
-                    let type = 'TEXT'
-                    
-                    if (typeof value === 'number') {
-                        type = Number.isInteger(value) ? 'INTEGER' : 'REAL'
-                    } else if (typeof value === 'boolean') {
-                        type = 'INTEGER'
-                    }
-                    
-                    // 使用方括号包裹列名以避免保留字冲突
-                    const quotedCol = `[${col}]`
-                    
-                    // 如果是主键
-                    if (col === storeConfig?.keyPath) {
-                        return `${quotedCol} ${type} PRIMARY KEY`
-                    }
-                    
-                    return `${quotedCol} ${type}`
-                }).join(', ')
-
-                const createTableSQL = `CREATE TABLE [${storeName}] (${columnDefs})`
-                sqlDb.run(createTableSQL)
-
-                // 插入数据
-                for (const record of records) {
-                    const cols = Object.keys(record)
-                    const quotedCols = cols.map(col => `[${col}]`)
-                    const placeholders = cols.map(() => '?').join(', ')
-                    const values = cols.map(col => {
-                        const value = record[col]
-                        // 布尔值转换为 0/1
-                        if (typeof value === 'boolean') return value ? 1 : 0
-                        // 对象和数组转换为 JSON 字符串
-                        if (typeof value === 'object' && value !== null) return JSON.stringify(value)
-                        return value
-                    })
-                    
-                    const insertSQL = `INSERT INTO [${storeName}] (${quotedCols.join(', ')}) VALUES (${placeholders})`
-                    sqlDb.run(insertSQL, values)
-                }
-            }
+    /**
+     * 将导出数据加密为备份文件（.mimi），导入时需要输入密码
+     * @param {string} password - 密码
+     * @param {Object} data - exportData 格式的数据对象（可选，默认导出所有数据）
+     * @returns {Promise<Blob>}
+     */
+    async exportBackup(password, data) {
+        if (!password) {
+            throw new Error('密码不能为空')
+        }
+        const bytes = await encryptBackup(data || await this.exportData(), password)
+        return new Blob([bytes], { type: 'application/octet-stream' })
+    }
 
-            // 导出为二进制数据
-            const binaryArray = sqlDb.export()
-            const blob = new Blob([binaryArray], { type: 'application/x-sqlite3' })
+    /**
+     * 导出数据库数据并下载为 SQLite 文件，指定密码时下载为加密备份文件
+     * @param {string} filename - 文件名（可选，默认为 dbName_timestamp.db 或 dbName_timestamp.mimi）
+     * @param {Object} options - 导出选项，见 exportData（可选，默认导出所有数据）
+     * @param {string} options.password - 加密备份的密码（可选）
+     * @returns {Promise<void>}
+     */
+    async exportToFile(filename, options = {}) {
+        try {
+            const { password, ...exportOptions } = options
+            const data = await this.exportData(exportOptions)
+            const blob = password ? await this.exportBackup(password, data) : await this.exportSQLite(data)
 
             // 生成默认文件名
             if (!filename) {
-                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5)
-                filename = `${this.dbName}_${timestamp}.db`
+                filename = timestampFileName(this.dbName, password ? BACKUP_EXTENSION : 'db')
             }
 
-            // 创建下载链接
-            const url = URL.createObjectURL(blob)
-            const a = document.createElement('a')
-            a.href = url
-            a.download = filename
-            document.body.appendChild(a)
-            a.click()
-            document.body.removeChild(a)
-            URL.revokeObjectURL(url)
-
-            // 关闭 SQLite 数据库
-            sqlDb.close()
+            downloadBlob(blob, filename)
 
-            console.log(`数据库 ${this.dbName} 已导出到 SQLite 文件 ${filename}`)
+            console.log(`数据库 ${this.dbName} 已导出到${password ? '加密备份' : ' SQLite '}文件 ${filename}`)
         } catch (error) {
             console.error('导出数据失败:', error)
             throw error
@@ -523,16 +826,79 @@ class IndexedDBHelper {
     }
 
     /**
-     * 从 JSON 对象导入数据到数据库
+     * 升级并校验导入数据，不写入数据库
+     * 旧版本格式先升级到当前版本，再用仓库配置的 validate 逐条校验，不合格的数据被剔除并给出原因
      * @param {Object} importData - 导入的数据对象
+     * @returns {Promise<Object>} {data, errors}，data 为升级和剔除后的数据对象
+     * @throws {Error} 数据格式无法识别，或来自其他数据库、更新的导出格式时抛出
+     */
+    async prepareImport(importData) {
+        if (!importData || typeof importData !== 'object' || !importData.stores || typeof importData.stores !== 'object') {
+            throw new Error('无效的导入数据格式：缺少 stores')
+        }
+        if (importData.dbName && importData.dbName !== this.dbName) {
+            throw new Error(`导入的数据来自其他数据库 ${importData.dbName}，不是 ${this.dbName} 导出的数据`)
+        }
+
+        const fromVersion = importData.formatVersion || 1
+        if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+            throw new Error(`无效的导出格式版本号: ${importData.formatVersion}`)
+        }
+        if (fromVersion > this.formatVersion) {
+            throw new Error(`导入的数据格式版本为 ${fromVersion}，高于当前支持的 ${this.formatVersion}，请先更新应用`)
+        }
+
+        // 依次执行格式升级，升级函数可以直接修改传入的对象，这里先复制一份
+        let data = structuredClone(importData)
+        const versions = Array.from(this.formatUpgrades.keys())
+            .filter(version => version > fromVersion)
+            .sort((a, b) => a - b)
+        for (const version of versions) {
+            for (const fn of this.formatUpgrades.get(version)) {
+                data = await fn(data, this)
+            }
+            data.formatVersion = version
+        }
+
+        const errors = []
+        const stores = {}
+        for (const [storeName, items] of Object.entries(data.stores)) {
+            if (!Array.isArray(items)) {
+                errors.push(`仓库 ${storeName} 的数据不是数组，跳过导入`)
+                continue
+            }
+            const validate = this.validators.get(storeName)
+            if (!validate) {
+                stores[storeName] = items
+                continue
+            }
+            stores[storeName] = items.filter((item, index) => {
+                const itemErrors = item && typeof item === 'object' ? validate(item) : ['不是对象']
+                if (itemErrors.length === 0) return true
+                errors.push(`${storeName} 第 ${index + 1} 条：${itemErrors.join('；')}`)
+                return false
+            })
+        }
+
+        return { data: { ...data, formatVersion: this.formatVersion, stores }, errors }
+    }
+
+    /**
+     * 从 JSON 对象导入数据到数据库
+     * 数据按 chunkSize 分批写入，每批一个事务，批次之间让出主线程，大量数据导入时界面不会卡住
+     * @param {Object} rawData - 导入的数据对象，导入前会先经过 prepareImport 升级和校验
      * @param {Object} options - 导入选项
      * @param {boolean} options.clearBeforeImport - 导入前是否清空现有数据（默认 false）
-     * @param {boolean} options.skipErrors - 是否跳过错误继续导入（默认 true）
-     * @returns {Promise<Object>} 导入结果统计
+     * @param {boolean} options.skipErrors - 是否跳过错误继续导入（默认 true，为 false 时不分批，任一错误都会回滚整个导入）
+     *   clearBeforeImport 为 true 时同样不分批，取消或出错时回滚整个导入，不会只清空仓库
+     * @param {number} options.chunkSize - 每批写入的条数（默认 500）
+     * @param {Function} options.onProgress - 进度回调 ({done, total})，每批写入后调用
+     * @param {AbortSignal} options.signal - 取消信号，取消时回滚当前批次，已写入的批次保留（不分批时回滚整个导入）
+     * @returns {Promise<Object>} 导入结果统计，取消时 cancelled 为 true
      */
-    async importData(importData, options = {}) {
-        const { clearBeforeImport = false, skipErrors = true } = options
-        const db = await this.init()
+    async importData(rawData, options = {}) {
+        const { clearBeforeImport = false, skipErrors = true, chunkSize = 500, onProgress, signal } = options
+        const storeNames = await this.storeNames()
         const result = {
             success: true,
             imported: {},
@@ -540,63 +906,112 @@ class IndexedDBHelper {
         }
 
         try {
-            // 验证导入数据格式
-            if (!importData || !importData.stores) {
-                throw new Error('无效的导入数据格式')
+            // 升级旧格式并校验每条数据，不合格的数据不会写入
+            const { data: importData, errors } = await this.prepareImport(rawData)
+            if (errors.length > 0) {
+                errors.forEach(error => console.warn(error))
+                result.errors.push(...errors)
+                if (!skipErrors) {
+                    throw new Error(`导入数据校验失败：${errors[0]}`)
+                }
             }
 
-            // 遍历每个仓库
-            for (const [storeName, data] of Object.entries(importData.stores)) {
-                // 检查仓库是否存在
-                if (!db.objectStoreNames.contains(storeName)) {
-                    const error = `仓库 ${storeName} 不存在，跳过导入`
-                    console.warn(error)
-                    result.errors.push(error)
-                    continue
+            // 检查仓库是否存在
+            const entries = Object.entries(importData.stores).filter(([storeName]) => {
+                // 元数据仓库保存的是本机的密钥信息，不能被导入的数据覆盖
+                if (storeName === this.metaStore) return false
+                if (storeNames.includes(storeName)) return true
+                const error = `仓库 ${storeName} 不存在，跳过导入`
+                console.warn(error)
+                result.errors.push(error)
+                return false
+            }).map(([storeName, data]) => [storeName, this._dedupeByKey(storeName, data)])
+
+            if (entries.length === 0) {
+                result.success = result.errors.length === 0
+                return result
+            }
+
+            // 按仓库切分批次，需要清空时在仓库的第一批中清空
+            const chunks = []
+            for (const [storeName, data] of entries) {
+                const first = chunks.length
+                for (let start = 0; start < data.length; start += chunkSize) {
+                    chunks.push([{ storeName, items: data.slice(start, start + chunkSize), clear: false }])
+                }
+                if (clearBeforeImport) {
+                    if (chunks.length === first) chunks.push([{ storeName, items: [], clear: true }])
+                    chunks[first][0].clear = true
                 }
+            }
+            // 清空后导入或不跳过错误时所有仓库在同一个事务中导入，清空和写入要么全部生效，要么全部回滚，
+            // 否则取消或出错时仓库已被清空，只剩部分导入的数据
+            const atomic = clearBeforeImport || !skipErrors
+            const batches = atomic ? [chunks.flat()] : chunks
+            const total = entries.reduce((sum, [, data]) => sum + data.length, 0)
+            let done = 0
+            onProgress?.({ done, total })
+
+            const importBatches = async () => {
+                for (const batch of batches) {
+                    const imported = await this.transaction([...new Set(batch.map(part => part.storeName))], 'readwrite', async (tx) => {
+                        const counts = {}
+
+                        for (const { storeName, items, clear } of batch) {
+                            if (clear) {
+                                await tx.clear(storeName)
+                            }
 
-                try {
-                    // 如果需要，先清空仓库
-                    if (clearBeforeImport) {
-                        await this.clear(storeName)
-                    }
+                            // 导入数据
+                            let successCount = 0
+                            const storeConfig = this.stores.get(storeName)
+
+                            for (const item of items) {
+                                // 取消时抛出 AbortError，当前批次随事务回滚
+                                signal?.throwIfAborted()
+                                try {
+                                    // 如果配置了 autoIncrement 且数据中没有主键，删除主键字段让数据库自动生成
+                                    if (storeConfig?.autoIncrement && storeConfig?.keyPath) {
+                                        const keyPath = storeConfig.keyPath
+                                        // 如果主键不存在或为 null/undefined，删除该字段
+                                        if (item[keyPath] === null || item[keyPath] === undefined) {
+                                            delete item[keyPath]
+                                        }
+                                    }
 
-                    // 导入数据
-                    let successCount = 0
-                    const storeConfig = this.stores.get(storeName)
-                    
-                    for (const item of data) {
-                        try {
-                            // 如果配置了 autoIncrement 且数据中没有主键，删除主键字段让数据库自动生成
-                            if (storeConfig?.autoIncrement && storeConfig?.keyPath) {
-                                const keyPath = storeConfig.keyPath
-                                // 如果主键不存在或为 null/undefined，删除该字段
-                                if (item[keyPath] === null || item[keyPath] === undefined) {
-                                    delete item[keyPath]
+                                    await tx.put(storeName, item)
+                                    successCount++
+                                } catch (error) {
+                                    const errorMsg = `导入 ${storeName} 中的数据失败: ${error.message}`
+                                    result.errors.push(errorMsg)
+                                    if (!skipErrors) {
+                                        throw error
+                                    }
                                 }
                             }
-                            
-                            await this.put(storeName, item)
-                            successCount++
-                        } catch (error) {
-                            const errorMsg = `导入 ${storeName} 中的数据失败: ${error.message}`
-                            result.errors.push(errorMsg)
-                            if (!skipErrors) {
-                                throw error
-                            }
+
+                            counts[storeName] = (counts[storeName] || 0) + successCount
+                            // 同一个事务中也按批次报告进度，IndexedDB 等待请求时界面可以刷新和响应取消
+                            done += items.length
+                            onProgress?.({ done, total })
                         }
-                    }
 
-                    result.imported[storeName] = successCount
-                    console.log(`仓库 ${storeName} 导入了 ${successCount} 条数据`)
-                } catch (error) {
-                    const errorMsg = `处理仓库 ${storeName} 时出错: ${error.message}`
-                    result.errors.push(errorMsg)
-                    if (!skipErrors) {
-                        throw error
+                        return counts
+                    })
+
+                    for (const [storeName, successCount] of Object.entries(imported)) {
+                        result.imported[storeName] = (result.imported[storeName] || 0) + successCount
                     }
+                    // 让出主线程，界面可以刷新进度和响应取消
+                    await new Promise(resolve => setTimeout(resolve, 0))
                 }
             }
+            // 后端支持批量写入时（sql.js），所有批次结束后只保存一次数据库文件
+            await (this.backend.batch ? this.backend.batch(importBatches) : importBatches())
+
+            for (const [storeName, successCount] of Object.entries(result.imported)) {
+                console.log(`仓库 ${storeName} 导入了 ${successCount} 条数据`)
+            }
 
             if (result.errors.length > 0) {
                 result.success = false
@@ -604,48 +1019,131 @@ class IndexedDBHelper {
 
             return result
         } catch (error) {
-            console.error('导入数据失败:', error)
             result.success = false
+            if (error.name === 'AbortError') {
+                const count = Object.values(result.imported).reduce((sum, value) => sum + value, 0)
+                result.cancelled = true
+                result.errors.push(count > 0 ? `导入已取消，此前已写入的 ${count} 条数据已保留` : '导入已取消，数据没有改变')
+                return result
+            }
+            console.error('导入数据失败:', error)
             result.errors.push(error.message)
             throw error
         }
     }
 
     /**
-     * 从文件导入数据到数据库（支持 SQLite 和 JSON 格式）
-     * @param {File} file - 要导入的文件（.db 或 .json）
-     * @param {Object} options - 导入选项
+     * 配置了 generateKey 的仓库主键是全局唯一的 ID，导入的数据中同一 ID 出现多次时只保留最后一条，
+     * 与本地 ID 相同的数据会更新本地数据，不会重复添加
+     * @private
+     */
+    _dedupeByKey(storeName, items) {
+        if (!this.keyGenerators.has(storeName)) return items
+
+        const { keyPath } = this.stores.get(storeName)
+        const positions = new Map()
+        const unique = []
+        for (const item of items) {
+            const key = item[keyPath]
+            if (key === undefined || key === null) {
+                unique.push(item)
+            } else if (positions.has(key)) {
+                unique[positions.get(key)] = item
+            } else {
+                positions.set(key, unique.length)
+                unique.push(item)
+            }
+        }
+        if (unique.length < items.length) {
+            console.warn(`仓库 ${storeName} 中有 ${items.length - unique.length} 条重复的数据，只导入最后一条`)
+        }
+        return unique
+    }
+
+    /**
+     * 从文件导入数据到数据库（支持 SQLite、JSON、加密备份和 addFileParser 添加的格式）
+     * @param {File} file - 要导入的文件（.db、.json 或 .mimi）
+     * @param {Object} options - 导入选项，见 importData 和 parseFile
      * @returns {Promise<Object>} 导入结果统计
      */
     async importFromFile(file, options = {}) {
+        // 解析时跳过的内容一并计入导入结果
+        const { errors = [], ...importData } = await this.parseFile(file, options)
+        const result = await this.importData(importData, options)
+        if (errors.length > 0) {
+            result.success = false
+            result.errors.unshift(...errors)
+        }
+        console.log(`从文件 ${file.name} 导入数据完成`)
+        return result
+    }
+
+    /**
+     * 读取导入文件，只解析不写入，便于导入前预览
+     * 加密备份按文件开头的标识识别，与扩展名无关，其他应用导出的文件由 addFileParser 添加的函数解析
+     * @param {File} file - 要导入的文件（.db、.sqlite、.sqlite3、.json 或 .mimi）
+     * @param {Object} options - 选项
+     * @param {Function} options.getPassword - 加密备份的密码输入函数 (error) => Promise<string>，
+     *   密码错误时会带上错误再次调用，抛出异常（例如用户取消）则停止导入
+     * @returns {Promise<Object>} 与 exportData 格式相同的数据对象
+     */
+    async parseFile(file, options = {}) {
+        const bytes = new Uint8Array(await file.slice(0, 4).arrayBuffer())
+        if (isBackupFile(bytes)) {
+            return this._parseBackup(file, options.getPassword)
+        }
+
+        for (const parser of this.fileParsers) {
+            const data = await parser(file)
+            if (data) return data
+        }
+
         // 根据文件扩展名判断文件类型
         const fileName = file.name.toLowerCase()
         const isSQLite = fileName.endsWith('.db') || fileName.endsWith('.sqlite') || fileName.endsWith('.sqlite3')
 
         if (isSQLite) {
-            return this._importFromSQLite(file, options)
+            return this._parseSQLite(file)
         } else {
-            return this._importFromJSON(file, options)
+            return this._parseJSON(file)
+        }
+    }
+
+    /**
+     * 解析加密备份文件，密码错误时重新输入
+     * @private
+     */
+    async _parseBackup(file, getPassword) {
+        if (!getPassword) {
+            throw new Error('加密备份文件需要输入密码')
+        }
+        const bytes = new Uint8Array(await file.arrayBuffer())
+        let lastError = null
+        for (;;) {
+            const password = await getPassword(lastError)
+            try {
+                return await decryptBackup(bytes, password)
+            } catch (error) {
+                if (error.name !== 'InvalidPassphraseError') throw error
+                lastError = error
+            }
         }
     }
 
     /**
-     * 从 JSON 文件导入数据
+     * 解析 JSON 文件
      * @private
      */
-    async _importFromJSON(file, options = {}) {
+    async _parseJSON(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader()
 
-            reader.onload = async (event) => {
+            reader.onload = (event) => {
                 try {
                     const jsonStr = event.target.result
-                    const importData = JSON.parse(jsonStr)
-                    const result = await this.importData(importData, options)
-                    console.log(`从 JSON 文件 ${file.name} 导入数据完成`)
-                    resolve(result)
+                    resolve(JSON.parse(jsonStr))
                 } catch (error) {
-                    console.error('从 JSON 文件导入数据失败:', error)
+                    console.error('解析 JSON 文件失败:', error)
                     reject(error)
                 }
             }
@@ -660,83 +1158,24 @@ class IndexedDBHelper {
     }
 
     /**
-     * 从 SQLite 文件导入数据
+     * 解析 SQLite 文件
      * @private
      */
-    async _importFromSQLite(file, options = {}) {
+    async _parseSQLite(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader()
 
             reader.onload = async (event) => {
                 try {
-                    // 初始化 sql.js
-                    const SQL = await initSqlJs({
-                        locateFile: file => `https://sql.js.org/dist/${file}`
-                    })
-
-                    // 加载 SQLite 数据库
-                    const uInt8Array = new Uint8Array(event.target.result)
-                    const sqlDb = new SQL.Database(uInt8Array)
-
-                    // 获取所有表名
-                    const tablesResult = sqlDb.exec("SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'")
-                    
-                    if (tablesResult.length === 0 || !tablesResult[0].values) {
-                        throw new Error('SQLite 文件中没有找到数据表')
-                    }
+                    const importData = await readSQLiteFile(event.target.result)
 
-                    const tables = tablesResult[0].values.map(row => row[0])
-
-                    // 构建导入数据结构
-                    const importData = {
-                        dbName: this.dbName,
-                        version: this.version,
-                        exportDate: new Date().toISOString(),
-                        stores: {}
-                    }
-
-                    // 从每个表读取数据
-                    for (const tableName of tables) {
-                        const result = sqlDb.exec(`SELECT * FROM ${tableName}`)
-                        
-                        if (result.length > 0 && result[0].values.length > 0) {
-                            const columns = result[0].columns
-                            const rows = result[0].values
-
-                            // 将行数据转换为对象数组
-                            importData.stores[tableName] = rows.map(row => {
-                                const obj = {}
-                                columns.forEach((col, index) => {
-                                    let value = row[index]
-                                    
-                                    // 尝试解析 JSON 字符串
-                                    if (typeof value === 'string') {
-                                        try {
-                                            const parsed = JSON.parse(value)
-                                            if (typeof parsed === 'object') {
-                                                value = parsed
-                                            }
-                                        } catch (e) {
-                                            // 不是 JSON，保持原值
-                                        }
-                                    }
-                                    
-                                    obj[col] = value
-                                })
-                                return obj
-                            })
-                        }
-                    }
-
-                    // 关闭 SQLite 数据库
-                    sqlDb.close()
-
-                    // 使用现有的 importData 方法导入
-                    const result = await this.importData(importData, options)
-                    console.log(`从 SQLite 文件 ${file.name} 导入数据完成`)
-                    resolve(result)
+                    // 旧版本导出的文件没有 _meta 表，视为当前数据库的数据
+                    importData.dbName = importData.dbName || this.dbName
+                    importData.version = importData.version || this.version
+                    importData.exportDate = importData.exportDate || new Date().toISOString()
+                    resolve(importData)
                 } catch (error) {
-                    console.error('从 SQLite 文件导入数据失败:', error)
+                    console.error('解析 SQLite 文件失败:', error)
                     reject(error)
                 }
             }
@@ -754,7 +1193,20 @@ class IndexedDBHelper {
 // 导出工具类
 export default IndexedDBHelper
 
-// 导出便捷方法用于创建实例
-export function createDB(dbName, version) {
-    return new IndexedDBHelper(dbName, version)
+/**
+ * 导出便捷方法用于创建实例
+ * @param {string} dbName - 数据库名称
+ * @param {number} version - 数据库版本号
+ * @param {Object} options - 配置选项
+ * @param {string|Object} options.backend - 存储后端：'indexeddb'(默认) | 'memory' | 'sqljs'，或自定义后端对象
+ * @param {Object|boolean} options.channel - 跨标签页同步使用的通道，见 IndexedDBHelper 构造函数
+ * @returns {IndexedDBHelper}
+ * @example
+ * createDB('mimiDate', 1, { backend: 'memory' })
+ * createDB('mimiDate', 1, { backend: 'sqljs', storage: createOPFSStorage('mimiDate.sqlite') })
+ */
+export function createDB(dbName, version, options = {}) {
+    return new IndexedDBHelper(dbName, version, options)
 }
+
+export { createOPFSStorage } from './backends/index.js'
@@ -0,0 +1,128 @@
+/**
+ * 应用锁
+ * PIN 只以加盐的 PBKDF2 哈希保存在 localStorage 中，验证时重新计算哈希比较
+ * 连续输错多次后需要等待一段时间才能再试，等待时间逐次加倍，失败次数也保存在 localStorage 中，刷新页面不会重置
+ *
+ * 应用锁只是防止旁人随手翻看的隐私屏幕，不保护数据本身：能打开开发者工具或清除站点数据的人
+ * 可以直接删除 PIN 和失败次数，也可以直接读取数据库。需要保护数据时应开启口令加密（见 IndexedDBHelper.enableEncryption），
+ * 口令不保存在本地，输错也无法绕过，所以失败次数不必放到更难修改的地方
+ */
+
+import { toBase64, fromBase64 } from './encryption.js'
+import { createError } from './backends/base.js'
+
+const LOCK_KEY = 'mimiDate:lock'
+const ATTEMPTS_KEY = 'mimiDate:lockAttempts'
+const PBKDF2_ITERATIONS = 200000
+const FREE_ATTEMPTS = 3 // 不需要等待的失败次数
+const RETRY_DELAY = 30 * 1000 // 第一次等待的时间
+const MAX_RETRY_DELAY = 60 * 60 * 1000
+
+/**
+ * 计算 PIN 的哈希
+ * @private
+ */
+async function hashPin(pin, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits'])
+    const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', salt, iterations, hash: 'SHA-256' }, material, 256)
+    return toBase64(new Uint8Array(bits))
+}
+
+/**
+ * 读取保存的 PIN 信息
+ * @private
+ */
+function loadLock() {
+    try {
+        return JSON.parse(localStorage.getItem(LOCK_KEY) || 'null')
+    } catch (e) {
+        return null
+    }
+}
+
+/**
+ * 读取失败次数和可以再试的时间
+ * @private
+ */
+function loadAttempts() {
+    try {
+        return JSON.parse(localStorage.getItem(ATTEMPTS_KEY) || 'null') || { failures: 0, retryAt: 0 }
+    } catch (e) {
+        return { failures: 0, retryAt: 0 }
+    }
+}
+
+/**
+ * 记录一次失败，超过不需要等待的次数后设置下次可以再试的时间
+ * @private
+ */
+function recordFailure() {
+    const failures = loadAttempts().failures + 1
+    const delay = failures > FREE_ATTEMPTS ? Math.min(RETRY_DELAY * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_RETRY_DELAY) : 0
+    localStorage.setItem(ATTEMPTS_KEY, JSON.stringify({ failures, retryAt: Date.now() + delay }))
+}
+
+/**
+ * 距离可以再次输入 PIN 还需等待的时间
+ * @returns {number} 毫秒，不需要等待时为 0
+ */
+export function getRetryDelay() {
+    return Math.max(0, loadAttempts().retryAt - Date.now())
+}
+
+/**
+ * 是否设置了 PIN
+ * @returns {boolean}
+ */
+export function hasPin() {
+    return loadLock() !== null
+}
+
+/**
+ * 设置 PIN，已有的 PIN 会被替换
+ * @param {string} pin - PIN 或口令
+ * @returns {Promise}
+ */
+export async function setPin(pin) {
+    const salt = crypto.getRandomValues(new Uint8Array(16))
+    localStorage.removeItem(ATTEMPTS_KEY)
+    localStorage.setItem(LOCK_KEY, JSON.stringify({
+        salt: toBase64(salt),
+        iterations: PBKDF2_ITERATIONS,
+        hash: await hashPin(pin, salt, PBKDF2_ITERATIONS)
+    }))
+}
+
+/**
+ * 验证 PIN，未设置 PIN 时始终通过
+ * 验证成功后清除失败次数，失败时记录
+ * @param {string} pin - PIN 或口令
+ * @returns {Promise<boolean>}
+ * @throws {Error} 需要等待时抛出 name 为 RetryDelayError 的错误，retryDelay 为还需等待的毫秒数
+ */
+export async function verifyPin(pin) {
+    const lock = loadLock()
+    if (!lock) return true
+
+    const retryDelay = getRetryDelay()
+    if (retryDelay > 0) {
+        const error = createError('RetryDelayError', `尝试次数过多，请 ${Math.ceil(retryDelay / 1000)} 秒后再试`)
+        error.retryDelay = retryDelay
+        throw error
+    }
+
+    if (await hashPin(pin, fromBase64(lock.salt), lock.iterations) === lock.hash) {
+        localStorage.removeItem(ATTEMPTS_KEY)
+        return true
+    }
+    recordFailure()
+    return false
+}
+
+/**
+ * 移除 PIN
+ */
+export function clearPin() {
+    localStorage.removeItem(LOCK_KEY)
+    localStorage.removeItem(ATTEMPTS_KEY)
+}
@@ -0,0 +1,234 @@
+/**
+ * Markdown 导入导出
+ * 每条记录对应一个 .md 文件，按 YYYY/MM/ 分目录打包为 ZIP，
+ * 文件开头的 YAML front matter 保存 date、title、index、uid，导入时据此还原记录
+ *
+ * 也可以导入 Obsidian、Logseq 等工具的日记文件夹：日期取自 front matter 的 date 字段，
+ * 或 2025-03-14.md、2025_03_14.md 这样的文件名，可选按标题把一篇日记拆分为多条记录
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate'
+import { stringifyFrontMatter, parseFrontMatter } from './frontMatter.js'
+import { assignIndexes } from './recordSchema.js'
+
+/**
+ * 去掉文件名中不能使用的字符
+ * @private
+ */
+function safeFileName(name) {
+    return String(name || '').replace(/[\\/:*?"<>|\r\n]+/g, '_').trim().slice(0, 80)
+}
+
+/**
+ * 将记录转换为 Markdown 文本
+ * @param {Object} record - 记录
+ * @returns {string}
+ */
+export function recordToMarkdown(record) {
+    const frontMatter = stringifyFrontMatter({
+        date: record.date,
+        title: record.title,
+        index: record.index,
+        uid: record.uid
+    })
+    return `${frontMatter}\n${record.record || ''}`
+}
+
+/**
+ * 将 Markdown 文本转换为记录，缺少的字段为 undefined
+ * @param {string} text - Markdown 文本
+ * @returns {Object} {date, title, index, uid, record}
+ */
+export function markdownToRecord(text) {
+    const { data, body } = parseFrontMatter(text)
+    return {
+        date: data.date ?? undefined,
+        title: data.title ?? undefined,
+        index: data.index ?? undefined,
+        uid: data.uid ?? undefined,
+        // 导出时 front matter 和正文之间空了一行
+        record: body.replace(/^\n/, '')
+    }
+}
+
+/**
+ * 获取记录在 ZIP 中的路径，例如 2025/03/2025-03-14-1 记录1.md
+ * @param {Object} record - 记录
+ * @returns {string}
+ */
+export function recordFilePath(record) {
+    const [year, month] = record.date.split('-')
+    const title = safeFileName(record.title)
+    return `${year}/${month}/${record.date}-${record.index}${title ? ' ' + title : ''}.md`
+}
+
+/**
+ * 将记录打包为 Markdown ZIP
+ * @param {Array} records - 记录数组
+ * @returns {Uint8Array} ZIP 文件内容
+ */
+export function recordsToMarkdownZip(records) {
+    const files = {}
+    for (const record of records) {
+        let path = recordFilePath(record)
+        // 同一天序号相同的记录（例如导入后重复）避免互相覆盖
+        for (let n = 2; files[path]; n++) {
+            path = recordFilePath(record).replace(/\.md$/, ` (${n}).md`)
+        }
+        files[path] = strToU8(recordToMarkdown(record))
+    }
+    return zipSync(files)
+}
+
+/**
+ * 读取 ZIP 中的所有 Markdown 文件
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP 文件内容
+ * @returns {Array} [{path, text}]
+ */
+export function readMarkdownZip(buffer) {
+    const files = unzipSync(new Uint8Array(buffer), {
+        filter: file => /\.(md|markdown)$/i.test(file.name) && !file.name.split('/').some(part => part.startsWith('.') || part === '__MACOSX')
+    })
+    return Object.entries(files).map(([path, data]) => ({ path, text: strFromU8(data) }))
+}
+
+/**
+ * 读取用户选择的 Markdown 文件、文件夹或 ZIP
+ * @param {FileList|Array<File>} fileList - 文件列表，选择文件夹时路径取自 webkitRelativePath
+ * @returns {Promise<Array>} [{path, text}]
+ */
+export async function readNoteFiles(fileList) {
+    const notes = []
+    for (const file of Array.from(fileList)) {
+        const path = file.webkitRelativePath || file.name
+        if (/\.zip$/i.test(path)) {
+            notes.push(...readMarkdownZip(await file.arrayBuffer()))
+        } else if (/\.(md|markdown)$/i.test(path) && !path.split('/').some(part => part.startsWith('.'))) {
+            notes.push({ path, text: await file.text() })
+        }
+    }
+    return notes.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * 规范化日期，支持 2025-03-14、2025/3/14、2025_03_14、20250314，可带时间部分
+ * @param {*} value - 日期值
+ * @returns {string|null} YYYY-MM-DD，无法识别时返回 null
+ */
+export function normalizeDate(value) {
+    if (value === null || value === undefined) return null
+    const match = String(value).trim().match(/^(\d{4})[-/_.]?(\d{1,2})[-/_.]?(\d{1,2})(?:$|[T\s])/)
+    if (!match) return null
+
+    const [, year, month, day] = match.map(Number)
+    const date = new Date(year, month - 1, day)
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null
+    }
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+/**
+ * 从文件路径中识别日期，只看文件名
+ * @param {string} path - 文件路径
+ * @returns {string|null}
+ */
+export function parseDateFromPath(path) {
+    const name = path.split('/').pop().replace(/\.(md|markdown)$/i, '')
+    const match = name.match(/^(\d{4}[-_.]\d{1,2}[-_.]\d{1,2}|\d{8})(?!\d)/)
+    return match ? normalizeDate(match[1]) : null
+}
+
+/**
+ * 按指定级别的标题拆分 Markdown，代码块中的 # 不算标题
+ * @param {string} body - Markdown 正文
+ * @param {number} level - 标题级别，1 表示 #，2 表示 ##
+ * @returns {Array} [{title, content}]，第一个标题之前的内容 title 为 null
+ */
+export function splitByHeadings(body, level) {
+    const sections = [{ title: null, lines: [] }]
+    const heading = new RegExp(`^#{${level}}\\s+(.+?)\\s*#*\\s*$`)
+    let fence = null
+
+    for (const line of body.split('\n')) {
+        const fenceMatch = line.match(/^\s*(```|~~~)/)
+        if (fenceMatch) {
+            fence = fence === null ? fenceMatch[1] : (fence === fenceMatch[1] ? null : fence)
+        }
+        const match = fence === null && line.match(heading)
+        if (match) {
+            sections.push({ title: match[1], lines: [] })
+        } else {
+            sections.at(-1).lines.push(line)
+        }
+    }
+
+    return sections
+        .map(section => ({ title: section.title, content: section.lines.join('\n').trim() }))
+        .filter(section => section.title !== null || section.content !== '')
+}
+
+/**
+ * 将 Markdown 文件转换为记录，转换为 importData 可以导入的数据
+ * 带 uid 或 index 的文件视为本应用导出的记录，原样还原，不做拆分；
+ * 其余文件视为日记，没有指定序号的记录排在当天已有序号之后
+ * @param {Array} notes - [{path, text}]
+ * @param {Object} options - 选项
+ * @param {boolean} options.splitHeadings - 是否按标题拆分为多条记录（默认 false）
+ * @param {number} options.headingLevel - 拆分使用的标题级别（默认 2）
+ * @returns {Object} {stores: {records}, errors}
+ */
+export function parseMarkdownFiles(notes, options = {}) {
+    const { splitHeadings = false, headingLevel = 2 } = options
+    const records = []
+    const errors = []
+
+    for (const { path, text } of notes) {
+        const { data, body } = parseFrontMatter(text)
+        const date = normalizeDate(data.date) || parseDateFromPath(path)
+        if (!date) {
+            errors.push(`${path} 无法识别日期，已跳过`)
+            continue
+        }
+
+        if (data.uid !== undefined || data.index !== undefined) {
+            const record = markdownToRecord(text)
+            if (record.uid === undefined) delete record.uid
+            records.push({ ...record, date })
+            continue
+        }
+
+        const title = typeof data.title === 'string' ? data.title : null
+        const sections = splitHeadings
+            ? splitByHeadings(body, headingLevel)
+            : [{ title, content: body.trim() }]
+        sections.forEach(section => {
+            records.push({ date, title: section.title ?? title, index: undefined, record: section.content })
+        })
+    }
+
+    return { stores: { records: assignIndexes(records) }, errors }
+}
+
+/**
+ * 导出记录为 Markdown ZIP
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Object} options - 导出选项，filter 见 exportData（可选，默认导出所有记录）
+ * @returns {Promise<Blob>}
+ */
+export async function exportMarkdownZip(db, options = {}) {
+    const { stores } = await db.exportData({ ...options, storeNames: ['records'] })
+    const records = stores.records || []
+    records.sort((a, b) => a.date.localeCompare(b.date) || a.index - b.index)
+    return new Blob([recordsToMarkdownZip(records)], { type: 'application/zip' })
+}
+
+/**
+ * 解析 Markdown ZIP，转换为 importData 可以导入的数据
+ * @param {ArrayBuffer|Uint8Array} buffer - ZIP 文件内容
+ * @param {Object} options - 选项，见 parseMarkdownFiles
+ * @returns {Object} {stores: {records}, errors}
+ */
+export function parseMarkdownZip(buffer, options = {}) {
+    return parseMarkdownFiles(readMarkdownZip(buffer), options)
+}
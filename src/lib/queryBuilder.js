@@ -0,0 +1,297 @@
+/**
+ * 查询构造器
+ * 以链式调用描述查询条件，由数据库工具类负责执行
+ *
+ * 示例：
+ * db.query('records').where('date').between('2025-01-01', '2025-01-31').orderBy('index', 'desc').offset(20).limit(20).toArray()
+ *
+ * 构造器不是 thenable，需要调用 toArray()、first() 或 count() 执行查询，
+ * 从 async 函数返回或 await 未完成的构造器时不会提前执行
+ */
+
+/**
+ * 比较两个值的大小，排序规则与 IndexedDB 键的顺序一致：
+ * number < Date < string < Array，null/undefined 排在最后
+ * @param {*} a
+ * @param {*} b
+ * @returns {number}
+ */
+export function compareValues(a, b) {
+    const rank = (value) => {
+        if (value === null || value === undefined) return 4
+        if (typeof value === 'number') return 0
+        if (value instanceof Date) return 1
+        if (Array.isArray(value)) return 3
+        return 2
+    }
+
+    const rankA = rank(a)
+    const rankB = rank(b)
+    if (rankA !== rankB) return rankA - rankB
+
+    if (rankA === 3) {
+        const length = Math.min(a.length, b.length)
+        for (let i = 0; i < length; i++) {
+            const result = compareValues(a[i], b[i])
+            if (result !== 0) return result
+        }
+        return a.length - b.length
+    }
+
+    if (rankA === 1) {
+        a = a.getTime()
+        b = b.getTime()
+    } else if (rankA === 2) {
+        a = String(a)
+        b = String(b)
+    }
+
+    if (a < b) return -1
+    if (a > b) return 1
+    return 0
+}
+
+/**
+ * 判断值是否落在范围内
+ * @param {*} value - 待判断的值
+ * @param {Object} range - 范围 {lower, upper, lowerOpen, upperOpen}
+ * @returns {boolean}
+ */
+export function inRange(value, range) {
+    if (!range) return true
+    if (value === null || value === undefined) return false
+
+    if (range.lower !== undefined) {
+        const result = compareValues(value, range.lower)
+        if (result < 0 || (result === 0 && range.lowerOpen)) return false
+    }
+    if (range.upper !== undefined) {
+        const result = compareValues(value, range.upper)
+        if (result > 0 || (result === 0 && range.upperOpen)) return false
+    }
+    return true
+}
+
+/**
+ * 按字段读取对象中的值，支持 a.b.c 形式的路径
+ * @param {Object} item - 数据对象
+ * @param {string} path - 字段路径
+ * @returns {*}
+ */
+export function getValueByPath(item, path) {
+    return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), item)
+}
+
+/**
+ * 在内存中执行查询描述：范围筛选、过滤、排序和分页
+ * 适用于无法利用游标的场景
+ * @param {Array} items - 数据数组
+ * @param {Object} spec - 查询描述
+ * @param {string} keyPath - 主键路径，查询字段未指定时使用
+ * @returns {Array}
+ */
+export function applyQuery(items, spec, keyPath) {
+    let results = items
+
+    if (spec.where) {
+        const field = spec.where.field
+        results = results.filter(item => inRange(getValueByPath(item, field), spec.where.range))
+    }
+
+    spec.filters.forEach(fn => {
+        results = results.filter(fn)
+    })
+
+    const sortField = spec.orderBy?.field || spec.where?.field || keyPath
+    if (sortField) {
+        const factor = spec.orderBy?.direction === 'desc' ? -1 : 1
+        // 排序字段相同时按主键排序，与游标遍历索引的顺序保持一致
+        results = [...results].sort((a, b) => factor * (
+            compareValues(getValueByPath(a, sortField), getValueByPath(b, sortField)) ||
+            (keyPath ? compareValues(getValueByPath(a, keyPath), getValueByPath(b, keyPath)) : 0)
+        ))
+    }
+
+    const start = spec.offset || 0
+    const end = spec.limit === null ? undefined : start + spec.limit
+    return results.slice(start, end)
+}
+
+/**
+ * 查询条件子句，由 QueryBuilder.where() 返回
+ */
+class WhereClause {
+    constructor(builder, field) {
+        this.builder = builder
+        this.field = field
+    }
+
+    _setRange(range) {
+        this.builder.spec.where = { field: this.field, range }
+        return this.builder
+    }
+
+    /**
+     * 等于
+     */
+    equals(value) {
+        return this._setRange({ lower: value, upper: value, lowerOpen: false, upperOpen: false })
+    }
+
+    /**
+     * 介于两者之间
+     * @param {*} lower - 下界
+     * @param {*} upper - 上界
+     * @param {boolean} lowerOpen - 是否排除下界（默认 false）
+     * @param {boolean} upperOpen - 是否排除上界（默认 false）
+     */
+    between(lower, upper, lowerOpen = false, upperOpen = false) {
+        return this._setRange({ lower, upper, lowerOpen, upperOpen })
+    }
+
+    /**
+     * 大于
+     */
+    above(value) {
+        return this._setRange({ lower: value, lowerOpen: true })
+    }
+
+    /**
+     * 大于等于
+     */
+    aboveOrEqual(value) {
+        return this._setRange({ lower: value, lowerOpen: false })
+    }
+
+    /**
+     * 小于
+     */
+    below(value) {
+        return this._setRange({ upper: value, upperOpen: true })
+    }
+
+    /**
+     * 小于等于
+     */
+    belowOrEqual(value) {
+        return this._setRange({ upper: value, upperOpen: false })
+    }
+
+    /**
+     * 以指定字符串开头，例如 startsWith('2025-03') 可查询整月数据
+     */
+    startsWith(prefix) {
+        return this._setRange({ lower: prefix, upper: prefix + '\uffff', lowerOpen: false, upperOpen: false })
+    }
+}
+
+class QueryBuilder {
+    /**
+     * 构造函数
+     * @param {Object} executor - 查询执行者，需实现 _executeQuery(spec) 和 _countQuery(spec)
+     * @param {string} storeName - 仓库名称
+     */
+    constructor(executor, storeName) {
+        this.executor = executor
+        this.spec = {
+            storeName,
+            where: null,
+            orderBy: null,
+            offset: 0,
+            limit: null,
+            filters: []
+        }
+    }
+
+    /**
+     * 指定查询字段（索引名称或主键路径）
+     * @param {string} field - 字段名
+     * @returns {WhereClause}
+     */
+    where(field) {
+        this._checkField(field)
+        return new WhereClause(this, field)
+    }
+
+    /**
+     * 指定排序字段和方向
+     * @param {string} field - 排序字段
+     * @param {string} direction - 'asc'(默认) 或 'desc'
+     * @returns {QueryBuilder}
+     */
+    orderBy(field, direction = 'asc') {
+        if (direction !== 'asc' && direction !== 'desc') {
+            throw new Error(`无效的排序方向: ${direction}`)
+        }
+        this._checkField(field)
+        this.spec.orderBy = { field, direction }
+        return this
+    }
+
+    /**
+     * 跳过前 n 条数据
+     * @param {number} n
+     * @returns {QueryBuilder}
+     */
+    offset(n) {
+        this.spec.offset = Math.max(0, n)
+        return this
+    }
+
+    /**
+     * 最多返回 n 条数据
+     * @param {number} n
+     * @returns {QueryBuilder}
+     */
+    limit(n) {
+        this.spec.limit = Math.max(0, n)
+        return this
+    }
+
+    /**
+     * 追加自定义过滤函数，在范围筛选之后、分页之前执行
+     * @param {Function} fn - 过滤函数，返回 true 保留该条数据
+     * @returns {QueryBuilder}
+     */
+    filter(fn) {
+        this.spec.filters.push(fn)
+        return this
+    }
+
+    /**
+     * 执行查询
+     * @returns {Promise<Array>}
+     */
+    toArray() {
+        return this.executor._executeQuery(this.spec)
+    }
+
+    /**
+     * 获取第一条数据
+     * @returns {Promise<Object|undefined>}
+     */
+    async first() {
+        const spec = { ...this.spec, limit: 1 }
+        const results = await this.executor._executeQuery(spec)
+        return results[0]
+    }
+
+    /**
+     * 统计满足条件的数据总数（不受 offset 和 limit 影响，便于分页）
+     * @returns {Promise<number>}
+     */
+    count() {
+        return this.executor._countQuery(this.spec)
+    }
+
+    /**
+     * 检查字段能否用于查询条件和排序，由执行者决定（例如加密字段不能使用）
+     * @private
+     * @param {string} field - 字段名
+     */
+    _checkField(field) {
+        this.executor._checkQueryField?.(this.spec.storeName, field)
+    }
+}
+
+export default QueryBuilder
@@ -0,0 +1,307 @@
+/**
+ * 记录数据的校验和导出格式升级
+ * 导入时每条数据都要先通过校验，防止损坏的文件或其他来源的 JSON 写入数据库
+ *
+ * 记录主键 uid 为 ULID，在各设备间唯一，合并其他设备的备份时不会覆盖无关的记录；
+ * 早期版本的 uid 是自增数字，数据库升级和导入旧格式时转换为 ULID
+ */
+
+import { ulid } from 'ulid'
+
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/
+const ULID_PATTERN = /^[0-9A-HJKMNP-TV-Z]{26}$/
+
+/**
+ * 生成记录主键
+ * @returns {string} ULID
+ */
+export function createRecordId() {
+    return ulid()
+}
+
+/**
+ * 判断是否为 ULID 格式的记录主键
+ * @param {*} value - 主键值
+ * @returns {boolean}
+ */
+export function isRecordId(value) {
+    return typeof value === 'string' && ULID_PATTERN.test(value)
+}
+
+/**
+ * 判断是否为有效的 YYYY-MM-DD 日期
+ * @param {*} value - 日期值
+ * @returns {boolean}
+ */
+export function isValidDate(value) {
+    const match = typeof value === 'string' && value.match(DATE_PATTERN)
+    if (!match) return false
+
+    const [, year, month, day] = match.map(Number)
+    const date = new Date(year, month - 1, day)
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day
+}
+
+/**
+ * 校验主键：可以没有（自动生成），有则必须是非空字符串
+ * @private
+ */
+function checkUid(value, field, errors) {
+    if (value === undefined || value === null) return
+    if (typeof value !== 'string' || value === '') {
+        errors.push(`${field} 应为字符串`)
+    }
+}
+
+/**
+ * 校验时间戳字段：可以没有，有则必须是数字
+ * @private
+ */
+function checkTimestamp(value, field, errors) {
+    if (value !== undefined && value !== null && !Number.isFinite(value)) {
+        errors.push(`${field} 应为时间戳数字`)
+    }
+}
+
+/**
+ * 校验记录
+ * @param {Object} record - 记录
+ * @returns {Array<string>} 错误信息，为空表示通过
+ */
+export function validateRecord(record) {
+    const errors = []
+    if (record.date === undefined || record.date === null || record.date === '') {
+        errors.push('缺少日期 date')
+    } else if (!isValidDate(record.date)) {
+        errors.push(`日期 ${JSON.stringify(record.date)} 不是有效的 YYYY-MM-DD 日期`)
+    }
+    if (record.index === undefined || record.index === null) {
+        errors.push('缺少序号 index')
+    } else if (!Number.isInteger(record.index) || record.index < 1) {
+        errors.push(`序号 ${JSON.stringify(record.index)} 应为正整数`)
+    }
+    if (typeof record.title !== 'string') {
+        errors.push('标题 title 应为字符串')
+    }
+    if (typeof record.record !== 'string') {
+        errors.push('内容 record 应为字符串')
+    }
+    if (record.tags !== undefined && !(Array.isArray(record.tags) && record.tags.every(tag => typeof tag === 'string'))) {
+        errors.push('标签 tags 应为字符串数组')
+    }
+    checkUid(record.uid, 'uid', errors)
+    checkTimestamp(record.updatedAt, 'updatedAt', errors)
+    return errors
+}
+
+/**
+ * 校验回收站中的记录
+ * @param {Object} item - 回收站记录
+ * @returns {Array<string>}
+ */
+export function validateTrashItem(item) {
+    const errors = validateRecord(item)
+    if (item.uid === undefined || item.uid === null) {
+        errors.push('缺少主键 uid')
+    }
+    if (!Number.isFinite(item.deletedAt)) {
+        errors.push('删除时间 deletedAt 应为时间戳数字')
+    }
+    return errors
+}
+
+/**
+ * 校验历史版本
+ * @param {Object} revision - 历史版本
+ * @returns {Array<string>}
+ */
+export function validateRevision(revision) {
+    const errors = []
+    if (revision.recordUid === undefined || revision.recordUid === null) {
+        errors.push('缺少所属记录 recordUid')
+    } else {
+        checkUid(revision.recordUid, 'recordUid', errors)
+    }
+    if (typeof revision.record !== 'string') {
+        errors.push('内容 record 应为字符串')
+    }
+    if (!Number.isFinite(revision.savedAt)) {
+        errors.push('保存时间 savedAt 应为时间戳数字')
+    }
+    return errors
+}
+
+/**
+ * 为没有序号的记录按当天顺序编号，排在当天已有序号之后，没有标题的记录使用默认标题
+ * 用于从其他格式导入的记录，会直接修改传入的记录
+ * @param {Array} records - 记录数组，index 为 undefined 表示没有序号
+ * @param {Array} existing - 已有的记录（可选），编号排在这些记录的序号之后
+ * @returns {Array} 传入的记录数组
+ */
+export function assignIndexes(records, existing = []) {
+    const maxIndex = new Map()
+    existing.concat(records).forEach(record => {
+        if (record.index !== undefined) {
+            maxIndex.set(record.date, Math.max(maxIndex.get(record.date) || 0, record.index))
+        }
+    })
+    records.forEach(record => {
+        if (record.index === undefined) {
+            record.index = (maxIndex.get(record.date) || 0) + 1
+            maxIndex.set(record.date, record.index)
+        }
+        record.title = record.title ?? `记录${record.index}`
+    })
+    return records
+}
+
+/**
+ * 导出格式版本 2
+ * 版本 1 没有校验，SQLite 导出的序号可能是字符串，标题和内容可能缺失，这里统一补齐
+ * @param {Object} data - 版本 1 的导出数据
+ * @returns {Object} 版本 2 的导出数据
+ */
+export function upgradeFormatV2(data) {
+    const normalize = (item) => {
+        if (!item || typeof item !== 'object') return item
+        if (typeof item.index === 'string' && /^\d+$/.test(item.index.trim())) {
+            item.index = Number(item.index)
+        }
+        if ((item.title === undefined || item.title === null) && Number.isInteger(item.index)) {
+            item.title = `记录${item.index}`
+        }
+        if (item.record === undefined || item.record === null) {
+            item.record = ''
+        }
+        return item
+    }
+
+    for (const storeName of ['records', 'trash', 'revisions']) {
+        if (Array.isArray(data.stores[storeName])) {
+            data.stores[storeName] = data.stores[storeName].map(normalize)
+        }
+    }
+    return data
+}
+
+/**
+ * 计算字符串的 53 位哈希（cyrb53）
+ * @private
+ */
+function hash53(text, seed) {
+    let h1 = 0xdeadbeef ^ seed
+    let h2 = 0x41c6ce57 ^ seed
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i)
+        h1 = Math.imul(h1 ^ code, 2654435761)
+        h2 = Math.imul(h2 ^ code, 1597334677)
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909)
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909)
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0)
+}
+
+/**
+ * 旧记录的内容指纹，用于判断导入的旧备份中的记录是否就是本设备迁移过的那条记录
+ * @private
+ */
+function recordFingerprint(item) {
+    const text = JSON.stringify([item.date, item.index, item.title ?? '', item.record ?? ''])
+    return `${hash53(text, 0).toString(36)}${hash53(text, 1).toString(36)}`
+}
+
+/**
+ * 创建数字主键到 ULID 的转换函数，同一个数字在记录、回收站和历史版本中转换为同一个 ULID
+ * 每条记录都生成随机的 ULID：不同设备上 uid、日期、序号都相同的两条记录也不会得到相同的主键
+ * @private
+ * @returns {Function} (uid, knownId) => ULID，knownId 为已知的转换结果，没有时随机生成
+ */
+function createIdMapper() {
+    const ids = new Map()
+    return (uid, knownId) => {
+        if (typeof uid !== 'number') return uid
+        if (!ids.has(uid)) ids.set(uid, knownId ?? createRecordId())
+        return ids.get(uid)
+    }
+}
+
+/**
+ * 本设备迁移时数字主键与 ULID 的对应关系，保存在 meta 仓库中（不参与导入导出）
+ * 值为 {[uid]: {id, fingerprint}}
+ */
+export const LEGACY_IDS_KEY = 'legacyRecordIds'
+
+/**
+ * 读取本设备迁移时保存的主键对应关系
+ * @private
+ */
+async function loadLegacyIds(db) {
+    if (!db?.stores.has(db.metaStore)) return {}
+    return (await db.get(db.metaStore, LEGACY_IDS_KEY))?.value || {}
+}
+
+/**
+ * 导出格式版本 3
+ * 版本 2 的 uid 是各设备各自递增的数字，转换为 ULID，历史版本的 recordUid 随之转换
+ * 导入本设备迁移前导出的备份时，内容与迁移时相同的记录使用迁移时的 ULID，重复导入不会产生重复记录；
+ * 其他记录（包括其他设备的备份）使用随机的 ULID，不会覆盖无关的记录。
+ * 开启加密后迁移时只能看到密文，指纹无法匹配，这时由导入预览按日期和序号匹配
+ * @param {Object} data - 版本 2 的导出数据
+ * @param {IndexedDBHelper} db - 导入的数据库，用于读取迁移时保存的对应关系（可选）
+ * @returns {Promise<Object>} 版本 3 的导出数据
+ */
+export async function upgradeFormatV3(data, db) {
+    const legacyIds = await loadLegacyIds(db)
+    const toRecordId = createIdMapper()
+    const convert = (storeName, field) => {
+        if (!Array.isArray(data.stores[storeName])) return
+        data.stores[storeName] = data.stores[storeName].map(item => {
+            if (!item || typeof item !== 'object') return item
+            const legacy = field === 'uid' ? legacyIds[item.uid] : null
+            const knownId = legacy && legacy.fingerprint === recordFingerprint(item) ? legacy.id : undefined
+            return { ...item, [field]: toRecordId(item[field], knownId) }
+        })
+    }
+
+    convert('records', 'uid')
+    convert('trash', 'uid')
+    convert('revisions', 'recordUid')
+    return data
+}
+
+/**
+ * 数据库版本 5 的迁移：记录和回收站的数字主键转换为随机的 ULID，历史版本的 recordUid 随之转换，
+ * 对应关系和记录的内容指纹保存到 meta 仓库，供 upgradeFormatV3 导入本设备的旧备份时使用
+ * records 仓库先按当前配置重建，去掉旧版本的自增主键，升级后的结构与新安装时相同
+ * @param {Object} context - 迁移上下文，见 addMigration
+ * @returns {Promise}
+ */
+export async function migrateRecordIds(context) {
+    await context.recreateStore('records')
+
+    const legacyIds = {}
+    const toRecordId = createIdMapper()
+    const convert = field => item => {
+        if (typeof item[field] !== 'number') return undefined
+        const uid = toRecordId(item[field])
+        if (field === 'uid') legacyIds[item.uid] = { id: uid, fingerprint: recordFingerprint(item) }
+        return { ...item, [field]: uid }
+    }
+
+    await context.updateRecords('records', convert('uid'))
+    await context.updateRecords('trash', convert('uid'))
+    await context.updateRecords('revisions', convert('recordUid'))
+    if (Object.keys(legacyIds).length > 0) {
+        await context.putRecords('meta', [{ key: LEGACY_IDS_KEY, value: legacyIds }])
+    }
+}
+
+/**
+ * 数据库版本 6 的迁移：删除 records 仓库内容字段 record 上的索引
+ * 导入的图片和附件以 base64 data URL 内嵌在内容中，索引会复制整段内容，开启加密后索引的也只是密文，
+ * 没有查询使用这个索引
+ * @param {Object} context - 迁移上下文，见 addMigration
+ */
+export function dropRecordContentIndex(context) {
+    context.deleteIndex('records', 'record')
+}
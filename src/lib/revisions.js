@@ -0,0 +1,96 @@
+/**
+ * 记录历史版本
+ * 每次保存记录时，把保存前的内容存入 revisions 仓库，超过上限的最旧版本会被删除
+ */
+
+/**
+ * 删除超过上限的最旧版本
+ * @private
+ */
+async function pruneRevisions(tx, uid, limit) {
+    if (!limit) return
+
+    const revisions = await tx.getByIndex('revisions', 'recordUid', uid)
+    revisions.sort((a, b) => a.savedAt - b.savedAt || a.id - b.id)
+    for (const revision of revisions.slice(0, Math.max(0, revisions.length - limit))) {
+        await tx.delete('revisions', revision.id)
+    }
+}
+
+/**
+ * 根据记录当前的内容生成历史版本
+ * @param {Object} record - 记录
+ * @returns {Object} {recordUid, title, record, savedAt}
+ */
+export function createRevision(record) {
+    return {
+        recordUid: record.uid,
+        title: record.title,
+        record: record.record,
+        savedAt: record.updatedAt || Date.now()
+    }
+}
+
+/**
+ * 保存记录内容，并把保存前的内容存为历史版本
+ * 内容没有变化时不产生新版本
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @param {string} content - 新内容
+ * @param {number} limit - 每条记录最多保留的版本数，0 表示不限制
+ * @returns {Promise<Object>} 保存后的记录
+ */
+export function saveWithRevision(db, uid, content, limit) {
+    return db.transaction(['records', 'revisions'], 'readwrite', async (tx) => {
+        const record = await tx.get('records', uid)
+        if (!record) {
+            throw new Error('记录不存在或已被删除')
+        }
+        if (record.record === content) {
+            return record
+        }
+
+        await tx.add('revisions', createRevision(record))
+        await pruneRevisions(tx, uid, limit)
+
+        record.record = content
+        record.updatedAt = Date.now()
+        await tx.put('records', record)
+        return record
+    })
+}
+
+/**
+ * 获取记录的历史版本，最新的排在前面
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @returns {Promise<Array>}
+ */
+export function listRevisions(db, uid) {
+    return db.query('revisions').where('recordUid').equals(uid).orderBy('savedAt', 'desc').toArray()
+}
+
+/**
+ * 将记录恢复到某个历史版本，恢复前的内容同样会保存为历史版本
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @param {Object} revision - 要恢复的版本
+ * @param {number} limit - 每条记录最多保留的版本数
+ * @returns {Promise<Object>} 恢复后的记录
+ */
+export function restoreRevision(db, uid, revision, limit) {
+    return saveWithRevision(db, uid, revision.record, limit)
+}
+
+/**
+ * 在事务中删除记录的所有历史版本，用于彻底删除记录时清理
+ * @param {TransactionScope} tx - 包含 revisions 仓库的读写事务
+ * @param {*} uid - 记录主键
+ * @returns {Promise}
+ */
+export async function deleteRevisions(tx, uid) {
+    const revisions = await tx.getByIndex('revisions', 'recordUid', uid)
+    for (const revision of revisions) {
+        await tx.delete('revisions', revision.id)
+    }
+}
@@ -0,0 +1,36 @@
+/**
+ * sql.js 加载工具
+ * 全局只初始化一次 sql.js，导入导出和 SQLite 存储后端共用
+ */
+
+import initSqlJs from 'sql.js'
+
+let sqlJsPromise = null
+
+/**
+ * 获取 sql.js 初始化选项
+ * 浏览器中使用随构建一起打包的 WASM 文件（由 Service Worker 预缓存，离线可用），
+ * Node 中由 sql.js 自行从依赖包中读取
+ * @private
+ */
+async function getOptions() {
+    if (typeof window === 'undefined') {
+        return {}
+    }
+    const { default: wasmUrl } = await import('sql.js/dist/sql-wasm-browser.wasm?url')
+    return { locateFile: () => wasmUrl }
+}
+
+/**
+ * 加载 sql.js
+ * @returns {Promise<Object>} sql.js 模块（包含 Database 构造函数）
+ */
+export function loadSqlJs() {
+    if (!sqlJsPromise) {
+        sqlJsPromise = getOptions().then(initSqlJs).catch(error => {
+            sqlJsPromise = null
+            throw error
+        })
+    }
+    return sqlJsPromise
+}
@@ -0,0 +1,277 @@
+/**
+ * SQLite 文件导入导出
+ * 每个仓库对应一张表，列取所有数据字段的并集，并按 addStore 的索引配置创建 SQL 索引；
+ * _meta 表保存数据库名称、版本、导出时间，以及每个仓库的主键、索引和各列的值类型，导入时据此原样还原数据
+ */
+
+import { loadSqlJs } from './sqlite.js'
+import { getIndexKeyPath } from './backends/base.js'
+
+export const META_TABLE = '_meta'
+
+/**
+ * 列的值类型，导入时用于还原：
+ * integer/real/text 原样读取，boolean 还原 0/1，json 还原对象和数组，mixed 表示同一列中有多种类型
+ */
+const COLUMN_TYPES = {
+    integer: 'INTEGER',
+    real: 'REAL',
+    text: 'TEXT',
+    boolean: 'INTEGER',
+    json: 'TEXT',
+    mixed: ''
+}
+
+/**
+ * 判断单个值的类型，null 和 undefined 返回 null
+ * @private
+ */
+function valueKind(value) {
+    if (value === null || value === undefined) return null
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'real'
+    if (typeof value === 'boolean') return 'boolean'
+    if (typeof value === 'string') return 'text'
+    return 'json'
+}
+
+/**
+ * 统计所有数据的列：字段并集（按首次出现的顺序）、值类型、是否每条数据都有该字段
+ * @param {Array} items - 仓库数据
+ * @returns {Array} [{name, kind, optional}]
+ */
+export function collectColumns(items) {
+    const columns = new Map()
+    for (const item of items) {
+        for (const [name, value] of Object.entries(item)) {
+            if (!columns.has(name)) {
+                columns.set(name, { name, kind: null, count: 0 })
+            }
+            const column = columns.get(name)
+            column.count++
+            const kind = valueKind(value)
+            if (kind === null || column.kind === kind) continue
+            if (column.kind === null) {
+                column.kind = kind
+            } else if ([column.kind, kind].every(k => k === 'integer' || k === 'real')) {
+                column.kind = 'real'
+            } else {
+                column.kind = 'mixed'
+            }
+        }
+    }
+    return Array.from(columns.values()).map(({ name, kind, count }) => ({
+        name,
+        kind: kind || 'text',
+        optional: count < items.length
+    }))
+}
+
+/**
+ * 写入前转换值，布尔值转为 0/1，对象和数组转为 JSON 字符串
+ * @private
+ */
+function toSQLValue(value) {
+    if (value === undefined) return null
+    if (typeof value === 'boolean') return value ? 1 : 0
+    if (typeof value === 'object' && value !== null) return JSON.stringify(value)
+    return value
+}
+
+/**
+ * 读取时按列类型还原值
+ * @private
+ */
+function fromSQLValue(value, kind) {
+    if (value === null) return null
+    if (kind === 'boolean') return value === 1
+    if (kind === 'json' || kind === 'mixed') {
+        // 没有类型信息（mixed 或旧版导出文件）时，只把能解析为对象的字符串当作 JSON
+        if (typeof value !== 'string') return value
+        try {
+            const parsed = JSON.parse(value)
+            return typeof parsed === 'object' || kind === 'json' ? parsed : value
+        } catch (e) {
+            return value
+        }
+    }
+    return value
+}
+
+/**
+ * 使用方括号包裹名称以避免保留字冲突
+ * @private
+ */
+function quote(name) {
+    return `[${String(name).replace(/]/g, ']]')}]`
+}
+
+/**
+ * 创建仓库对应的表和索引，并写入数据
+ * @private
+ */
+function writeStore(sqlDb, storeName, items, config) {
+    const columns = collectColumns(items)
+    const names = new Set(columns.map(column => column.name))
+
+    // 主键和索引字段即使没有数据也建列，保证空仓库的表结构完整
+    const keyFields = [config.keyPath, ...config.indexes.map(getIndexKeyPath)].flat().filter(Boolean)
+    for (const name of keyFields) {
+        if (!names.has(name)) {
+            columns.push({ name, kind: name === config.keyPath && config.autoIncrement ? 'integer' : 'text', optional: true })
+            names.add(name)
+        }
+    }
+
+    const columnDefs = columns.map(column => {
+        let def = `${quote(column.name)} ${COLUMN_TYPES[column.kind]}`.trim()
+        if (column.name === config.keyPath) {
+            def += ' PRIMARY KEY'
+            // SQLite 只允许 INTEGER PRIMARY KEY 自增
+            if (config.autoIncrement && column.kind === 'integer') {
+                def = `${quote(column.name)} INTEGER PRIMARY KEY AUTOINCREMENT`
+            }
+        }
+        return def
+    })
+    sqlDb.run(`CREATE TABLE ${quote(storeName)} (${columnDefs.join(', ')})`)
+
+    // multiEntry 索引的值是数组，保存为 JSON 字符串后无法在 SQL 中索引，只记录在 _meta 中
+    for (const index of config.indexes) {
+        if (index.multiEntry) continue
+        const keyPath = [getIndexKeyPath(index)].flat()
+        const unique = index.unique ? 'UNIQUE ' : ''
+        sqlDb.run(`CREATE ${unique}INDEX ${quote(`${storeName}_${index.name}`)} ON ${quote(storeName)} (${keyPath.map(quote).join(', ')})`)
+    }
+
+    const statement = sqlDb.prepare(`INSERT INTO ${quote(storeName)} (${columns.map(column => quote(column.name)).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`)
+    try {
+        for (const item of items) {
+            statement.run(columns.map(column => toSQLValue(item[column.name])))
+        }
+    } finally {
+        statement.free()
+    }
+
+    return columns
+}
+
+/**
+ * 将导出数据转换为 SQLite 文件
+ * @param {Object} data - exportData 格式的数据对象 {dbName, version, formatVersion, exportDate, stores}
+ * @param {Map} storeConfigs - 仓库配置 storeName -> {keyPath, autoIncrement, indexes}，没有配置的仓库以 id 为主键
+ * @returns {Promise<Uint8Array>} SQLite 文件内容
+ */
+export async function createSQLiteFile(data, storeConfigs = new Map()) {
+    const SQL = await loadSqlJs()
+    const sqlDb = new SQL.Database()
+
+    try {
+        const schema = {}
+        for (const [storeName, items] of Object.entries(data.stores)) {
+            const config = storeConfigs.get(storeName) || { keyPath: 'id', autoIncrement: false, indexes: [] }
+            const columns = writeStore(sqlDb, storeName, items, config)
+            schema[storeName] = {
+                keyPath: config.keyPath,
+                autoIncrement: config.autoIncrement,
+                indexes: config.indexes,
+                columns
+            }
+        }
+
+        // 元数据按键值对保存，值为 JSON 字符串
+        sqlDb.run(`CREATE TABLE ${quote(META_TABLE)} ([key] TEXT PRIMARY KEY, [value] TEXT)`)
+        const meta = {
+            dbName: data.dbName,
+            version: data.version,
+            formatVersion: data.formatVersion,
+            exportDate: data.exportDate,
+            stores: schema
+        }
+        for (const [key, value] of Object.entries(meta)) {
+            sqlDb.run(`INSERT INTO ${quote(META_TABLE)} ([key], [value]) VALUES (?, ?)`, [key, JSON.stringify(value ?? null)])
+        }
+
+        return sqlDb.export()
+    } finally {
+        sqlDb.close()
+    }
+}
+
+/**
+ * 读取 _meta 表，旧版本导出的文件没有该表时返回 null
+ * @private
+ */
+function readMeta(sqlDb) {
+    const tables = sqlDb.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name = '${META_TABLE}'`)
+    if (tables.length === 0) return null
+
+    const meta = {}
+    const result = sqlDb.exec(`SELECT [key], [value] FROM ${quote(META_TABLE)}`)
+    for (const [key, value] of result[0]?.values || []) {
+        try {
+            meta[key] = JSON.parse(value)
+        } catch (e) {
+            meta[key] = value
+        }
+    }
+    return meta
+}
+
+/**
+ * 读取 SQLite 文件，转换为 exportData 格式的数据对象
+ * 有 _meta 表时按记录的列类型还原值，导出时不存在的字段（NULL）不会出现在还原后的数据中；
+ * 没有 _meta 表的旧文件按值推断：能解析为对象的字符串视为 JSON
+ * @param {ArrayBuffer|Uint8Array} buffer - SQLite 文件内容
+ * @returns {Promise<Object>} {dbName, version, formatVersion, exportDate, stores}，旧文件没有的字段为 undefined
+ */
+export async function readSQLiteFile(buffer) {
+    const SQL = await loadSqlJs()
+    const sqlDb = new SQL.Database(new Uint8Array(buffer))
+
+    try {
+        const tablesResult = sqlDb.exec(`SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' AND name != '${META_TABLE}'`)
+        if (tablesResult.length === 0 || !tablesResult[0].values) {
+            throw new Error('SQLite 文件中没有找到数据表')
+        }
+
+        const meta = readMeta(sqlDb) || {}
+        const data = {
+            dbName: meta.dbName,
+            version: meta.version,
+            formatVersion: meta.formatVersion,
+            exportDate: meta.exportDate,
+            stores: {}
+        }
+
+        for (const [tableName] of tablesResult[0].values) {
+            const schema = meta.stores?.[tableName]
+            const kinds = new Map((schema?.columns || []).map(column => [column.name, column]))
+            const result = sqlDb.exec(`SELECT * FROM ${quote(tableName)}`)
+            if (result.length === 0) {
+                // 有 _meta 的文件保留空仓库，旧文件与之前一样跳过
+                if (schema) data.stores[tableName] = []
+                continue
+            }
+
+            const { columns, values } = result[0]
+            data.stores[tableName] = values.map(row => {
+                const item = {}
+                columns.forEach((name, index) => {
+                    const column = kinds.get(name)
+                    const value = row[index]
+                    // 不是每条数据都有的字段，NULL 视为该数据没有这个字段
+                    if (value === null && (!schema || !column || column.optional)) {
+                        if (!schema) item[name] = null
+                        return
+                    }
+                    item[name] = fromSQLValue(value, column ? column.kind : 'mixed')
+                })
+                return item
+            })
+        }
+
+        return data
+    } finally {
+        sqlDb.close()
+    }
+}
@@ -0,0 +1,134 @@
+/**
+ * 回收站
+ * 删除的记录先移动到 trash 仓库，保留原来的日期、序号和删除时间，可以恢复或彻底删除，
+ * 超过保留天数的记录会被自动清理，彻底删除时一并删除该记录的历史版本
+ */
+
+import { deleteRevisions } from './revisions.js'
+import { createRecordId } from './recordSchema.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+/**
+ * 将记录移入回收站
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @returns {Promise<Object>} 回收站中的记录
+ */
+export function moveToTrash(db, uid) {
+    return db.transaction(['records', 'trash'], 'readwrite', async (tx) => {
+        const record = await tx.get('records', uid)
+        if (!record) {
+            throw new Error('记录不存在或已被删除')
+        }
+
+        const trashItem = { ...record, deletedAt: Date.now() }
+        await tx.put('trash', trashItem)
+        await tx.delete('records', uid)
+        return trashItem
+    })
+}
+
+/**
+ * 从回收站恢复记录
+ * 如果原日期下已有相同序号的记录，则排到当天最后
+ * 如果已有相同主键的记录（例如导入了删除前的备份），恢复的记录使用新的主键，不覆盖已有记录，
+ * 原主键下的历史版本仍属于已有记录
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @returns {Promise<Object>} 恢复后的记录
+ */
+export function restoreFromTrash(db, uid) {
+    return db.transaction(['records', 'trash'], 'readwrite', async (tx) => {
+        const trashItem = await tx.get('trash', uid)
+        if (!trashItem) {
+            throw new Error('回收站中不存在该记录')
+        }
+
+        const { deletedAt, ...record } = trashItem
+        if (await tx.get('records', uid)) {
+            record.uid = createRecordId()
+        }
+        const sameDayRecords = await tx.getByIndex('records', 'date', record.date)
+        if (sameDayRecords.some(item => item.index === record.index)) {
+            record.index = Math.max(...sameDayRecords.map(item => item.index)) + 1
+        }
+
+        await tx.put('records', record)
+        await tx.delete('trash', uid)
+        return record
+    })
+}
+
+/**
+ * 批量彻底删除回收站中的记录及其历史版本
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {Array} uids - 记录主键数组
+ * @returns {Promise}
+ */
+function purgeItems(db, uids) {
+    return db.transaction(['trash', 'revisions'], 'readwrite', async (tx) => {
+        for (const uid of uids) {
+            await tx.delete('trash', uid)
+            await deleteRevisions(tx, uid)
+        }
+    })
+}
+
+/**
+ * 彻底删除回收站中的记录
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {*} uid - 记录主键
+ * @returns {Promise}
+ */
+export function deleteFromTrash(db, uid) {
+    return purgeItems(db, [uid])
+}
+
+/**
+ * 清空回收站
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @returns {Promise}
+ */
+export async function emptyTrash(db) {
+    const trashList = await db.getAll('trash')
+    await purgeItems(db, trashList.map(item => item.uid))
+}
+
+/**
+ * 获取回收站中的记录，最近删除的排在前面
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @returns {Promise<Array>}
+ */
+export function listTrash(db) {
+    return db.query('trash').orderBy('deletedAt', 'desc').toArray()
+}
+
+/**
+ * 计算回收站记录的剩余保留天数
+ * @param {Object} trashItem - 回收站记录
+ * @param {number} retentionDays - 保留天数，0 表示永久保留
+ * @returns {number|null} 剩余天数，永久保留时返回 null
+ */
+export function getRemainingDays(trashItem, retentionDays) {
+    if (!retentionDays) return null
+    const remaining = trashItem.deletedAt + retentionDays * DAY - Date.now()
+    return Math.max(0, Math.ceil(remaining / DAY))
+}
+
+/**
+ * 清理超过保留天数的记录
+ * @param {IndexedDBHelper} db - 数据库实例
+ * @param {number} retentionDays - 保留天数，0 表示永久保留
+ * @returns {Promise<number>} 清理的记录数
+ */
+export async function purgeTrash(db, retentionDays) {
+    if (!retentionDays) return 0
+
+    const expired = await db.query('trash').where('deletedAt').below(Date.now() - retentionDays * DAY).toArray()
+    if (expired.length === 0) return 0
+
+    await purgeItems(db, expired.map(item => item.uid))
+    console.log(`回收站已自动清理 ${expired.length} 条记录`)
+    return expired.length
+}
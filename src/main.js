@@ -7,24 +7,99 @@ import * as ElementPlusIconsVue from '@element-plus/icons-vue'
 import 'uno.css'
 import store from '@/store/index.js'
 import { createDB } from '@/lib/indexedDB'
+import { validateRecord, validateTrashItem, validateRevision, upgradeFormatV2, upgradeFormatV3, createRecordId, migrateRecordIds, dropRecordContentIndex } from '@/lib/recordSchema'
+import { parseDayOneFile } from '@/lib/dayOne'
+import { ElMessage, ElMessageBox } from 'element-plus'
 import XEUtils from 'xe-utils'
 
-const db = createDB('mimiDate', 1)
+// 存储后端：默认 IndexedDB，设置为 sqljs 时整个数据库保存为一个 SQLite 文件
+const db = createDB('mimiDate', 6, {
+    backend: localStorage.getItem('storageBackend') || 'indexeddb'
+})
+// 记录主键为 ULID，各设备间唯一（版本 5 之前为自增数字）
+// 内容 record 中可能内嵌 base64 图片和附件，不建立索引（版本 6 删除）
 db.addStore('records', {
     keyPath: 'uid',
-    autoIncrement: true,
+    generateKey: createRecordId,
+    encrypt: ['title', 'record'],
+    validate: validateRecord,
     indexes: [
         { name: 'date', keyPath: 'date' },
         { name: 'index', keypath: 'index' },
-        { name: 'title', keypath: 'title' },
-        { name: 'record' }
+        { name: 'title', keypath: 'title' }
     ]
 })
+// 回收站，保存被删除的记录和删除时间（版本 2 新增）
+db.addStore('trash', {
+    keyPath: 'uid',
+    encrypt: ['title', 'record'],
+    validate: validateTrashItem,
+    indexes: [
+        { name: 'date', keyPath: 'date' },
+        { name: 'deletedAt', keyPath: 'deletedAt' }
+    ]
+})
+// 历史版本，每次保存前的记录内容（版本 3 新增）
+db.addStore('revisions', {
+    keyPath: 'id',
+    autoIncrement: true,
+    encrypt: ['title', 'record'],
+    validate: validateRevision,
+    indexes: [
+        { name: 'recordUid', keyPath: 'recordUid' },
+        { name: 'savedAt', keyPath: 'savedAt' }
+    ]
+})
+// 元数据，保存加密密钥信息等（版本 4 新增）
+db.addStore('meta', { keyPath: 'key' })
+// 导出格式版本 2：导入时校验每条数据，旧格式先补齐字段
+db.addFormatUpgrade(2, upgradeFormatV2)
+// 版本 5：记录主键由自增数字转换为 ULID，导出格式版本 3 同样转换
+db.addMigration(5, migrateRecordIds)
+db.addFormatUpgrade(3, upgradeFormatV3)
+// 版本 6：删除内容字段上的索引
+db.addMigration(6, dropRecordContentIndex)
+// 导入 Day One 导出的 JSON 或 ZIP
+db.addFileParser(parseDayOneFile)
+
+// 其他标签页还在使用旧版本时升级会等待，提示用户关闭它们
+let blockedMessage = null
+db.on('blocked', () => {
+    blockedMessage ??= ElMessage.warning({ message: '数据库需要升级，请关闭其他打开了本应用的标签页', duration: 0 })
+})
+// 其他标签页升级了数据库，本页的连接已关闭
+db.on('versionchange', () => {
+    ElMessageBox.alert('应用已在其他标签页中更新，请刷新页面', '提示', {
+        confirmButtonText: '刷新',
+        showClose: false,
+    }).then(() => location.reload())
+})
+
+// 开启了加密时，输入口令解锁后才能读取数据
+async function unlockDB() {
+    while (!db.isUnlocked()) {
+        const { value } = await ElMessageBox.prompt('数据已加密，请输入口令解锁', '解锁', {
+            inputType: 'password',
+            confirmButtonText: '解锁',
+            showCancelButton: false,
+            showClose: false,
+            closeOnClickModal: false,
+            closeOnPressEscape: false,
+        })
+        try {
+            await db.unlock(value || '')
+        } catch (error) {
+            ElMessage.error(error.name === 'InvalidPassphraseError' ? '口令错误，请重试' : '解锁失败：' + error.message)
+        }
+    }
+}
 
 // 使用异步函数确保数据库初始化完成后再挂载应用
 async function initApp() {
     // 等待数据库初始化完成
     await db.init()
+    blockedMessage?.close()
+    await unlockDB()
     
     const app = createApp(App)
     app.use(ElementPlus, {
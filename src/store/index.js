@@ -1,11 +1,31 @@
 import { createStore } from 'vuex'
+import { hasPin } from '@/lib/lock'
+
+// 用户设置保存在 localStorage 中
+const SETTINGS_KEY = 'mimiDate:settings'
+const defaultSettings = {
+    trashRetentionDays: 30, // 回收站保留天数，0 表示永久保留
+    revisionLimit: 50, // 每条记录保留的历史版本数，0 表示不限制
+    lockIdleMinutes: 5, // 无操作多少分钟后自动上锁，0 表示不自动上锁
+    lockOnHide: true // 切换到后台时是否上锁
+}
+
+const loadSettings = () => {
+    try {
+        return { ...defaultSettings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}') }
+    } catch (e) {
+        return { ...defaultSettings }
+    }
+}
 
 export default createStore({
     state() {
         return {
             isMobile: false,
             isLeftExpand: true,
-            isSaved: false
+            isSaved: false,
+            isLocked: hasPin(),
+            settings: loadSettings()
         }
     },
     mutations: {
@@ -20,6 +40,13 @@ export default createStore({
         },
         changeIsSaved (state, isSaved) {
             state.isSaved = isSaved
+        },
+        changeIsLocked (state, isLocked) {
+            state.isLocked = isLocked
+        },
+        updateSettings (state, settings) {
+            state.settings = { ...state.settings, ...settings }
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(state.settings))
         }
     }
 })
@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { encryptBackup, decryptBackup, readBackupHeader, isBackupFile } from '../src/lib/backupFile.js'
+import { createDiaryDB } from './helpers.js'
+
+const data = {
+    dbName: 'diaryTest',
+    version: 5,
+    formatVersion: 3,
+    exportDate: '2025-03-14T08:00:00.000Z',
+    stores: { records: [{ uid: '01JPAXZ9Y4J0V7Q3X8M2N5K6RT', date: '2025-03-14', index: 1, title: '早餐', record: '豆浆'.repeat(100) }] }
+}
+
+describe('加密备份', () => {
+    let db = null
+
+    afterEach(async () => {
+        await db?.deleteDatabase()
+        db = null
+    })
+
+    it('使用正确的密码解密得到原数据，头部不含明文内容', async () => {
+        const bytes = await encryptBackup(data, '密码')
+        expect(isBackupFile(bytes)).toBe(true)
+        const { header } = readBackupHeader(bytes)
+        expect(header).toMatchObject({ format: 'mimiDate-backup', dbName: 'diaryTest', kdf: { name: 'PBKDF2' }, cipher: { name: 'AES-GCM' } })
+        expect(new TextDecoder().decode(bytes)).not.toContain('豆浆')
+
+        expect(await decryptBackup(bytes, '密码')).toEqual(data)
+    })
+
+    it('密码错误或头部被篡改时抛出 InvalidPassphraseError', async () => {
+        const bytes = await encryptBackup(data, '密码')
+        await expect(decryptBackup(bytes, '错误的密码')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+
+        // 头部作为附加数据参与认证，修改头部中的 dbName 后无法解密
+        const tampered = bytes.slice()
+        const offset = Buffer.from(bytes).indexOf('diaryTest') + 'diaryTest'.length - 1
+        tampered[offset] = 'T'.charCodeAt(0)
+        expect(readBackupHeader(tampered).header.dbName).toBe('diaryTesT')
+        await expect(decryptBackup(tampered, '密码')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+    })
+
+    it('不是加密备份或文件损坏时给出提示', () => {
+        expect(() => readBackupHeader(new TextEncoder().encode('{"stores":{}}'))).toThrow('不是加密备份文件')
+        const broken = new Uint8Array([77, 73, 77, 73, 0, 0, 1, 0, 123])
+        expect(() => readBackupHeader(broken)).toThrow('加密备份文件已损坏')
+    })
+
+    it('导入时密码错误会再次询问，取消则停止导入', async () => {
+        db = createDiaryDB()
+        const blob = await db.exportBackup('密码', data)
+        const file = new File([blob], '备份.mimi')
+
+        const attempts = []
+        const parsed = await db.parseFile(file, {
+            getPassword: async (error) => {
+                attempts.push(error?.name ?? null)
+                return attempts.length < 3 ? '错误的密码' : '密码'
+            }
+        })
+        expect(parsed).toEqual(data)
+        expect(attempts).toEqual([null, 'InvalidPassphraseError', 'InvalidPassphraseError'])
+
+        await expect(db.importFromFile(file, {
+            getPassword: async (error) => {
+                if (error) throw new Error('已取消')
+                return '错误的密码'
+            }
+        })).rejects.toThrow('已取消')
+        await expect(db.parseFile(file)).rejects.toThrow('需要输入密码')
+        expect(await db.count('records')).toBe(0)
+    })
+})
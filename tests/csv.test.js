@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { parseCSV, stringifyCSV, recordsToCSV, detectDelimiter, guessColumnMapping, csvToImportData } from '../src/lib/csv.js'
+
+describe('CSV 导入导出', () => {
+    it('引号中的分隔符、换行和引号按 RFC 4180 解析', () => {
+        const text = 'date,title,record\r\n2025-03-14,"早, 餐","第一行\r\n说 ""你好"""\r\n\r\n2025-03-15,午餐,\n'
+        expect(parseCSV(text)).toEqual([
+            ['date', 'title', 'record'],
+            ['2025-03-14', '早, 餐', '第一行\n说 "你好"'],
+            ['2025-03-15', '午餐', '']
+        ])
+    })
+
+    it('自动识别分号和制表符分隔', () => {
+        expect(detectDelimiter('日期;标题;内容\n')).toBe(';')
+        expect(detectDelimiter('日期\t标题\t内容')).toBe('\t')
+        expect(parseCSV('日期;内容\n2025-03-14;a,b')).toEqual([['日期', '内容'], ['2025-03-14', 'a,b']])
+        expect(parseCSV('a;b', { delimiter: ',' })).toEqual([['a;b']])
+    })
+
+    it('导出的 CSV 带 BOM，导入后记录不变', () => {
+        const records = [
+            { date: '2025-03-14', index: 1, title: '早餐', record: '豆浆, "油条"\n两根', uid: 'x' },
+            { date: '2025-03-14', index: 2, title: '记录2', record: '' }
+        ]
+        const text = recordsToCSV(records)
+        expect(text.startsWith('﻿date,index,title,record\r\n')).toBe(true)
+
+        const [header, ...rows] = parseCSV(text)
+        const mapping = guessColumnMapping(header)
+        expect(mapping).toEqual({ date: 0, title: 2, record: 3, index: 1 })
+        const { stores, errors } = csvToImportData(rows, mapping, { startRow: 2 })
+        expect(errors).toEqual([])
+        expect(stores.records).toEqual(records.map(({ uid, ...record }) => record))
+    })
+
+    it('按列映射导入其他应用的表格，无法识别的日期跳过', () => {
+        const [header, ...rows] = parseCSV('备注,日期,主题\n去公园,2025/3/4,散步\n看书,20250304,\n,昨天,无效\n晚饭,2025-03-05 19:00,')
+        const mapping = guessColumnMapping(header)
+        expect(mapping).toEqual({ date: 1, title: 2, record: 0, index: null })
+
+        const { stores, errors } = csvToImportData(rows, mapping, { startRow: 2 })
+        expect(errors).toEqual(['第 4 行日期 "昨天" 无法识别，已跳过'])
+        expect(stores.records).toEqual([
+            { date: '2025-03-04', index: 1, title: '散步', record: '去公园' },
+            { date: '2025-03-04', index: 2, title: '记录2', record: '看书' },
+            { date: '2025-03-05', index: 1, title: '记录1', record: '晚饭' }
+        ])
+    })
+
+    it('序号列中的有效序号保留，没有内容列时内容为空', () => {
+        const { stores } = csvToImportData([['2025-03-14', '3'], ['2025-03-14', 'x']], { date: 0, index: 1, title: null, record: null })
+        expect(stores.records).toEqual([
+            { date: '2025-03-14', index: 3, title: '记录3', record: '' },
+            { date: '2025-03-14', index: 4, title: '记录4', record: '' }
+        ])
+        expect(stringifyCSV([['a', null, 'b\nc']])).toBe('a,,"b\nc"\r\n')
+    })
+})
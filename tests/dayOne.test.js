@@ -0,0 +1,94 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { zipSync, strToU8 } from 'fflate'
+import { localDate, parseDayOneFile, isDayOneExport } from '../src/lib/dayOne.js'
+import { toBase64 } from '../src/lib/encryption.js'
+
+const photo = new Uint8Array([255, 216, 255, 224, 1, 2, 3])
+const photoMd5 = '5f3a0e2c9d1b4a6e8f7c0b1a2d3e4f50'
+
+const journal = {
+    metadata: { version: '1.0' },
+    entries: [
+        {
+            // 东京时间 3 月 15 日早上
+            creationDate: '2025-03-14T23:30:00Z',
+            timeZone: 'Asia/Tokyo',
+            text: '# 早餐\r\n\r\n吃了饭团\n![](dayone-moment://AB12)\n',
+            tags: ['旅行', ''],
+            photos: [{ identifier: 'AB12', md5: photoMd5, type: 'jpeg', orderInEntry: 0 }]
+        },
+        {
+            // 洛杉矶时间 3 月 14 日晚上
+            creationDate: '2025-03-15T04:00:00Z',
+            timeZone: 'America/Los_Angeles',
+            text: '晚上散步',
+            photos: [
+                { identifier: 'CD34', md5: photoMd5, type: 'jpeg', orderInEntry: 1 },
+                { identifier: 'EF56', md5: 'missing', type: 'png', orderInEntry: 0 }
+            ]
+        },
+        { creationDate: 'not a date', text: 'x' }
+    ]
+}
+
+const zipFile = files => new File([zipSync(files)], 'Export.zip')
+
+describe('Day One 导入', () => {
+    const timeZone = process.env.TZ
+
+    afterEach(() => {
+        if (timeZone === undefined) delete process.env.TZ
+        else process.env.TZ = timeZone
+    })
+
+    it('日期按日记所在时区的当地日期，不受本机时区影响', () => {
+        for (const zone of ['Asia/Shanghai', 'America/New_York', 'UTC']) {
+            process.env.TZ = zone
+            expect(localDate('2025-03-14T23:30:00Z', 'Asia/Tokyo')).toBe('2025-03-15')
+            expect(localDate('2025-03-15T04:00:00Z', 'America/Los_Angeles')).toBe('2025-03-14')
+        }
+        expect(localDate('invalid', 'Asia/Tokyo')).toBeNull()
+    })
+
+    it('没有时区或时区无效时使用本机时区', () => {
+        process.env.TZ = 'Asia/Shanghai'
+        expect(localDate('2025-03-14T20:00:00Z')).toBe('2025-03-15')
+        expect(localDate('2025-03-14T20:00:00Z', 'Mars/Olympus')).toBe('2025-03-15')
+        process.env.TZ = 'America/New_York'
+        expect(localDate('2025-03-14T20:00:00Z', 'Mars/Olympus')).toBe('2025-03-14')
+    })
+
+    it('从 ZIP 中读取照片内嵌到正文，缺少的照片给出提示', async () => {
+        process.env.TZ = 'UTC'
+        const result = await parseDayOneFile(zipFile({
+            'Journal.json': strToU8(JSON.stringify(journal)),
+            'notes.json': strToU8('{"stores":{}}'),
+            [`photos/${photoMd5}.jpeg`]: photo,
+            '__MACOSX/._Journal.json': strToU8('{"entries":[]}')
+        }))
+
+        const dataURL = `data:image/jpeg;base64,${toBase64(photo)}`
+        expect(result.errors).toEqual([
+            '第 2 篇日记（2025-03-15T04:00:00Z） 的照片 missing.png 不在导出文件中',
+            '第 3 篇日记（not a date） 的创建时间无法识别，已跳过'
+        ])
+        expect(result.stores.records).toEqual([
+            { date: '2025-03-15', index: 1, title: '早餐', record: `吃了饭团\n![](${dataURL})`, tags: ['旅行'] },
+            { date: '2025-03-14', index: 1, title: '记录1', record: `晚上散步\n\n![](${dataURL})` }
+        ])
+    })
+
+    it('只有 JSON 时照片引用保持不变并提示选择 ZIP', async () => {
+        const result = await parseDayOneFile(new File([JSON.stringify(journal)], 'Journal.json'))
+
+        expect(result.stores.records[0].record).toBe('吃了饭团\n![](dayone-moment://AB12)')
+        expect(result.errors).toContain('只导入了 JSON 文件，照片没有导入，请选择 Day One 导出的 ZIP 文件')
+    })
+
+    it('不是 Day One 导出时返回 null，交给其他解析器', async () => {
+        expect(isDayOneExport({ entries: [], stores: {} })).toBe(false)
+        expect(await parseDayOneFile(new File(['{"stores":{}}'], 'backup.json'))).toBeNull()
+        expect(await parseDayOneFile(zipFile({ 'notes/2025-03-14.md': strToU8('# 你好') }))).toBeNull()
+        expect(await parseDayOneFile(new File(['x'], 'notes.txt'))).toBeNull()
+    })
+})
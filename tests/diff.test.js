@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest'
+import { diffLines, toSideBySide } from '../src/lib/diff.js'
+
+const types = diff => diff.map(line => `${line.type[0]}:${line.value}`)
+
+describe('diffLines', () => {
+    it('按行比较，相同的行保留行号', () => {
+        const diff = diffLines('a\nb\nc', 'a\nB\nc\nd')
+        expect(types(diff)).toEqual(['e:a', 'r:b', 'a:B', 'e:c', 'a:d'])
+        expect(diff.at(-1)).toMatchObject({ oldLine: null, newLine: 4 })
+        expect(toSideBySide(diff)[1]).toEqual({ left: { type: 'remove', value: 'b', line: 2 }, right: { type: 'add', value: 'B', line: 2 } })
+    })
+
+    it('不同的部分过长时整段作为删除和新增', () => {
+        const oldLines = Array.from({ length: 3000 }, (_, i) => `old ${i}`)
+        const newLines = Array.from({ length: 3000 }, (_, i) => (i > 0 && i < 2999 && i % 2 === 0 ? `old ${i}` : `new ${i}`))
+        const diff = diffLines(['head', ...oldLines, 'tail'].join('\n'), ['head', ...newLines, 'tail'].join('\n'))
+
+        expect(diff).toHaveLength(2 + 3000 + 3000)
+        expect(diff[0]).toMatchObject({ type: 'equal', value: 'head' })
+        expect(diff.slice(1, 3001).every(line => line.type === 'remove')).toBe(true)
+        expect(diff.slice(3001, 6001).every(line => line.type === 'add')).toBe(true)
+        expect(diff.at(-1)).toMatchObject({ type: 'equal', value: 'tail', oldLine: 3002, newLine: 3002 })
+    })
+})
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createDiaryDB } from './helpers.js'
+
+// 读取仓库中实际保存的数据，不经过解密
+const readRaw = (db, storeName) => db._rawTransaction([storeName], 'readonly', tx => tx.getAll(storeName))
+
+describe('口令加密', () => {
+    let db = null
+    let uid = null
+
+    beforeEach(async () => {
+        db = createDiaryDB()
+        uid = await db.add('records', { date: '2025-03-14', index: 1, title: '早餐', record: '豆浆油条' })
+        await db.add('revisions', { recordUid: uid, title: '早餐', record: '豆浆', savedAt: 1 })
+    })
+
+    afterEach(async () => {
+        await db.deleteDatabase()
+    })
+
+    it('开启加密后标题和内容以密文保存，读取时自动解密', async () => {
+        await db.enableEncryption('口令')
+        expect(db.isEncrypted()).toBe(true)
+
+        const [raw] = await readRaw(db, 'records')
+        expect(raw).toMatchObject({ uid, date: '2025-03-14', index: 1 })
+        expect(raw.title).not.toBe('早餐')
+        expect(raw.record).not.toContain('豆浆')
+        expect((await readRaw(db, 'revisions'))[0].record).not.toBe('豆浆')
+
+        expect(await db.get('records', uid)).toMatchObject({ title: '早餐', record: '豆浆油条' })
+        const added = await db.add('records', { date: '2025-03-15', index: 1, title: '午餐', record: '面条' })
+        expect((await readRaw(db, 'records')).find(item => item.uid === added).record).not.toBe('面条')
+        expect(await db.getByIndex('records', 'date', '2025-03-15')).toEqual([expect.objectContaining({ record: '面条' })])
+        await expect(db.enableEncryption('口令')).rejects.toThrow('已经开启了加密')
+    })
+
+    it('上锁后不能读取加密仓库，输入错误口令不能解锁', async () => {
+        await db.enableEncryption('口令')
+        db.lock()
+        expect(db.isUnlocked()).toBe(false)
+        await expect(db.get('records', uid)).rejects.toMatchObject({ name: 'LockedError' })
+        await expect(db.getAll('revisions')).rejects.toMatchObject({ name: 'LockedError' })
+        await expect(db.add('records', { date: '2025-03-15', index: 1, title: '午餐', record: '面条' })).rejects.toMatchObject({ name: 'LockedError' })
+
+        await expect(db.unlock('错误的口令')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+        expect(db.isUnlocked()).toBe(false)
+
+        await db.unlock('口令')
+        expect(await db.get('records', uid)).toMatchObject({ record: '豆浆油条' })
+    })
+
+    it('重新打开数据库后需要解锁', async () => {
+        await db.enableEncryption('口令')
+        db.close()
+
+        db = createDiaryDB()
+        await db.init()
+        expect(db.isEncrypted()).toBe(true)
+        expect(db.isUnlocked()).toBe(false)
+        await db.unlock('口令')
+        expect(await db.get('records', uid)).toMatchObject({ title: '早餐' })
+    })
+
+    it('修改口令后只能用新口令解锁，数据不变', async () => {
+        await db.enableEncryption('旧口令')
+        const before = await readRaw(db, 'records')
+        await expect(db.changePassphrase('错误的口令', '新口令')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+        await db.changePassphrase('旧口令', '新口令')
+        // 只重新包装密钥，已有的密文不变
+        expect(await readRaw(db, 'records')).toEqual(before)
+
+        db.lock()
+        await expect(db.unlock('旧口令')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+        await db.unlock('新口令')
+        expect(await db.get('records', uid)).toMatchObject({ record: '豆浆油条' })
+    })
+
+    it('关闭加密后数据恢复为明文', async () => {
+        await db.enableEncryption('口令')
+        await expect(db.disableEncryption('错误的口令')).rejects.toMatchObject({ name: 'InvalidPassphraseError' })
+        expect(db.isEncrypted()).toBe(true)
+
+        await db.disableEncryption('口令')
+        expect(db.isEncrypted()).toBe(false)
+        expect(await readRaw(db, 'records')).toEqual([expect.objectContaining({ title: '早餐', record: '豆浆油条' })])
+        expect(await readRaw(db, 'revisions')).toEqual([expect.objectContaining({ record: '豆浆' })])
+        expect(await db.get('meta', 'encryption')).toBeUndefined()
+    })
+})
@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createHash } from 'node:crypto'
+import { parseENEX, parseENEXNotes } from '../src/lib/enex.js'
+import { toBase64 } from '../src/lib/encryption.js'
+
+const image = new Uint8Array([137, 80, 78, 71, 1, 2, 3])
+const pdf = new TextEncoder().encode('%PDF-1.4 测试')
+const md5 = bytes => createHash('md5').update(bytes).digest('hex')
+
+// 生成一条 .enex 笔记
+function note({ title, created, content, tags = [], resources = [] }) {
+    return `<note>
+    ${title === undefined ? '' : `<title>${title}</title>`}
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?><!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd"><en-note>${content}</en-note>]]></content>
+    ${created ? `<created>${created}</created>` : ''}
+    ${tags.map(tag => `<tag>${tag}</tag>`).join('')}
+    ${resources.map(({ data, mime, fileName }) => `<resource>
+        <data encoding="base64">${toBase64(data).replace(/(.{8})/g, '$1\n')}</data>
+        <mime>${mime}</mime>
+        <resource-attributes>${fileName ? `<file-name>${fileName}</file-name>` : ''}<title>附件标题</title></resource-attributes>
+    </resource>`).join('')}
+</note>`
+}
+
+const enex = notes => `<?xml version="1.0" encoding="UTF-8"?>\n<en-export application="Evernote">${notes.join('\n')}</en-export>`
+
+describe('Evernote 导入', () => {
+    const timeZone = process.env.TZ
+
+    afterEach(() => {
+        if (timeZone === undefined) delete process.env.TZ
+        else process.env.TZ = timeZone
+    })
+
+    it('解析笔记字段和附件，附件中的同名元素不影响笔记', () => {
+        const [parsed] = parseENEXNotes(enex([note({
+            title: 'A &amp; B &#x4E2D;',
+            created: '20250314T083000Z',
+            content: '<div>正文</div>',
+            tags: ['旅行', ' 北京 '],
+            resources: [{ data: image, mime: 'image/png', fileName: 'photo.png' }]
+        })]))
+
+        expect(parsed).toMatchObject({
+            title: 'A & B 中',
+            content: expect.stringContaining('<en-note><div>正文</div></en-note>'),
+            created: new Date(Date.UTC(2025, 2, 14, 8, 30)),
+            tags: ['旅行', '北京']
+        })
+        expect(parsed.resources).toEqual([{ data: image, mime: 'image/png', fileName: 'photo.png', hash: md5(image) }])
+    })
+
+    it('附件 MD5 与 Node 计算的一致', () => {
+        const sizes = [0, 55, 56, 64, 1000]
+        const notes = sizes.map(size => note({
+            title: String(size),
+            created: '20250314T083000Z',
+            content: '',
+            resources: [{ data: new Uint8Array(size).map((_, i) => i * 7), mime: 'application/octet-stream' }]
+        }))
+        const hashes = parseENEXNotes(enex(notes)).map(parsed => parsed.resources[0].hash)
+        expect(hashes).toEqual(sizes.map(size => md5(new Uint8Array(size).map((_, i) => i * 7))))
+    })
+
+    it('按创建时间的本地日期生成记录，引用的附件内嵌为 data URL', async () => {
+        process.env.TZ = 'Asia/Shanghai'
+        const text = enex([
+            note({
+                title: '晚上',
+                created: '20250314T170000Z',
+                content: `<div>看图<en-media type="image/png" hash="${md5(image).toUpperCase()}"/></div><en-todo checked="true"/>买菜<en-crypt cipher="AES">xxx</en-crypt>`,
+                tags: ['日常'],
+                resources: [
+                    { data: image, mime: 'image/png' },
+                    { data: pdf, mime: 'application/pdf', fileName: '说明.pdf' }
+                ]
+            }),
+            note({ title: '早上', created: '20250314T000000Z', content: '<p>早</p>' }),
+            note({ title: '没有时间', content: '<p>x</p>' })
+        ])
+
+        const { stores, errors } = await parseENEX(text, { htmlToMarkdown: html => html })
+        expect(errors).toEqual(['笔记 没有时间 没有有效的创建时间 created，已跳过'])
+        const [morning, evening] = stores.records
+        expect(morning).toEqual({ date: '2025-03-14', index: 1, title: '早上', record: '<div><p>早</p></div>' })
+        expect(evening).toMatchObject({ date: '2025-03-15', index: 1, title: '晚上', tags: ['日常'] })
+        expect(evening.record).toBe([
+            `<div><div>看图<img src="data:image/png;base64,${toBase64(image)}" alt=""></div><input type="checkbox" checked>买菜<p>（加密内容，未导入）</p></div>`,
+            `[说明.pdf](data:application/pdf;base64,${toBase64(pdf)})`
+        ].join('\n\n'))
+    })
+})
@@ -0,0 +1,59 @@
+/**
+ * 测试共用的工具函数
+ */
+
+import { createDB } from '../src/lib/indexedDB.js'
+import { validateRecord, validateTrashItem, validateRevision, upgradeFormatV2, upgradeFormatV3, createRecordId, migrateRecordIds } from '../src/lib/recordSchema.js'
+
+/**
+ * 保存在内存中的持久化存储，代替 OPFS 供 sql.js 后端使用
+ * @returns {Object} {load, save, remove}
+ */
+export function createMemoryStorage() {
+    let file = null
+    return {
+        async load() {
+            return file && new Uint8Array(file)
+        },
+        async save(data) {
+            file = new Uint8Array(data)
+        },
+        async remove() {
+            file = null
+        }
+    }
+}
+
+/**
+ * 按 main.js 中的仓库配置创建日记数据库，默认使用内存后端
+ * @param {Object} options - createDB 的配置选项
+ * @returns {IndexedDBHelper}
+ */
+export function createDiaryDB(options = {}) {
+    const db = createDB('diaryTest', 5, { backend: 'memory', channel: false, ...options })
+    db.addStore('records', {
+        keyPath: 'uid',
+        generateKey: createRecordId,
+        encrypt: ['title', 'record'],
+        validate: validateRecord,
+        indexes: [{ name: 'date', keyPath: 'date' }]
+    })
+    db.addStore('trash', {
+        keyPath: 'uid',
+        encrypt: ['title', 'record'],
+        validate: validateTrashItem,
+        indexes: [{ name: 'date', keyPath: 'date' }, { name: 'deletedAt', keyPath: 'deletedAt' }]
+    })
+    db.addStore('revisions', {
+        keyPath: 'id',
+        autoIncrement: true,
+        encrypt: ['title', 'record'],
+        validate: validateRevision,
+        indexes: [{ name: 'recordUid', keyPath: 'recordUid' }, { name: 'savedAt', keyPath: 'savedAt' }]
+    })
+    db.addStore('meta', { keyPath: 'key' })
+    db.addFormatUpgrade(2, upgradeFormatV2)
+    db.addMigration(5, migrateRecordIds)
+    db.addFormatUpgrade(3, upgradeFormatV3)
+    return db
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { recordsToICS, parseICS, parseICSComponents } from '../src/lib/ical.js'
+import { createRecordId } from '../src/lib/recordSchema.js'
+
+describe('iCalendar 导入导出', () => {
+    const timeZone = process.env.TZ
+
+    afterEach(() => {
+        if (timeZone === undefined) delete process.env.TZ
+        else process.env.TZ = timeZone
+    })
+
+    it('导出的 VJOURNAL 导入后还原 uid、序号、标题和内容', () => {
+        const records = [
+            { uid: createRecordId(), date: '2025-03-14', index: 2, title: '标题; 带, 逗号\\', record: '第一行\n第二行：' + '很长的内容'.repeat(30), updatedAt: Date.UTC(2025, 2, 14, 8) },
+            { uid: createRecordId(), date: '2025-03-15', index: 1, title: '', record: '' }
+        ]
+        const text = recordsToICS(records)
+
+        const lines = text.split('\r\n')
+        expect(lines[0]).toBe('BEGIN:VCALENDAR')
+        expect(lines).toContain('LAST-MODIFIED:20250314T080000Z')
+        expect(lines.every(line => new TextEncoder().encode(line).length <= 75)).toBe(true)
+
+        const { stores, errors } = parseICS(text)
+        expect(errors).toEqual([])
+        expect(stores.records).toEqual(records.map(({ updatedAt, ...record }) => record))
+    })
+
+    it('导入其他日历的 VEVENT，时间和地点写在内容开头，UTC 时间换算为本地日期', () => {
+        process.env.TZ = 'Asia/Shanghai'
+        const text = [
+            'BEGIN:VCALENDAR',
+            'BEGIN:VEVENT',
+            'UID:abc@example.com',
+            'DTSTART:20250314T200000Z',
+            'DTEND:20250314T210000Z',
+            'SUMMARY:跨天的会议',
+            'LOCATION:会议室\\, 3 楼',
+            'DESCRIPTION:讨论',
+            ' 计划',
+            'BEGIN:VALARM',
+            'TRIGGER:-PT15M',
+            'END:VALARM',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART;TZID="America/New_York":20250316T090000',
+            'SUMMARY:早餐',
+            'RRULE:FREQ=DAILY',
+            'END:VEVENT',
+            'BEGIN:VEVENT',
+            'DTSTART;VALUE=DATE:20250316',
+            'END:VEVENT',
+            'BEGIN:VTODO',
+            'DTSTART:20250316',
+            'SUMMARY:待办',
+            'END:VTODO',
+            'BEGIN:VJOURNAL',
+            'SUMMARY:没有日期',
+            'END:VJOURNAL',
+            'END:VCALENDAR'
+        ].join('\n')
+
+        const { stores, errors } = parseICS(text)
+        expect(errors).toEqual(['VJOURNAL 没有日期 没有有效的开始日期 DTSTART，已跳过'])
+        expect(stores.records).toEqual([
+            { date: '2025-03-15', index: 1, title: '跨天的会议', record: '- 时间：04:00 - 05:00\n- 地点：会议室, 3 楼\n\n讨论计划' },
+            { date: '2025-03-16', index: 1, title: '早餐', record: '- 时间：09:00' },
+            { date: '2025-03-16', index: 2, title: '记录2', record: '' }
+        ])
+    })
+
+    it('只解析 VJOURNAL 和 VEVENT，属性名不区分大小写', () => {
+        const components = parseICSComponents('begin:VCALENDAR\r\nBEGIN:VJOURNAL\r\nsummary;LANGUAGE=zh:你好\r\nEND:VJOURNAL\r\nBEGIN:VTODO\r\nEND:VTODO\r\nEND:VCALENDAR')
+        expect(components).toEqual([{ type: 'VJOURNAL', properties: { SUMMARY: [{ params: { LANGUAGE: 'zh' }, value: '你好' }] } }])
+    })
+})
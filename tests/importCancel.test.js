@@ -0,0 +1,52 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createDiaryDB, createMemoryStorage } from './helpers.js'
+
+const records = Array.from({ length: 5 }, (_, i) => ({ date: '2025-03-14', index: i + 2, title: `记录${i + 2}`, record: String(i) }))
+
+describe.each(['memory', 'sqljs', 'indexeddb'])('取消导入（%s 后端）', (backend) => {
+    let db = null
+
+    beforeEach(async () => {
+        db = createDiaryDB({ backend, storage: createMemoryStorage() })
+        await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: '本地' })
+    })
+
+    afterEach(async () => {
+        await db.deleteDatabase()
+    })
+
+    // 写入第一批后取消
+    function cancelAfterFirstChunk() {
+        const controller = new AbortController()
+        return {
+            chunkSize: 2,
+            signal: controller.signal,
+            onProgress: ({ done }) => done >= 2 && controller.abort()
+        }
+    }
+
+    it('分批导入时取消，已写入的批次保留', async () => {
+        const result = await db.importData({ stores: { records } }, cancelAfterFirstChunk())
+
+        expect(result).toMatchObject({ success: false, cancelled: true, imported: { records: 2 } })
+        expect(result.errors).toEqual(['导入已取消，此前已写入的 2 条数据已保留'])
+        const titles = (await db.getAll('records')).map(record => record.title).sort()
+        expect(titles).toEqual(['记录1', '记录2', '记录3'])
+    })
+
+    it('清空后导入时取消，整个导入回滚，本地数据不会被清空', async () => {
+        const result = await db.importData({ stores: { records } }, { ...cancelAfterFirstChunk(), clearBeforeImport: true })
+
+        expect(result).toMatchObject({ success: false, cancelled: true, imported: {} })
+        expect(result.errors).toEqual(['导入已取消，数据没有改变'])
+        expect(await db.getAll('records')).toEqual([expect.objectContaining({ title: '记录1', record: '本地' })])
+    })
+
+    it('导入开始前已取消时数据没有改变', async () => {
+        const result = await db.importData({ stores: { records } }, { signal: AbortSignal.abort() })
+
+        expect(result).toMatchObject({ cancelled: true, imported: {} })
+        expect(await db.count('records')).toBe(1)
+    })
+})
@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { previewImport, applyImport, STATUS, RESOLUTION } from '../src/lib/importPreview.js'
+import { createRecordId } from '../src/lib/recordSchema.js'
+import { createDiaryDB } from './helpers.js'
+
+const byDate = (a, b) => a.date.localeCompare(b.date) || a.index - b.index
+
+describe('导入预览', () => {
+    let db = null
+    const uid = createRecordId()
+    const local = { uid, date: '2025-03-14', index: 1, title: '记录1', record: '本机', updatedAt: 1 }
+
+    beforeEach(async () => {
+        db = createDiaryDB()
+        await db.put('records', local)
+    })
+
+    afterEach(async () => {
+        await db.deleteDatabase()
+    })
+
+    // 与本地记录主键相同、内容不同的导入数据
+    const conflictData = () => ({
+        formatVersion: 3,
+        stores: {
+            records: [{ uid, date: '2025-03-14', index: 1, title: '记录1', record: '导入' }],
+            revisions: [{ recordUid: uid, title: '记录1', record: '导入之前', savedAt: 5 }]
+        }
+    })
+
+    async function importWith(resolution) {
+        const data = conflictData()
+        const preview = await previewImport(db, data)
+        expect(preview.counts).toEqual({ [STATUS.NEW]: 0, [STATUS.IDENTICAL]: 0, [STATUS.CONFLICT]: 1 })
+        expect(preview.items[0]).toMatchObject({ status: STATUS.CONFLICT, matchBy: 'uid', existing: local })
+        return applyImport(db, data, preview, { 0: resolution })
+    }
+
+    it('保留本地时不修改记录，也不导入该记录的历史版本', async () => {
+        await importWith(RESOLUTION.MINE)
+        expect(await db.getAll('records')).toEqual([local])
+        expect(await db.count('revisions')).toBe(0)
+    })
+
+    it('使用导入时覆盖本地记录，本地内容保存为历史版本', async () => {
+        await importWith(RESOLUTION.THEIRS)
+        expect(await db.getAll('records')).toEqual([expect.objectContaining({ uid, record: '导入' })])
+        const revisions = (await db.getAll('revisions')).map(revision => revision.record).sort()
+        expect(revisions).toEqual(['导入之前', '本机'])
+    })
+
+    it('两者都保留时导入的记录使用新主键排到当天最后', async () => {
+        await importWith(RESOLUTION.BOTH)
+        const records = (await db.getAll('records')).sort(byDate)
+        expect(records[0]).toEqual(local)
+        expect(records[1]).toMatchObject({ date: '2025-03-14', index: 2, title: '记录2', record: '导入' })
+        expect(records[1].uid).not.toBe(uid)
+        // 导入的历史版本跟随导入的记录
+        expect(await db.getByIndex('revisions', 'recordUid', records[1].uid)).toEqual([expect.objectContaining({ record: '导入之前' })])
+    })
+
+    it('内容相同的记录不再写入', async () => {
+        const data = { formatVersion: 3, stores: { records: [{ ...local, uid: undefined }] } }
+        const preview = await previewImport(db, data)
+        expect(preview.items[0]).toMatchObject({ status: STATUS.IDENTICAL, matchBy: 'dateIndex' })
+        await applyImport(db, data, preview)
+        expect(await db.count('records')).toBe(1)
+    })
+
+    it('没有 uid 的新记录序号重复时重新编号，不产生重复的日期+序号', async () => {
+        const data = {
+            formatVersion: 3,
+            stores: {
+                records: [
+                    { date: '2025-03-14', index: 2, title: '记录2', record: '第一条' },
+                    { date: '2025-03-14', index: 2, title: '记录2', record: '第二条' },
+                    { uid: createRecordId(), date: '2025-03-15', index: 1, title: '晚饭', record: '有主键' },
+                    { date: '2025-03-15', index: 1, title: '散步', record: '没有主键' }
+                ]
+            }
+        }
+        const preview = await previewImport(db, data)
+        expect(preview.counts[STATUS.NEW]).toBe(4)
+        await applyImport(db, data, preview)
+
+        const records = (await db.getAll('records')).sort(byDate)
+        expect(records.map(record => [record.date, record.index, record.title, record.record])).toEqual([
+            ['2025-03-14', 1, '记录1', '本机'],
+            ['2025-03-14', 2, '记录2', '第一条'],
+            ['2025-03-14', 3, '记录3', '第二条'],
+            ['2025-03-15', 1, '晚饭', '有主键'],
+            ['2025-03-15', 2, '散步', '没有主键']
+        ])
+    })
+})
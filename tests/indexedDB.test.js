@@ -0,0 +1,92 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createDB } from '../src/lib/indexedDB.js'
+
+// 在 Node 中使用内存后端运行 IndexedDBHelper
+function createTestDB(options = {}) {
+    const db = createDB('helperTest', 1, { backend: 'memory', ...options })
+    db.addStore('records', { keyPath: 'uid', autoIncrement: true, indexes: [{ name: 'date', keyPath: 'date' }] })
+    return db
+}
+
+describe('IndexedDBHelper', () => {
+    const cleanups = []
+
+    afterEach(async () => {
+        while (cleanups.length > 0) {
+            await cleanups.pop()()
+        }
+    })
+
+    it('不同步时不创建通道，增删改查和事务正常', async () => {
+        const db = createTestDB({ channel: false })
+        cleanups.push(() => db.deleteDatabase())
+
+        const uid = await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+        expect(db.channel).toBe(null)
+        await db.put('records', { uid, date: '2025-03-14', index: 1, title: '记录1', record: 'b' })
+        expect(await db.get('records', uid)).toMatchObject({ record: 'b' })
+
+        await expect(db.transaction(['records'], 'readwrite', async tx => {
+            await tx.delete('records', uid)
+            throw new Error('回滚')
+        })).rejects.toThrow('回滚')
+        expect(await db.count('records')).toBe(1)
+
+        const changes = []
+        db.on('change', change => changes.push(change))
+        await db.delete('records', uid)
+        expect(changes).toEqual([{ type: 'delete', storeName: 'records', keys: [uid], remote: false }])
+    })
+
+    it('默认创建的通道在 close 时关闭', async () => {
+        const db = createTestDB()
+        cleanups.push(() => db.deleteDatabase())
+
+        await db.init()
+        const channel = db.channel
+        expect(channel).toBeInstanceOf(BroadcastChannel)
+        db.close()
+        expect(db.channel).toBe(null)
+        expect(() => channel.postMessage({})).toThrow()
+    })
+
+    it('通过传入的通道接收其他实例的变更', async () => {
+        const channels = [new BroadcastChannel('helperTest-changes'), new BroadcastChannel('helperTest-changes')]
+        cleanups.push(() => channels.forEach(channel => channel.close()))
+        const sender = createTestDB({ channel: channels[0] })
+        const receiver = createTestDB({ channel: channels[1] })
+        cleanups.push(() => sender.deleteDatabase(), () => receiver.close())
+
+        await receiver.init()
+        const received = new Promise(resolve => receiver.on('change', resolve))
+        const uid = await sender.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+        expect(await received).toEqual({ type: 'add', storeName: 'records', keys: [uid], remote: true })
+
+        // 传入的通道由调用方关闭
+        receiver.close()
+        expect(receiver.channel).toBe(null)
+        expect(channels[1].onmessage).toBe(null)
+        expect(() => channels[1].postMessage({})).not.toThrow()
+    })
+    it('查询构造器需要显式执行，async 函数返回构造器时不会执行查询', async () => {
+        const db = createTestDB({ channel: false })
+        cleanups.push(() => db.deleteDatabase())
+        await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+
+        const builder = db.query('records').where('date').equals('2025-03-14')
+        expect(typeof builder.then).toBe('undefined')
+        const returned = await (async () => builder)()
+        expect(returned).toBe(builder)
+        expect(await returned.limit(1).toArray()).toHaveLength(1)
+    })
+
+    it('加密字段不能用于查询条件和排序', async () => {
+        const db = createDB('helperTest', 1, { backend: 'memory', channel: false })
+        db.addStore('records', { keyPath: 'uid', autoIncrement: true, encrypt: ['title', 'record'], indexes: [{ name: 'date', keyPath: 'date' }] })
+        cleanups.push(() => db.deleteDatabase())
+
+        expect(() => db.query('records').where('title')).toThrow('字段 title 会被加密')
+        expect(() => db.query('records').orderBy('record', 'desc')).toThrow('字段 record 会被加密')
+        expect(() => db.query('records').where('date').equals('2025-03-14').orderBy('date')).not.toThrow()
+    })
+})
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { setPin, verifyPin, clearPin, getRetryDelay } from '../src/lib/lock.js'
+
+// Node 中没有 localStorage，使用保存在内存中的实现
+function createStorage() {
+    const items = new Map()
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    }
+}
+
+describe('应用锁', () => {
+    beforeEach(async () => {
+        vi.stubGlobal('localStorage', createStorage())
+        vi.useFakeTimers({ toFake: ['Date'] })
+        vi.setSystemTime(new Date('2025-03-14T08:00:00Z'))
+        await setPin('1234')
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('连续输错 3 次后需要等待，等待时间逐次加倍', async () => {
+        for (let i = 0; i < 3; i++) {
+            expect(await verifyPin('0000')).toBe(false)
+            expect(getRetryDelay()).toBe(0)
+        }
+        expect(await verifyPin('0000')).toBe(false)
+        expect(getRetryDelay()).toBe(30 * 1000)
+
+        // 等待期间正确的 PIN 也不能解锁
+        await expect(verifyPin('1234')).rejects.toMatchObject({ name: 'RetryDelayError', retryDelay: 30 * 1000 })
+
+        vi.advanceTimersByTime(30 * 1000)
+        expect(await verifyPin('0000')).toBe(false)
+        expect(getRetryDelay()).toBe(60 * 1000)
+    })
+
+    it('失败次数保存在 localStorage 中，解锁成功后清除', async () => {
+        for (let i = 0; i < 4; i++) {
+            await verifyPin('0000')
+        }
+        expect(JSON.parse(localStorage.getItem('mimiDate:lockAttempts')).failures).toBe(4)
+
+        vi.advanceTimersByTime(getRetryDelay())
+        expect(await verifyPin('1234')).toBe(true)
+        expect(getRetryDelay()).toBe(0)
+        expect(localStorage.getItem('mimiDate:lockAttempts')).toBe(null)
+    })
+
+    it('移除 PIN 时清除失败次数', async () => {
+        for (let i = 0; i < 4; i++) {
+            await verifyPin('0000')
+        }
+        clearPin()
+        expect(getRetryDelay()).toBe(0)
+        expect(await verifyPin('')).toBe(true)
+    })
+})
@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest'
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate'
+import { stringifyFrontMatter, parseFrontMatter } from '../src/lib/frontMatter.js'
+import { recordToMarkdown, markdownToRecord, recordsToMarkdownZip, parseMarkdownZip, parseMarkdownFiles, normalizeDate, parseDateFromPath, splitByHeadings } from '../src/lib/markdown.js'
+import { createRecordId } from '../src/lib/recordSchema.js'
+
+describe('YAML front matter', () => {
+    it('各种类型的值序列化后解析不变', () => {
+        const data = {
+            date: '2025-03-14',
+            title: '标题: 带 "引号"、#井号 和 \\ 反斜杠',
+            numberLike: '007',
+            boolLike: 'true',
+            empty: '',
+            index: 3,
+            ratio: -1.5,
+            draft: false,
+            none: null,
+            tags: ['日记', 'a, b', 2]
+        }
+        const text = stringifyFrontMatter({ ...data, skipped: undefined })
+        expect(text).toMatch(/^---\ndate: 2025-03-14\n/)
+        expect(text).not.toContain('skipped')
+        expect(parseFrontMatter(`${text}\n正文`)).toEqual({ data, body: '\n正文' })
+    })
+
+    it('解析其他编辑器写的 front matter', () => {
+        const text = '﻿---\r\ndate: 2025-03-14\r\ntitle: \'It\'\'s\'\r\n# 注释\r\ntags:\r\n  - 旅行\r\n  - "北京"\r\nmood: ~\r\n---\r\n正文\r\n'
+        expect(parseFrontMatter(text)).toEqual({
+            data: { date: '2025-03-14', title: "It's", tags: ['旅行', '北京'], mood: null },
+            body: '正文\n'
+        })
+    })
+
+    it('没有 front matter 时原样返回正文', () => {
+        expect(parseFrontMatter('# 标题\n---\n')).toEqual({ data: {}, body: '# 标题\n---\n' })
+    })
+})
+
+describe('Markdown 导出导入', () => {
+    const records = [
+        { uid: createRecordId(), date: '2025-03-14', index: 1, title: '早餐', record: '---\n正文里的分隔线\n\n- 列表' },
+        { uid: createRecordId(), date: '2025-03-14', index: 2, title: '"引号" 与: 冒号', record: '' },
+        { uid: createRecordId(), date: '2025-12-31', index: 1, title: '123', record: '# 年末\n\n总结' },
+        // 同一天序号相同的记录不互相覆盖
+        { uid: createRecordId(), date: '2025-12-31', index: 1, title: '123', record: '重复' }
+    ]
+
+    it('单条记录转换为 Markdown 后还原', () => {
+        for (const record of records) {
+            expect(markdownToRecord(recordToMarkdown(record))).toEqual(record)
+        }
+    })
+
+    it('导出的 ZIP 按年月分目录，导入后记录不变', () => {
+        const zip = recordsToMarkdownZip(records)
+        const files = unzipSync(zip)
+        expect(Object.keys(files).sort()).toEqual([
+            '2025/03/2025-03-14-1 早餐.md',
+            '2025/03/2025-03-14-2 _引号_ 与_ 冒号.md',
+            '2025/12/2025-12-31-1 123 (2).md',
+            '2025/12/2025-12-31-1 123.md'
+        ])
+        expect(strFromU8(files['2025/03/2025-03-14-1 早餐.md'])).toMatch(/^---\ndate: 2025-03-14\ntitle: "早餐"\nindex: 1\nuid: "\w{26}"\n---\n\n---\n正文里的分隔线/)
+
+        const { stores, errors } = parseMarkdownZip(zip)
+        expect(errors).toEqual([])
+        const byUid = (a, b) => a.uid.localeCompare(b.uid)
+        expect(stores.records.sort(byUid)).toEqual([...records].sort(byUid))
+    })
+})
+
+describe('导入日记文件夹', () => {
+    it('识别 front matter 和文件名中的日期', () => {
+        expect(normalizeDate('2025/3/4')).toBe('2025-03-04')
+        expect(normalizeDate('20250314')).toBe('2025-03-14')
+        expect(normalizeDate('2025-03-14T08:00')).toBe('2025-03-14')
+        expect(normalizeDate('2025-02-30')).toBe(null)
+        expect(parseDateFromPath('journals/2025_03_14.md')).toBe('2025-03-14')
+        expect(parseDateFromPath('Daily/2025-03-14 周五.md')).toBe('2025-03-14')
+        expect(parseDateFromPath('2025/03/notes.md')).toBe(null)
+        expect(parseDateFromPath('202503141.md')).toBe(null)
+    })
+
+    it('Obsidian 和 Logseq 的日记转换为记录，没有日期的文件跳过', () => {
+        const { stores, errors } = parseMarkdownFiles([
+            { path: 'Daily/2025-03-14.md', text: '---\ntags: [日记]\n---\n今天晴\n' },
+            { path: 'journals/2025_03_15.md', text: '- 早上跑步\n- 晚上读书\n' },
+            { path: 'Notes/读书笔记.md', text: '---\ndate: 2025-03-14\ntitle: 读书\n---\n第一章' },
+            { path: 'Notes/想法.md', text: '没有日期' }
+        ])
+        expect(errors).toEqual(['Notes/想法.md 无法识别日期，已跳过'])
+        expect(stores.records).toEqual([
+            { date: '2025-03-14', title: '记录1', index: 1, record: '今天晴' },
+            { date: '2025-03-15', title: '记录1', index: 1, record: '- 早上跑步\n- 晚上读书' },
+            { date: '2025-03-14', title: '读书', index: 2, record: '第一章' }
+        ])
+    })
+
+    it('按标题拆分为多条记录，代码块中的 # 不算标题', () => {
+        const body = '开头\n\n## 早餐\n豆浆\n```sh\n## 注释\n```\n## 午餐 ##\n面条'
+        expect(splitByHeadings(body, 2)).toEqual([
+            { title: null, content: '开头' },
+            { title: '早餐', content: '豆浆\n```sh\n## 注释\n```' },
+            { title: '午餐', content: '面条' }
+        ])
+
+        const { stores } = parseMarkdownFiles([{ path: '2025-03-14.md', text: body }], { splitHeadings: true, headingLevel: 2 })
+        expect(stores.records.map(record => [record.index, record.title])).toEqual([[1, '记录1'], [2, '早餐'], [3, '午餐']])
+    })
+
+    it('本应用导出的文件不拆分，保留序号和 uid', () => {
+        const uid = createRecordId()
+        const text = recordToMarkdown({ uid, date: '2025-03-14', index: 5, title: '记录5', record: '## 小标题\n内容' })
+        const { stores } = parseMarkdownFiles([{ path: 'other-name.md', text }], { splitHeadings: true })
+        expect(stores.records).toEqual([{ uid, date: '2025-03-14', index: 5, title: '记录5', record: '## 小标题\n内容' }])
+    })
+
+    it('读取 ZIP 时忽略隐藏目录和 __MACOSX', () => {
+        const zip = zipSync({
+            'vault/2025-03-14.md': strToU8('日记'),
+            'vault/.obsidian/2025-03-15.md': strToU8('配置'),
+            '__MACOSX/vault/._2025-03-14.md': strToU8('元数据'),
+            'vault/image.png': new Uint8Array([1, 2, 3])
+        })
+        const { stores, errors } = parseMarkdownZip(zip)
+        expect(errors).toEqual([])
+        expect(stores.records).toEqual([{ date: '2025-03-14', title: '记录1', index: 1, record: '日记' }])
+    })
+})
@@ -0,0 +1,94 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, afterEach } from 'vitest'
+import { createDB } from '../src/lib/indexedDB.js'
+import { createMemoryStorage } from './helpers.js'
+
+describe.each(['memory', 'sqljs', 'indexeddb'])('版本迁移（%s 后端）', (backend) => {
+    const DB_NAME = `registry-${backend}`
+    // sql.js 后端关闭后从存储重新读取
+    let storage = createMemoryStorage()
+    let db = null
+
+    // 按版本创建数据库，configure 中添加仓库和迁移
+    const open = async (version, configure) => {
+        db?.close()
+        db = createDB(DB_NAME, version, { backend, storage, channel: false })
+        configure(db)
+        await db.init()
+        return db
+    }
+
+    afterEach(async () => {
+        await db?.deleteDatabase()
+        db = null
+        storage = createMemoryStorage()
+    })
+
+    it('从版本 N 升级到 N+k，依次执行区间内的迁移', async () => {
+        const log = []
+        const v1 = db => db.addStore('notes', { keyPath: 'id', autoIncrement: true })
+        await open(1, v1)
+        await db.add('notes', [{ title: 'a' }, { title: 'b' }])
+
+        await open(3, db => {
+            v1(db)
+            db.addMigration(1, () => log.push(1))
+            db.addMigration(3, async context => {
+                log.push(3)
+                await context.updateRecords('notes', note => ({ ...note, title: note.title.toUpperCase() }))
+            })
+            db.addMigration(2, async context => {
+                log.push(2)
+                expect(context.oldVersion).toBe(1)
+                expect(context.newVersion).toBe(3)
+                await context.updateRecords('notes', note => (note.title === 'b' ? null : { ...note, done: false }))
+            })
+        })
+
+        expect(log).toEqual([2, 3])
+        expect(await db.getAll('notes')).toEqual([{ id: 1, title: 'A', done: false }])
+    })
+
+    it('迁移先修正数据，再创建新增的唯一索引', async () => {
+        await open(1, db => db.addStore('users', { keyPath: 'id' }))
+        await db.add('users', [{ id: 1, email: 'A@x' }, { id: 2, email: 'a@x' }, { id: 3, email: 'b@x' }])
+
+        await open(2, db => {
+            db.addStore('users', { keyPath: 'id', indexes: [{ name: 'email', keyPath: 'email', unique: true }] })
+            db.addStore('logs', { keyPath: 'id', indexes: [{ name: 'time', keyPath: 'time' }] })
+            db.addMigration(2, async context => {
+                const seen = new Set()
+                await context.updateRecords('users', user => {
+                    const email = user.email.toLowerCase()
+                    if (seen.has(email)) return null
+                    seen.add(email)
+                    return { ...user, email }
+                })
+            })
+        })
+
+        expect(await db.getByIndex('users', 'email', 'a@x')).toEqual([{ id: 1, email: 'a@x' }])
+        await expect(db.add('users', { id: 4, email: 'b@x' })).rejects.toMatchObject({ name: 'ConstraintError' })
+        await db.add('logs', { id: 1, time: 5 })
+        expect(await db.getByIndex('logs', 'time', 5)).toHaveLength(1)
+    })
+
+    it('迁移失败时整个升级回滚，数据和版本不变', async () => {
+        const v1 = db => db.addStore('notes', { keyPath: 'id' })
+        await open(1, v1)
+        await db.add('notes', { id: 1, title: 'a' })
+
+        await expect(open(2, db => {
+            v1(db)
+            db.addStore('tags', { keyPath: 'name' })
+            db.addMigration(2, async context => {
+                await context.updateRecords('notes', note => ({ ...note, title: 'changed' }))
+                throw new Error('迁移失败')
+            })
+        })).rejects.toThrow('迁移失败')
+
+        await open(1, v1)
+        expect(await db.getAll('notes')).toEqual([{ id: 1, title: 'a' }])
+        expect(await db.storeNames()).toEqual(['notes'])
+    })
+})
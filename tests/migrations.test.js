@@ -0,0 +1,228 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, afterEach } from 'vitest'
+import { createDB } from '../src/lib/indexedDB.js'
+import { createRecordId, isRecordId, migrateRecordIds, upgradeFormatV3, dropRecordContentIndex } from '../src/lib/recordSchema.js'
+import { createMemoryStorage } from './helpers.js'
+
+const DB_NAME = 'migrationTest'
+
+describe.each(['memory', 'sqljs', 'indexeddb'])('记录主键迁移（%s 后端）', (backend) => {
+    // sql.js 后端关闭后从存储重新读取
+    let storage = createMemoryStorage()
+
+    // 按 main.js 中各版本的仓库配置创建数据库
+    function createSchema(version) {
+        const db = createDB(DB_NAME, version, { backend, storage, channel: false })
+        // 版本 6 之前内容字段 record 上有索引
+        const indexes = version >= 6 ? [{ name: 'date', keyPath: 'date' }] : [{ name: 'date', keyPath: 'date' }, { name: 'record' }]
+        db.addStore('records', version >= 5
+            ? { keyPath: 'uid', generateKey: createRecordId, indexes }
+            : { keyPath: 'uid', autoIncrement: true, indexes })
+        if (version >= 2) {
+            db.addStore('trash', { keyPath: 'uid', indexes: [{ name: 'deletedAt', keyPath: 'deletedAt' }] })
+        }
+        if (version >= 3) {
+            db.addStore('revisions', { keyPath: 'id', autoIncrement: true, indexes: [{ name: 'recordUid', keyPath: 'recordUid' }] })
+        }
+        if (version >= 4) {
+            db.addStore('meta', { keyPath: 'key' })
+        }
+        if (version >= 5) {
+            db.addMigration(5, migrateRecordIds)
+            db.addFormatUpgrade(3, upgradeFormatV3)
+        }
+        if (version >= 6) {
+            db.addMigration(6, dropRecordContentIndex)
+        }
+        return db
+    }
+
+    const byDate = (a, b) => a.date.localeCompare(b.date) || a.index - b.index
+
+    // 读取底层仓库的结构 {autoIncrement, indexes}
+    const storeSchema = (db, storeName) => {
+        if (backend === 'indexeddb') {
+            const objectStore = db.db.transaction(storeName).objectStore(storeName)
+            return { autoIncrement: objectStore.autoIncrement, indexes: Array.from(objectStore.indexNames).sort() }
+        }
+        const { config } = backend === 'memory' ? db.db.stores.get(storeName) : db.backend.configs.get(storeName)
+        return { autoIncrement: config.autoIncrement, indexes: config.indexes.map(index => index.name).sort() }
+    }
+
+    describe('数据库迁移', () => {
+        let db = null
+
+        afterEach(async () => {
+            await db?.deleteDatabase()
+            db = null
+            storage = createMemoryStorage()
+        })
+
+        it('版本 1 升级到版本 5，记录主键转换为 ULID，内容不变', async () => {
+            db = createSchema(1)
+            await db.add('records', [
+                { date: '2025-03-14', index: 1, title: '记录1', record: 'a' },
+                { date: '2025-03-14', index: 2, title: '记录2', record: 'b' },
+                { date: '2025-03-15', index: 1, title: '记录1', record: 'c' }
+            ])
+            const before = await db.getAll('records')
+            expect(before.map(record => record.uid)).toEqual([1, 2, 3])
+            db.close()
+
+            db = createSchema(5)
+            const after = (await db.getAll('records')).sort(byDate)
+            expect(after).toHaveLength(3)
+            expect(after.every(record => isRecordId(record.uid))).toBe(true)
+            expect(new Set(after.map(record => record.uid)).size).toBe(3)
+            expect(after.map(({ uid, ...record }) => record)).toEqual(before.map(({ uid, ...record }) => record))
+            expect(await db.storeNames()).toEqual(expect.arrayContaining(['records', 'trash', 'revisions', 'meta']))
+        })
+
+        it('版本 4 升级到版本 5，回收站和历史版本随记录一起转换', async () => {
+            db = createSchema(4)
+            await db.add('records', [
+                { date: '2025-03-14', index: 1, title: '记录1', record: 'a' },
+                { date: '2025-03-15', index: 1, title: '记录1', record: 'b' }
+            ])
+            await db.add('trash', { uid: 3, date: '2025-03-16', index: 1, title: '记录1', record: 'c', deletedAt: 1 })
+            await db.add('revisions', [
+                { recordUid: 1, title: '记录1', record: 'a0', savedAt: 1 },
+                { recordUid: 2, title: '记录1', record: 'b0', savedAt: 2 },
+                { recordUid: 3, title: '记录1', record: 'c0', savedAt: 3 }
+            ])
+            db.close()
+
+            db = createSchema(5)
+            const records = (await db.getAll('records')).sort(byDate)
+            const [trashItem] = await db.getAll('trash')
+            const revisions = (await db.getAll('revisions')).sort((a, b) => a.savedAt - b.savedAt)
+            expect(isRecordId(trashItem.uid)).toBe(true)
+            expect(revisions.map(revision => revision.recordUid)).toEqual([records[0].uid, records[1].uid, trashItem.uid])
+            expect(await db.get('records', records[0].uid)).toMatchObject({ record: 'a' })
+            expect(await db.getByIndex('revisions', 'recordUid', trashItem.uid)).toEqual([expect.objectContaining({ record: 'c0' })])
+        })
+
+        it('已经是 ULID 的主键保持不变', async () => {
+            const uid = createRecordId()
+            db = createSchema(4)
+            await db.add('records', [
+                { uid, date: '2025-03-14', index: 1, title: '记录1', record: 'a' },
+                { date: '2025-03-14', index: 2, title: '记录2', record: 'b' }
+            ])
+            db.close()
+
+            db = createSchema(5)
+            const records = (await db.getAll('records')).sort(byDate)
+            expect(records[0].uid).toBe(uid)
+            expect(isRecordId(records[1].uid)).toBe(true)
+        })
+
+        it('升级后新增的记录使用 ULID 主键', async () => {
+            db = createSchema(1)
+            await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+            db.close()
+
+            db = createSchema(5)
+            const uid = await db.add('records', { date: '2025-03-14', index: 2, title: '记录2', record: 'b' })
+            expect(isRecordId(uid)).toBe(true)
+            expect(await db.count('records')).toBe(2)
+        })
+
+        it('重复导入本设备迁移前导出的备份不产生重复记录', async () => {
+            db = createSchema(4)
+            await db.add('records', [
+                { date: '2025-03-14', index: 1, title: '记录1', record: 'a' },
+                { date: '2025-03-15', index: 1, title: '记录1', record: 'b' }
+            ])
+            await db.add('revisions', { recordUid: 2, title: '记录1', record: 'b0', savedAt: 1 })
+            const legacy = await db.exportData()
+            db.close()
+
+            db = createSchema(5)
+            const records = (await db.getAll('records')).sort(byDate)
+            const upgraded = await upgradeFormatV3(structuredClone(legacy), db)
+            expect(upgraded.stores.records.sort(byDate).map(record => record.uid)).toEqual(records.map(record => record.uid))
+            expect(upgraded.stores.revisions[0].recordUid).toBe(records.find(record => record.record === 'b').uid)
+
+            await db.importData(structuredClone(legacy))
+            await db.importData(structuredClone(legacy))
+            expect(await db.count('records')).toBe(2)
+        })
+
+        it('其他设备上 uid、日期、序号相同的记录得到不同的主键，导入时不覆盖本地记录', async () => {
+            db = createSchema(4)
+            await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: '本机' })
+            db.close()
+
+            db = createSchema(5)
+            const [local] = await db.getAll('records')
+            const other = { dbName: DB_NAME, formatVersion: 1, stores: { records: [{ uid: 1, date: '2025-03-14', index: 1, title: '记录1', record: '另一台手机' }] } }
+            await db.importData(other)
+
+            const records = await db.getAll('records')
+            expect(records).toHaveLength(2)
+            expect(records.find(record => record.uid === local.uid)).toMatchObject({ record: '本机' })
+
+            // 没有迁移记录时每次都随机生成
+            const convert = async () => (await upgradeFormatV3(structuredClone(other))).stores.records[0].uid
+            expect(await convert()).not.toBe(await convert())
+        })
+
+        it('1970 年以前的日期不影响迁移', async () => {
+            db = createSchema(4)
+            await db.add('records', { date: '1969-07-20', index: 1, title: '记录1', record: 'a' })
+            db.close()
+
+            db = createSchema(5)
+            const [record] = await db.getAll('records')
+            expect(isRecordId(record.uid)).toBe(true)
+            expect(await db.get('meta', 'legacyRecordIds')).toEqual({
+                key: 'legacyRecordIds',
+                value: { 1: { id: record.uid, fingerprint: expect.any(String) } }
+            })
+        })
+
+        it('升级后的 records 仓库与新安装时结构相同', async () => {
+            db = createSchema(1)
+            await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+            db.close()
+
+            db = createSchema(5)
+            await db.init()
+            const upgraded = storeSchema(db, 'records')
+            expect(await db.count('records')).toBe(1)
+            expect(await db.getByIndex('records', 'date', '2025-03-14')).toHaveLength(1)
+            await db.deleteDatabase()
+            storage = createMemoryStorage()
+
+            db = createSchema(5)
+            await db.init()
+            expect(upgraded).toEqual(storeSchema(db, 'records'))
+            expect(upgraded).toEqual({ autoIncrement: false, indexes: ['date', 'record'] })
+        })
+
+        it('从版本 1 直接升级到版本 6', async () => {
+            db = createSchema(1)
+            await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+            db.close()
+
+            db = createSchema(6)
+            await db.init()
+            expect(storeSchema(db, 'records')).toEqual({ autoIncrement: false, indexes: ['date'] })
+            expect(isRecordId((await db.getAll('records'))[0].uid)).toBe(true)
+        })
+
+        it('版本 6 删除内容字段的索引，内嵌图片的记录不受影响', async () => {
+            const image = `![](data:image/png;base64,${'A'.repeat(64 * 1024)})`
+            db = createSchema(5)
+            await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: image })
+            expect(storeSchema(db, 'records').indexes).toEqual(['date', 'record'])
+            db.close()
+
+            db = createSchema(6)
+            await db.init()
+            expect(storeSchema(db, 'records').indexes).toEqual(['date'])
+            expect(await db.getByIndex('records', 'date', '2025-03-14')).toEqual([expect.objectContaining({ record: image })])
+        })
+    })
+})
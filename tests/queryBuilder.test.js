@@ -0,0 +1,54 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeAll, afterAll } from 'vitest'
+import { createDB } from '../src/lib/indexedDB.js'
+import { applyQuery } from '../src/lib/queryBuilder.js'
+import { createMemoryStorage } from './helpers.js'
+
+// 同一天有多条记录，检查索引值相同时的主键顺序
+const records = [
+    { uid: 'r01', date: '2025-02-28', index: 1, title: '二月' },
+    { uid: 'r02', date: '2025-03-01', index: 2, title: '早餐' },
+    { uid: 'r03', date: '2025-03-01', index: 1, title: '午餐' },
+    { uid: 'r04', date: '2025-03-14', index: 1, title: '早起' },
+    { uid: 'r05', date: '2025-03-14', index: 2, title: '散步' },
+    { uid: 'r06', date: '2025-03-14', index: 3, title: '早睡' },
+    { uid: 'r07', date: '2025-03-31', index: 1, title: '月末' },
+    { uid: 'r08', date: '2025-04-01', index: 1, title: '四月' },
+    { uid: 'r09', date: '2025-04-10', index: 1, title: '早餐' }
+]
+
+const queries = {
+    'between 闭区间': db => db.query('records').where('date').between('2025-03-01', '2025-03-31'),
+    'between 开区间': db => db.query('records').where('date').between('2025-03-01', '2025-03-31', true, true),
+    'startsWith': db => db.query('records').where('date').startsWith('2025-03'),
+    'startsWith 倒序': db => db.query('records').where('date').startsWith('2025-03').orderBy('date', 'desc'),
+    'orderBy 倒序': db => db.query('records').orderBy('date', 'desc'),
+    '主键倒序': db => db.query('records').orderBy('uid', 'desc'),
+    'offset 和 limit': db => db.query('records').where('date').aboveOrEqual('2025-03-01').offset(2).limit(3),
+    '倒序分页': db => db.query('records').orderBy('date', 'desc').offset(1).limit(4),
+    '过滤后分页': db => db.query('records').where('date').below('2025-04-10').filter(item => item.title.startsWith('早')).offset(1).limit(1),
+    '按其他字段排序': db => db.query('records').where('date').startsWith('2025-03').orderBy('index', 'desc').limit(3),
+    'limit 0': db => db.query('records').limit(0)
+}
+
+describe.each(['indexeddb', 'sqljs'])('查询构造器（%s 后端）', (backend) => {
+    let db = null
+
+    beforeAll(async () => {
+        db = createDB('queryTest', 1, { backend, storage: createMemoryStorage(), channel: false })
+        db.addStore('records', { keyPath: 'uid', indexes: [{ name: 'date', keyPath: 'date' }] })
+        await db.add('records', records)
+    })
+
+    afterAll(async () => {
+        await db.deleteDatabase()
+    })
+
+    it.each(Object.keys(queries))('%s 与内存中执行的结果一致', async (name) => {
+        const builder = queries[name](db)
+        const expected = applyQuery(records, builder.spec, 'uid')
+        expect(await builder.toArray()).toEqual(expected)
+        expect(await builder.first()).toEqual(applyQuery(records, { ...builder.spec, limit: 1 }, 'uid')[0])
+        expect(await builder.count()).toBe(applyQuery(records, { ...builder.spec, offset: 0, limit: null }, 'uid').length)
+    })
+})
@@ -0,0 +1,119 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { validateRecord, validateTrashItem, validateRevision, isRecordId, isValidDate, createRecordId } from '../src/lib/recordSchema.js'
+import { createDiaryDB } from './helpers.js'
+
+describe('记录校验', () => {
+    const valid = { date: '2025-03-14', index: 1, title: '记录1', record: '' }
+
+    it('有效的记录通过校验，uid 可以省略', () => {
+        expect(validateRecord(valid)).toEqual([])
+        expect(validateRecord({ ...valid, uid: createRecordId(), tags: ['a'], updatedAt: 1 })).toEqual([])
+    })
+
+    it.each([
+        [{ date: undefined }, '缺少日期 date'],
+        [{ date: '2025-02-29' }, '日期 "2025-02-29" 不是有效的 YYYY-MM-DD 日期'],
+        [{ date: '2025/03/14' }, '日期 "2025/03/14" 不是有效的 YYYY-MM-DD 日期'],
+        [{ index: null }, '缺少序号 index'],
+        [{ index: 0 }, '序号 0 应为正整数'],
+        [{ index: '1' }, '序号 "1" 应为正整数'],
+        [{ title: 1 }, '标题 title 应为字符串'],
+        [{ record: null }, '内容 record 应为字符串'],
+        [{ tags: 'a' }, '标签 tags 应为字符串数组'],
+        [{ uid: '' }, 'uid 应为字符串'],
+        [{ updatedAt: '昨天' }, 'updatedAt 应为时间戳数字']
+    ])('拒绝无效的记录 %o', (patch, message) => {
+        expect(validateRecord({ ...valid, ...patch })).toEqual([message])
+    })
+
+    it('回收站记录必须有 uid 和删除时间，历史版本必须有所属记录', () => {
+        expect(validateTrashItem({ ...valid, uid: createRecordId(), deletedAt: 1 })).toEqual([])
+        expect(validateTrashItem(valid)).toEqual(['缺少主键 uid', '删除时间 deletedAt 应为时间戳数字'])
+        expect(validateRevision({ recordUid: createRecordId(), title: '记录1', record: '', savedAt: 1 })).toEqual([])
+        expect(validateRevision({ record: 1 })).toEqual(['缺少所属记录 recordUid', '内容 record 应为字符串', '保存时间 savedAt 应为时间戳数字'])
+    })
+
+    it('日期和主键格式', () => {
+        expect(isValidDate('2024-02-29')).toBe(true)
+        expect(isValidDate('2025-13-01')).toBe(false)
+        expect(isRecordId(createRecordId())).toBe(true)
+        expect(isRecordId('01ARZ3NDEKTSV4RRFFQ69G5FAI')).toBe(false)
+    })
+})
+
+describe('导入格式升级', () => {
+    let db = null
+
+    afterEach(async () => {
+        await db?.deleteDatabase()
+        db = null
+    })
+
+    it('导入时跳过无效的数据，不跳过错误时整个导入失败', async () => {
+        db = createDiaryDB()
+        const data = {
+            formatVersion: 3,
+            stores: {
+                records: [
+                    { date: '2025-03-14', index: 1, title: '记录1', record: 'a' },
+                    { date: '2025-03-32', index: 1, title: '记录1', record: 'b' },
+                    '不是对象'
+                ],
+                trash: {}
+            }
+        }
+
+        const prepared = await db.prepareImport(data)
+        expect(prepared.errors).toEqual([
+            'records 第 2 条：日期 "2025-03-32" 不是有效的 YYYY-MM-DD 日期',
+            'records 第 3 条：不是对象',
+            '仓库 trash 的数据不是数组，跳过导入'
+        ])
+        expect(prepared.data.stores.records).toHaveLength(1)
+
+        await expect(db.importData(data, { skipErrors: false })).rejects.toThrow('导入数据校验失败')
+        expect(await db.count('records')).toBe(0)
+
+        const result = await db.importData(data)
+        expect(result).toMatchObject({ success: false, imported: { records: 1 } })
+        expect(await db.count('records')).toBe(1)
+    })
+
+    it('拒绝格式版本过高或来自其他数据库的数据', async () => {
+        db = createDiaryDB()
+        await expect(db.prepareImport({ formatVersion: 4, stores: {} })).rejects.toThrow('高于当前支持的 3')
+        await expect(db.prepareImport({ formatVersion: 0.5, stores: {} })).rejects.toThrow('无效的导出格式版本号')
+        await expect(db.prepareImport({ dbName: 'other', stores: {} })).rejects.toThrow('来自其他数据库 other')
+        await expect(db.prepareImport({ records: [] })).rejects.toThrow('缺少 stores')
+    })
+
+    it('版本 1 的数据依次升级到版本 2、版本 3 后通过校验', async () => {
+        db = createDiaryDB()
+        // 版本 1：SQLite 导出的序号为字符串，标题和内容可能缺失，主键为自增数字
+        const v1 = {
+            stores: {
+                records: [
+                    { uid: 1, date: '2025-03-14', index: '1', record: null },
+                    { uid: 2, date: '2025-03-14', index: ' 2 ', title: '午餐', record: '面条' }
+                ],
+                trash: [{ uid: 3, date: '2025-03-15', index: 1, title: '记录1', record: 'c', deletedAt: 1 }],
+                revisions: [{ id: 1, recordUid: 2, title: '午餐', record: '米饭', savedAt: 1 }]
+            }
+        }
+
+        const { data, errors } = await db.prepareImport(v1)
+        expect(errors).toEqual([])
+        expect(data.formatVersion).toBe(3)
+        const [first, second] = data.stores.records
+        expect(first).toMatchObject({ date: '2025-03-14', index: 1, title: '记录1', record: '' })
+        expect(second).toMatchObject({ index: 2, title: '午餐', record: '面条' })
+        expect([first.uid, second.uid, data.stores.trash[0].uid].every(isRecordId)).toBe(true)
+        expect(data.stores.revisions[0].recordUid).toBe(second.uid)
+        // 升级不修改传入的数据
+        expect(v1.stores.records[0].uid).toBe(1)
+
+        // 版本 2 只转换主键
+        const v2 = await db.prepareImport({ formatVersion: 2, stores: { records: [{ uid: 7, date: '2025-03-14', index: 1, title: '记录1', record: '' }] } })
+        expect(isRecordId(v2.data.stores.records[0].uid)).toBe(true)
+    })
+})
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { createDB } from '../src/lib/indexedDB.js'
+
+// 多个标签页共用的数据库文件，保存时等待一段时间，模拟写入 OPFS
+// failing 为 true 时保存失败，saves 记录保存次数
+function createSharedStorage() {
+    let file = null
+    return {
+        failing: false,
+        saves: 0,
+        async load() {
+            return file && new Uint8Array(file)
+        },
+        async save(data) {
+            await new Promise(resolve => setTimeout(resolve, 10))
+            if (this.failing) throw new Error('磁盘已满')
+            this.saves++
+            file = new Uint8Array(data)
+        },
+        async remove() {
+            file = null
+        }
+    }
+}
+
+// 一个标签页中的数据库实例
+function openTab(storage) {
+    const db = createDB('sqlJsTest', 1, { backend: 'sqljs', storage, channel: false })
+    db.addStore('records', { keyPath: 'uid', autoIncrement: true })
+    return db
+}
+
+// 按请求顺序依次持有锁，与浏览器中同名锁的行为一致
+function createLockManager() {
+    let tail = Promise.resolve()
+    const request = vi.fn((name, callback) => {
+        const result = tail.then(() => callback({ name }))
+        tail = result.catch(() => { })
+        return result
+    })
+    return { request }
+}
+
+describe('SqlJsBackend 多标签页写入', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+
+    it('写入前重新读取文件，不覆盖其他标签页的修改', async () => {
+        const storage = createSharedStorage()
+        const tabs = [openTab(storage), openTab(storage)]
+        await Promise.all(tabs.map(tab => tab.init()))
+
+        await tabs[0].add('records', { uid: 'a', record: 'A' })
+        await tabs[1].add('records', { uid: 'b', record: 'B' })
+
+        const reopened = openTab(storage)
+        expect((await reopened.getAll('records')).map(item => item.uid)).toEqual(['a', 'b'])
+        tabs.concat(reopened).forEach(tab => tab.close())
+    })
+
+    it('同时写入时持有写锁，依次读取、修改和保存', async () => {
+        const locks = createLockManager()
+        vi.stubGlobal('navigator', { locks })
+        const storage = createSharedStorage()
+        const tabs = [openTab(storage), openTab(storage)]
+        await Promise.all(tabs.map(tab => tab.init()))
+
+        await Promise.all([
+            tabs[0].add('records', [{ uid: 'a1' }, { uid: 'a2' }]),
+            tabs[1].add('records', { uid: 'b1' }),
+            tabs[0].put('records', { uid: 'a3' })
+        ])
+
+        expect(locks.request).toHaveBeenCalledWith('sqlJsTest.sqlite', expect.any(Function))
+        const reopened = openTab(storage)
+        expect((await reopened.getAll('records')).map(item => item.uid)).toEqual(['a1', 'a2', 'a3', 'b1'])
+        tabs.concat(reopened).forEach(tab => tab.close())
+    })
+})
+
+describe('SqlJsBackend 保存文件', () => {
+    it('保存失败时撤销内存中的修改，与文件保持一致', async () => {
+        const storage = createSharedStorage()
+        const db = openTab(storage)
+        await db.add('records', { uid: 'a', record: 'A' })
+
+        storage.failing = true
+        await expect(db.put('records', { uid: 'a', record: 'A2' })).rejects.toThrow('磁盘已满')
+        await expect(db.add('records', { uid: 'b', record: 'B' })).rejects.toThrow('磁盘已满')
+        expect(await db.getAll('records')).toEqual([{ uid: 'a', record: 'A' }])
+
+        // 存储恢复后可以继续写入
+        storage.failing = false
+        await db.add('records', { uid: 'b', record: 'B' })
+        const reopened = openTab(storage)
+        expect(await reopened.getAll('records')).toEqual([{ uid: 'a', record: 'A' }, { uid: 'b', record: 'B' }])
+        db.close()
+        reopened.close()
+    })
+
+    it('分批导入时所有批次结束后只保存一次', async () => {
+        const storage = createSharedStorage()
+        const db = openTab(storage)
+        await db.init()
+        const saves = storage.saves
+
+        const records = Array.from({ length: 5 }, (_, i) => ({ uid: `r${i}`, record: String(i) }))
+        const result = await db.importData({ dbName: 'sqlJsTest', stores: { records } }, { chunkSize: 2 })
+        expect(result.imported).toEqual({ records: 5 })
+        expect(storage.saves - saves).toBe(1)
+        expect(await openTab(storage).count('records')).toBe(5)
+        db.close()
+    })
+
+    it('取消分批导入时保存已提交的批次', async () => {
+        const storage = createSharedStorage()
+        const db = openTab(storage)
+        await db.init()
+
+        const controller = new AbortController()
+        const records = Array.from({ length: 5 }, (_, i) => ({ uid: `r${i}`, record: String(i) }))
+        const result = await db.importData({ dbName: 'sqlJsTest', stores: { records } }, {
+            chunkSize: 2,
+            signal: controller.signal,
+            onProgress: ({ done }) => done >= 2 && controller.abort()
+        })
+        expect(result.cancelled).toBe(true)
+        expect(await openTab(storage).getAll('records')).toEqual(records.slice(0, 2))
+        db.close()
+    })
+
+    it('分批导入保存失败时撤销全部批次', async () => {
+        const storage = createSharedStorage()
+        const db = openTab(storage)
+        await db.add('records', { uid: 'a', record: 'A' })
+
+        storage.failing = true
+        const records = Array.from({ length: 5 }, (_, i) => ({ uid: `r${i}`, record: String(i) }))
+        await expect(db.importData({ dbName: 'sqlJsTest', stores: { records } }, { chunkSize: 2 })).rejects.toThrow('磁盘已满')
+        expect(await db.getAll('records')).toEqual([{ uid: 'a', record: 'A' }])
+        db.close()
+    })
+})
+
+// 在两个后端上执行相同的操作，结果应当一致
+describe('SqlJsBackend 与内存后端行为一致', () => {
+    const records = [
+        { uid: 'a', date: '2025-03-14', index: 1, title: '早餐' },
+        { uid: 'b', date: '2025-03-14', index: 2, title: '午餐' },
+        { uid: 'c', date: '2025-03-15', index: 1, title: '晚餐' },
+        { uid: 'd', date: '2025-04-01', index: 1, title: '早起' },
+        { uid: 'e', date: '2025-04-02', index: 1, title: '散步' }
+    ]
+
+    async function openBoth() {
+        return Promise.all(['memory', 'sqljs'].map(async backend => {
+            const db = createDB('parityTest', 1, { backend, storage: createSharedStorage(), channel: false })
+            db.addStore('records', { keyPath: 'uid', indexes: [{ name: 'date', keyPath: 'date' }, { name: 'title', keyPath: 'title' }] })
+            await db.add('records', records)
+            return db
+        }))
+    }
+
+    it('查询结果相同', async () => {
+        const dbs = await openBoth()
+        const queries = [
+            db => db.query('records').where('date').between('2025-03-14', '2025-04-01', false, true).toArray(),
+            db => db.query('records').where('date').startsWith('2025-03').orderBy('uid', 'desc').toArray(),
+            db => db.query('records').orderBy('date', 'desc').offset(1).limit(2).toArray(),
+            db => db.query('records').where('title').equals('早餐').count(),
+            db => db.query('records').where('date').above('2025-03-14').filter(item => item.title.startsWith('早')).toArray()
+        ]
+        for (const run of queries) {
+            const [expected, actual] = await Promise.all(dbs.map(run))
+            expect(actual).toEqual(expected)
+        }
+        await Promise.all(dbs.map(db => db.deleteDatabase()))
+    })
+
+    it('事务出错时两个后端都回滚', async () => {
+        const dbs = await openBoth()
+        const outcomes = await Promise.all(dbs.map(async db => {
+            await expect(db.transaction(['records'], 'readwrite', async tx => {
+                await tx.delete('records', 'a')
+                await tx.put('records', { uid: 'f', date: '2025-05-01', index: 1, title: '新增' })
+                throw new Error('回滚')
+            })).rejects.toThrow('回滚')
+            await expect(db.add('records', records[0])).rejects.toMatchObject({ name: 'ConstraintError' })
+            return db.getAll('records')
+        }))
+        expect(outcomes[1]).toEqual(outcomes[0])
+        expect(outcomes[0]).toEqual(records)
+        await Promise.all(dbs.map(db => db.deleteDatabase()))
+    })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import { createSQLiteFile, readSQLiteFile, META_TABLE } from '../src/lib/sqliteFile.js'
+import { loadSqlJs } from '../src/lib/sqlite.js'
+import { createRecordId } from '../src/lib/recordSchema.js'
+import { createDiaryDB } from './helpers.js'
+
+// 在 SQLite 文件上执行查询，返回第一个结果集的行
+async function querySQLite(file, sql) {
+    const SQL = await loadSqlJs()
+    const sqlDb = new SQL.Database(file)
+    try {
+        return sqlDb.exec(sql)[0]?.values || []
+    } finally {
+        sqlDb.close()
+    }
+}
+
+describe('SQLite 文件导出导入', () => {
+    const dbs = []
+
+    afterEach(async () => {
+        while (dbs.length > 0) {
+            await dbs.pop().deleteDatabase()
+        }
+    })
+
+    async function createFilledDB() {
+        const db = createDiaryDB()
+        dbs.push(db)
+        const uid = createRecordId()
+        await db.add('records', [
+            { uid, date: '2025-03-14', index: 1, title: '早餐', record: '豆浆', tags: ['吃', '早'], updatedAt: 1741939200000 },
+            { date: '2025-03-14', index: 2, title: '午餐', record: '', pinned: true, mood: 3.5 },
+            { date: '2025-03-15', index: 1, title: '123', record: '{"not":"json"}', extra: { nested: [1, null] } }
+        ])
+        await db.add('revisions', { recordUid: uid, title: '早餐', record: '豆', savedAt: 1 })
+        await db.put('meta', { key: 'encryption', value: { keyId: 'a' } })
+        return db
+    }
+
+    it('导出后读取得到相同的数据和元数据', async () => {
+        const db = await createFilledDB()
+        const data = await db.exportData()
+        const file = await createSQLiteFile(data, db.stores)
+        const restored = await readSQLiteFile(file)
+
+        expect(restored).toMatchObject({ dbName: 'diaryTest', version: 5, formatVersion: 3, exportDate: data.exportDate })
+        expect(Object.keys(restored.stores).sort()).toEqual(Object.keys(data.stores).sort())
+        for (const [storeName, items] of Object.entries(data.stores)) {
+            expect(restored.stores[storeName]).toEqual(items)
+        }
+        // 空仓库同样保留
+        expect(restored.stores.trash).toEqual([])
+    })
+
+    it('_meta 表记录每个仓库的主键、索引和列类型，并创建索引', async () => {
+        const db = await createFilledDB()
+        const file = await createSQLiteFile(await db.exportData(), db.stores)
+
+        const meta = Object.fromEntries((await querySQLite(file, `SELECT key, value FROM ${META_TABLE}`)).map(([key, value]) => [key, JSON.parse(value)]))
+        expect(meta.dbName).toBe('diaryTest')
+        expect(meta.stores.records).toMatchObject({ keyPath: 'uid', autoIncrement: false, indexes: [{ name: 'date', keyPath: 'date' }] })
+        const columns = Object.fromEntries(meta.stores.records.columns.map(column => [column.name, column]))
+        expect(columns.tags).toMatchObject({ kind: 'json', optional: true })
+        expect(columns.pinned).toMatchObject({ kind: 'boolean', optional: true })
+        expect(columns.date).toMatchObject({ kind: 'text', optional: false })
+        expect(meta.stores.revisions).toMatchObject({ keyPath: 'id', autoIncrement: true })
+
+        const indexes = (await querySQLite(file, "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = 'records' AND sql IS NOT NULL")).flat()
+        expect(indexes.length).toBeGreaterThan(0)
+    })
+
+    it('导出的文件导入到新的数据库后数据相同', async () => {
+        const source = await createFilledDB()
+        const file = await createSQLiteFile(await source.exportData(), source.stores)
+        const records = await source.getAll('records')
+        await source.deleteDatabase()
+        dbs.pop()
+
+        const target = createDiaryDB()
+        dbs.push(target)
+        const result = await target.importData(await readSQLiteFile(file))
+        expect(result).toMatchObject({ success: true, imported: { records: 3, revisions: 1 } })
+        expect(await target.getAll('records')).toEqual(records)
+        // 元数据仓库不会被导入的数据覆盖
+        expect(await target.get('meta', 'encryption')).toBeUndefined()
+    })
+
+    it('读取没有 _meta 表的旧文件时按值推断类型', async () => {
+        const SQL = await loadSqlJs()
+        const sqlDb = new SQL.Database()
+        sqlDb.run('CREATE TABLE records (uid INTEGER PRIMARY KEY, date TEXT, [index] TEXT, title TEXT, record TEXT, tags TEXT)')
+        sqlDb.run('INSERT INTO records VALUES (1, \'2025-03-14\', \'1\', NULL, \'内容\', \'["a"]\')')
+        sqlDb.run('CREATE TABLE trash (uid INTEGER PRIMARY KEY)')
+        const file = sqlDb.export()
+        sqlDb.close()
+
+        expect(await readSQLiteFile(file)).toEqual({
+            dbName: undefined,
+            version: undefined,
+            formatVersion: undefined,
+            exportDate: undefined,
+            stores: { records: [{ uid: 1, date: '2025-03-14', index: '1', title: null, record: '内容', tags: ['a'] }] }
+        })
+    })
+})
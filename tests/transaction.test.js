@@ -0,0 +1,54 @@
+import 'fake-indexeddb/auto'
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { createDiaryDB, createMemoryStorage } from './helpers.js'
+
+describe.each(['memory', 'sqljs', 'indexeddb'])('跨仓库事务（%s 后端）', (backend) => {
+    let db = null
+    let uid = null
+
+    beforeEach(async () => {
+        db = createDiaryDB({ backend, storage: createMemoryStorage() })
+        uid = await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: 'a' })
+    })
+
+    afterEach(async () => {
+        await db.deleteDatabase()
+    })
+
+    it('回调抛出错误时两个仓库的修改都回滚', async () => {
+        await expect(db.transaction(['records', 'trash'], 'readwrite', async (tx) => {
+            const record = await tx.get('records', uid)
+            await tx.put('trash', { ...record, deletedAt: 1 })
+            await tx.delete('records', uid)
+            throw new Error('移动失败')
+        })).rejects.toThrow('移动失败')
+
+        expect(await db.get('records', uid)).toMatchObject({ record: 'a' })
+        expect(await db.count('trash')).toBe(0)
+    })
+
+    it('写入失败时之前的修改一并回滚', async () => {
+        await expect(db.transaction(['records', 'revisions'], 'readwrite', async (tx) => {
+            await tx.add('revisions', { recordUid: uid, title: '记录1', record: 'a', savedAt: 1 })
+            await tx.put('records', { uid, date: '2025-03-14', index: 1, title: '记录1', record: 'b' })
+            // 主键已存在
+            await tx.add('records', { uid, date: '2025-03-15', index: 1, title: '记录1', record: 'c' })
+        })).rejects.toMatchObject({ name: 'ConstraintError' })
+
+        expect(await db.getAll('records')).toEqual([expect.objectContaining({ uid, record: 'a' })])
+        expect(await db.count('revisions')).toBe(0)
+    })
+
+    it('回调正常返回时提交全部修改并返回结果', async () => {
+        const result = await db.transaction(['records', 'trash'], 'readwrite', async (tx) => {
+            const record = await tx.get('records', uid)
+            await tx.put('trash', { ...record, deletedAt: 1 })
+            await tx.delete('records', uid)
+            return record.title
+        })
+
+        expect(result).toBe('记录1')
+        expect(await db.count('records')).toBe(0)
+        expect(await db.get('trash', uid)).toMatchObject({ record: 'a', deletedAt: 1 })
+    })
+})
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { moveToTrash, restoreFromTrash, deleteFromTrash, emptyTrash, listTrash, purgeTrash, getRemainingDays } from '../src/lib/trash.js'
+import { createDiaryDB } from './helpers.js'
+
+const DAY = 24 * 60 * 60 * 1000
+
+describe('回收站', () => {
+    let db = null
+
+    beforeEach(() => {
+        db = createDiaryDB()
+    })
+
+    afterEach(async () => {
+        vi.useRealTimers()
+        await db.deleteDatabase()
+    })
+
+    // 添加一条记录和它的历史版本
+    async function addRecord(date, index, record) {
+        const uid = await db.add('records', { date, index, title: `记录${index}`, record })
+        await db.add('revisions', { recordUid: uid, title: `记录${index}`, record: `${record}0`, savedAt: 1 })
+        return uid
+    }
+
+    it('移入回收站时保留日期、序号并记录删除时间', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] })
+        vi.setSystemTime(new Date('2025-03-14T08:00:00Z'))
+        const uid = await addRecord('2025-03-14', 1, 'a')
+
+        const trashItem = await moveToTrash(db, uid)
+        expect(trashItem).toMatchObject({ uid, date: '2025-03-14', index: 1, record: 'a', deletedAt: Date.now() })
+        expect(await db.get('records', uid)).toBeUndefined()
+        expect(await listTrash(db)).toEqual([trashItem])
+        await expect(moveToTrash(db, uid)).rejects.toThrow('记录不存在')
+    })
+
+    it('恢复记录时原序号已被占用则排到当天最后，历史版本保留', async () => {
+        const uid = await addRecord('2025-03-14', 1, 'a')
+        await moveToTrash(db, uid)
+        await addRecord('2025-03-14', 1, 'b')
+
+        const restored = await restoreFromTrash(db, uid)
+        expect(restored).toEqual({ uid, date: '2025-03-14', index: 2, title: '记录1', record: 'a' })
+        expect(await db.get('records', uid)).toEqual(restored)
+        expect(await db.count('trash')).toBe(0)
+        expect(await db.getByIndex('revisions', 'recordUid', uid)).toHaveLength(1)
+        await expect(restoreFromTrash(db, uid)).rejects.toThrow('回收站中不存在')
+    })
+
+    it('彻底删除时一并删除历史版本', async () => {
+        const uids = [await addRecord('2025-03-14', 1, 'a'), await addRecord('2025-03-14', 2, 'b'), await addRecord('2025-03-15', 1, 'c')]
+        for (const uid of uids) {
+            await moveToTrash(db, uid)
+        }
+
+        await deleteFromTrash(db, uids[0])
+        expect((await db.getAll('trash')).map(item => item.uid).sort()).toEqual(uids.slice(1).sort())
+        expect(await db.getByIndex('revisions', 'recordUid', uids[0])).toEqual([])
+
+        await emptyTrash(db)
+        expect(await db.count('trash')).toBe(0)
+        expect(await db.count('revisions')).toBe(0)
+    })
+
+    it('自动清理超过保留天数的记录，最近删除的排在前面', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] })
+        vi.setSystemTime(new Date('2025-03-01T08:00:00Z'))
+        const old = await addRecord('2025-03-01', 1, 'a')
+        await moveToTrash(db, old)
+        vi.setSystemTime(new Date('2025-03-20T08:00:00Z'))
+        const recent = await addRecord('2025-03-20', 1, 'b')
+        await moveToTrash(db, recent)
+
+        expect((await listTrash(db)).map(item => item.uid)).toEqual([recent, old])
+        const [recentItem, oldItem] = await listTrash(db)
+        expect(getRemainingDays(oldItem, 30)).toBe(11)
+        expect(getRemainingDays(recentItem, 30)).toBe(30)
+        expect(getRemainingDays(recentItem, 0)).toBe(null)
+
+        // 0 表示永久保留
+        expect(await purgeTrash(db, 0)).toBe(0)
+        expect(await purgeTrash(db, 14)).toBe(1)
+        expect((await db.getAll('trash')).map(item => item.uid)).toEqual([recent])
+        expect(await db.getByIndex('revisions', 'recordUid', old)).toEqual([])
+
+        vi.setSystemTime(new Date('2025-03-20T08:00:00Z').getTime() + 14 * DAY)
+        expect(await purgeTrash(db, 14)).toBe(0)
+        vi.setSystemTime(new Date('2025-03-20T08:00:00Z').getTime() + 14 * DAY + 1)
+        expect(await purgeTrash(db, 14)).toBe(1)
+    })
+
+    it('已有相同主键的记录时，恢复的记录使用新主键，不覆盖已有记录', async () => {
+        const uid = await db.add('records', { date: '2025-03-14', index: 1, title: '记录1', record: '删除前' })
+        await moveToTrash(db, uid)
+        // 导入删除前的备份，主键相同的记录又回到了 records
+        await db.put('records', { uid, date: '2025-03-14', index: 1, title: '记录1', record: '备份' })
+
+        const restored = await restoreFromTrash(db, uid)
+        expect(restored.uid).not.toBe(uid)
+        expect(restored).toMatchObject({ index: 2, record: '删除前' })
+        expect(await db.get('records', uid)).toMatchObject({ record: '备份' })
+        expect(await db.count('records')).toBe(2)
+        expect(await db.count('trash')).toBe(0)
+    })
+})
@@ -47,7 +47,8 @@ export default defineConfig({
             },
 
             workbox: {
-                globPatterns: ['**/*.{js,css,html,svg,png,ico}'],
+                // wasm 为 sql.js 的运行文件，预缓存后离线也能导入导出 SQLite
+                globPatterns: ['**/*.{js,css,html,svg,png,ico,wasm}'],
                 cleanupOutdatedCaches: true,
                 clientsClaim: true,
                 maximumFileSizeToCacheInBytes: 5 * 1024 * 1024,